@@ -0,0 +1,296 @@
+/**
+ * Pipeline analytics: aggregate queries behind the /analytics endpoints (routes/analytics.js).
+ *
+ * Filters (query string): from, to (YYYY-MM-DD, inclusive; default the last 30 days),
+ * city (comma-separated), assigned_to (see customers/assignment.js). The date range applies to the
+ * date each metric is about: customers by created_at, conversions by converted_at, open follow-up tasks by
+ * due_date, completed ones by completed_at, products and activity by created_at. city and assigned_to filter the customer.
+ * Archived customers and products (customers/archive.js) are left out.
+ * Everything is counted in SQL; no customer rows are loaded.
+ */
+
+const { parseAssigneeFilter, assigneeCondition } = require('../customers/assignment');
+const { CUSTOMER_STATUSES, PRODUCT_TYPES } = require('../customers/listQuery');
+const { businessToday, businessTodaySql } = require('../customers/businessDay');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 3 * 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value) {
+  const str = String(value).trim();
+  if (!DATE_RE.test(str) || Number.isNaN(new Date(`${str}T00:00:00.000Z`).getTime())) {
+    return null;
+  }
+  return str;
+}
+
+/**
+ * Parse analytics filters from the query string.
+ * @param {import('express').Request} req - after authenticate
+ * @returns {{ filters?: { from: string, to: string, cities: string[], assignee: object }, error?: string, status?: number }}
+ */
+function parseAnalyticsFilters(req) {
+  const { query } = req;
+  const filters = {};
+
+  for (const param of ['from', 'to']) {
+    if (query[param] === undefined || query[param] === '') continue;
+    filters[param] = parseDate(query[param]);
+    if (!filters[param]) {
+      return { status: 400, error: `${param} must be YYYY-MM-DD` };
+    }
+  }
+  filters.to = filters.to || businessToday();
+  const toMs = Date.parse(`${filters.to}T00:00:00.000Z`);
+  filters.from = filters.from || new Date(toMs - (DEFAULT_RANGE_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+
+  const days = (toMs - Date.parse(`${filters.from}T00:00:00.000Z`)) / DAY_MS;
+  if (days < 0) {
+    return { status: 400, error: 'from must be on or before to' };
+  }
+  if (days >= MAX_RANGE_DAYS) {
+    return { status: 400, error: `Date range must be at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  filters.cities = String(query.city || '')
+    .split(',')
+    .map((c) => c.trim().toLowerCase())
+    .filter(Boolean);
+
+  const assignee = parseAssigneeFilter(req);
+  if (assignee.error) {
+    return { status: assignee.status, error: assignee.error };
+  }
+  filters.assignee = assignee.filter;
+
+  return { filters };
+}
+
+/**
+ * Conditions on the customer (aliased "c") for the city and assignee filters, leaving out archived customers.
+ * @param {any[]} values - query parameters (mutated)
+ * @returns {string[]}
+ */
+function customerConditions(filters, values) {
+  const conditions = ['c.archived_at IS NULL'];
+  if (filters.cities.length > 0) {
+    values.push(filters.cities);
+    conditions.push(`lower(c.city) = ANY($${values.length}::text[])`);
+  }
+  const assignee = assigneeCondition(filters.assignee, values, 'c.assigned_to');
+  if (assignee) conditions.push(assignee);
+  return conditions;
+}
+
+/**
+ * Condition for a timestamp column falling within the date range (both ends inclusive).
+ */
+function rangeCondition(column, filters, values) {
+  values.push(filters.from, filters.to);
+  return `${column} >= $${values.length - 1}::date AND ${column} < $${values.length}::date + 1`;
+}
+
+function where(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// pg returns numeric aggregates as strings
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Customers created in the range by current status, and the share of them that converted.
+ * @returns {Promise<{ created: number, by_status: Record<string, number>, converted: number, conversion_rate: number|null }>}
+ */
+async function pipelineSummary(db, filters) {
+  const values = [];
+  const conditions = [rangeCondition('c.created_at', filters, values), ...customerConditions(filters, values)];
+  const result = await db.query(
+    `SELECT c.status, COUNT(*)::int AS count
+     FROM customers c
+     ${where(conditions)}
+     GROUP BY c.status`,
+    values
+  );
+
+  const byStatus = Object.fromEntries(CUSTOMER_STATUSES.map((s) => [s, 0]));
+  for (const row of result.rows) byStatus[row.status] = row.count;
+  const created = result.rows.reduce((sum, row) => sum + row.count, 0);
+  return {
+    created,
+    by_status: byStatus,
+    converted: byStatus.converted,
+    // fraction (0–1) of customers created in the range that are now converted
+    conversion_rate: created > 0 ? Math.round((byStatus.converted / created) * 10000) / 10000 : null,
+  };
+}
+
+/**
+ * Days from creation to conversion for customers converted in the range.
+ * @returns {Promise<{ converted: number, avg_days: number|null, median_days: number|null, p90_days: number|null }>}
+ */
+async function conversionTime(db, filters) {
+  const values = [];
+  const conditions = [rangeCondition('c.converted_at', filters, values), ...customerConditions(filters, values)];
+  const days = "EXTRACT(EPOCH FROM c.converted_at - c.created_at) / 86400";
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS converted,
+            ROUND(AVG(${days})::numeric, 1) AS avg_days,
+            ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY ${days}))::numeric, 1) AS median_days,
+            ROUND((percentile_cont(0.9) WITHIN GROUP (ORDER BY ${days}))::numeric, 1) AS p90_days
+     FROM customers c
+     ${where(conditions)}`,
+    values
+  );
+  const row = result.rows[0];
+  return {
+    converted: row.converted,
+    avg_days: toNumber(row.avg_days),
+    median_days: toNumber(row.median_days),
+    p90_days: toNumber(row.p90_days),
+  };
+}
+
+/**
+ * Open follow-up tasks due in the range that are still due (today or later) or overdue (missed), and
+ * tasks completed in the range.
+ * @returns {Promise<{ due: number, due_today: number, overdue: number, completed: number }>}
+ */
+async function followupSummary(db, filters) {
+  const openValues = [];
+  const openConditions = [
+    "t.status = 'open'",
+    rangeCondition('t.due_date', filters, openValues),
+    ...customerConditions(filters, openValues),
+  ];
+  const doneValues = [];
+  const doneConditions = [
+    "t.status = 'done'",
+    rangeCondition('t.completed_at', filters, doneValues),
+    ...customerConditions(filters, doneValues),
+  ];
+  const today = businessTodaySql();
+
+  const [open, done] = await Promise.all([
+    db.query(
+      `SELECT COUNT(*) FILTER (WHERE t.due_date >= ${today})::int AS due,
+              COUNT(*) FILTER (WHERE t.due_date = ${today})::int AS due_today,
+              COUNT(*) FILTER (WHERE t.due_date < ${today})::int AS overdue
+       FROM followup_tasks t
+       JOIN customers c ON c.id = t.customer_id
+       ${where(openConditions)}`,
+      openValues
+    ),
+    db.query(
+      `SELECT COUNT(*)::int AS completed
+       FROM followup_tasks t
+       JOIN customers c ON c.id = t.customer_id
+       ${where(doneConditions)}`,
+      doneValues
+    ),
+  ]);
+  return { ...open.rows[0], completed: done.rows[0].completed };
+}
+
+/**
+ * Products added in the range per calendar month, one column per product_type.
+ * @returns {Promise<Array<{ month: string, insurance: number, loan: number, sip: number, total: number }>>}
+ */
+async function productsByMonth(db, filters) {
+  const values = [];
+  const conditions = [
+    'p.archived_at IS NULL',
+    rangeCondition('p.created_at', filters, values),
+    ...customerConditions(filters, values),
+  ];
+  const typeCounts = PRODUCT_TYPES
+    .map((type) => `COUNT(*) FILTER (WHERE p.product_type = '${type}')::int AS ${type}`)
+    .join(',\n            ');
+  const result = await db.query(
+    `SELECT to_char(date_trunc('month', p.created_at), 'YYYY-MM') AS month,
+            ${typeCounts},
+            COUNT(*)::int AS total
+     FROM customer_products p
+     JOIN customers c ON c.id = p.customer_id
+     ${where(conditions)}
+     GROUP BY 1
+     ORDER BY 1`,
+    values
+  );
+  return result.rows;
+}
+
+/**
+ * Per staff/admin user: notes written, follow-up tasks completed and messages sent or logged in the range.
+ * @returns {Promise<Array<{ user_id: string, email: string, role: string, comments: number,
+ *   followups_completed: number, messages_sent: number, messages_logged: number }>>}
+ */
+async function staffActivity(db, filters) {
+  const values = [];
+  const commentConditions = [
+    "cc.type = 'note'",
+    'cc.author_id IS NOT NULL',
+    rangeCondition('cc.created_at', filters, values),
+    ...customerConditions(filters, values),
+  ];
+  const taskConditions = [
+    "t.status = 'done'",
+    't.completed_by IS NOT NULL',
+    rangeCondition('t.completed_at', filters, values),
+    ...customerConditions(filters, values),
+  ];
+  const messageConditions = [
+    "ml.direction = 'outbound'",
+    'ml.sent_by IS NOT NULL',
+    rangeCondition('ml.created_at', filters, values),
+    ...customerConditions(filters, values),
+  ];
+
+  const result = await db.query(
+    `SELECT u.id AS user_id, u.email, u.role,
+            COALESCE(cm.comments, 0)::int AS comments,
+            COALESCE(ft.followups_completed, 0)::int AS followups_completed,
+            COALESCE(m.messages_sent, 0)::int AS messages_sent,
+            COALESCE(m.messages_logged, 0)::int AS messages_logged
+     FROM users u
+     LEFT JOIN (
+       SELECT cc.author_id, COUNT(*) AS comments
+       FROM customer_comments cc
+       JOIN customers c ON c.id = cc.customer_id
+       ${where(commentConditions)}
+       GROUP BY cc.author_id
+     ) cm ON cm.author_id = u.id
+     LEFT JOIN (
+       SELECT t.completed_by, COUNT(*) AS followups_completed
+       FROM followup_tasks t
+       JOIN customers c ON c.id = t.customer_id
+       ${where(taskConditions)}
+       GROUP BY t.completed_by
+     ) ft ON ft.completed_by = u.id
+     LEFT JOIN (
+       SELECT ml.sent_by,
+              COUNT(*) FILTER (WHERE ml.status <> 'logged') AS messages_sent,
+              COUNT(*) FILTER (WHERE ml.status = 'logged') AS messages_logged
+       FROM message_logs ml
+       JOIN customers c ON c.id = ml.customer_id
+       ${where(messageConditions)}
+       GROUP BY ml.sent_by
+     ) m ON m.sent_by = u.id
+     WHERE u.role IN ('admin', 'staff')
+     ORDER BY u.email`,
+    values
+  );
+  return result.rows;
+}
+
+module.exports = {
+  parseAnalyticsFilters,
+  pipelineSummary,
+  conversionTime,
+  followupSummary,
+  productsByMonth,
+  staffActivity,
+};
@@ -0,0 +1,163 @@
+/**
+ * Append-only audit log (audit_log): who changed what through the API, and from where.
+ *
+ * Every mutating route used by admins, staff and customers (provider webhooks aside) records an entry with
+ * recordAudit, on the same client as the change so both are committed together (withTransaction for routes
+ * that would otherwise be a single query). An entry has:
+ * - the acting user and role (req.user; given explicitly for auth events, where there is none yet)
+ * - the action and the entity (type, id, and the customer it belongs to)
+ * - the entity before and after the change (for updates, only the fields that changed)
+ * - the client IP and the request id (assignRequestId; also sent back as X-Request-Id)
+ * Secrets (password hashes, tokens, webhook secrets) are never recorded.
+ *
+ * The database rejects updates and deletes (migrations/024_audit_log.sql). The only exception is
+ * redactCustomerAudit: purging a customer's personal data (customers/archive.js) also blanks the
+ * before/after values of their entries, keeping who did what and when.
+ */
+
+const crypto = require('crypto');
+const pool = require('../db');
+
+const AUDIT_ENTITY_TYPES = [
+  'customer',
+  'product',
+  'comment',
+  'message',
+  'followup_task',
+  'document',
+  'customer_request',
+  'user',
+  'message_template',
+  'lost_reason',
+  'job',
+  'webhook_subscription',
+];
+
+// Never copied into before/after
+const SECRET_FIELDS = new Set(['password', 'password_hash', 'token', 'token_hash', 'secret']);
+// A client-supplied X-Request-Id is kept if it looks like an id; otherwise a new one is generated
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,100}$/;
+
+/**
+ * Middleware: give every request an id (req.id) and echo it in the X-Request-Id response header.
+ */
+function assignRequestId(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+function snapshot(value) {
+  if (value === null || value === undefined) return null;
+  // Round-trip through JSON so Dates and numerics are stored as the API returns them
+  const plain = JSON.parse(JSON.stringify(value));
+  if (plain === null || typeof plain !== 'object' || Array.isArray(plain)) return plain;
+  return Object.fromEntries(Object.entries(plain).filter(([key]) => !SECRET_FIELDS.has(key)));
+}
+
+/**
+ * Before and after, reduced to the fields that differ when both are objects.
+ */
+function changedFields(before, after) {
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object'
+    || Array.isArray(before) || Array.isArray(after)) {
+    return { before, after };
+  }
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  return {
+    before: Object.fromEntries(keys.filter((key) => key in before).map((key) => [key, before[key]])),
+    after: Object.fromEntries(keys.filter((key) => key in after).map((key) => [key, after[key]])),
+  };
+}
+
+/**
+ * Append an audit entry for the request.
+ * @param {import('pg').Pool|import('pg').PoolClient} db - the client making the change, when in a transaction
+ * @param {import('express').Request} req
+ * @param {{ action: string, entityType: string, entityId?: string|null, customerId?: string|null,
+ *   before?: any, after?: any, userId?: string|null, role?: string|null }} entry - userId/role default to
+ *   req.user; customerId defaults to entityId for customers
+ */
+async function recordAudit(db, req, { action, entityType, entityId = null, customerId = null, before = null, after = null, userId, role }) {
+  if (!AUDIT_ENTITY_TYPES.includes(entityType)) {
+    throw new Error(`Unknown audit entity type "${entityType}"`);
+  }
+  const user = req.user || {};
+  const values = changedFields(snapshot(before), snapshot(after));
+  await db.query(
+    `INSERT INTO audit_log
+       (user_id, user_role, action, entity_type, entity_id, customer_id, before, after, ip, request_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      userId !== undefined ? userId : user.userId || null,
+      role !== undefined ? role : user.role || null,
+      action,
+      entityType,
+      entityId,
+      customerId || (entityType === 'customer' ? entityId : null),
+      values.before === null ? null : JSON.stringify(values.before),
+      values.after === null ? null : JSON.stringify(values.after),
+      req.ip || null,
+      req.id || null,
+    ]
+  );
+}
+
+/**
+ * recordAudit bound to a request, for helpers that run their own transaction (e.g. saveDocument).
+ * @returns {(db: import('pg').PoolClient, entry: object) => Promise<void>}
+ */
+function auditFor(req) {
+  return (db, entry) => recordAudit(db, req, entry);
+}
+
+/**
+ * Run work(client) in a transaction: committed when it returns, rolled back when it throws.
+ * Results that are errors ({ error, status }) must be returned before anything is written.
+ * @template T
+ * @param {(client: import('pg').PoolClient) => Promise<T>} work
+ * @returns {Promise<T>}
+ */
+async function withTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Blank before/after of every entry about the customer, including customers merged into them
+ * (their personal data is being purged).
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @returns {Promise<number>} entries redacted
+ */
+async function redactCustomerAudit(client, customerId) {
+  await client.query("SELECT set_config('app.audit_redaction', 'on', true)");
+  const result = await client.query(
+    `UPDATE audit_log SET before = NULL, after = NULL, redacted_at = now()
+     WHERE (customer_id = $1 OR customer_id IN (SELECT merged_customer_id FROM customer_merges WHERE survivor_id = $1))
+       AND (before IS NOT NULL OR after IS NOT NULL)`,
+    [customerId]
+  );
+  await client.query("SELECT set_config('app.audit_redaction', 'off', true)");
+  return result.rowCount;
+}
+
+module.exports = {
+  AUDIT_ENTITY_TYPES,
+  assignRequestId,
+  recordAudit,
+  auditFor,
+  withTransaction,
+  redactCustomerAudit,
+};
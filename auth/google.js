@@ -0,0 +1,218 @@
+/**
+ * Google sign-in via passport-google-oauth20 (no sessions; the callback issues our own JWT).
+ * Required env: GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_CALLBACK_URL.
+ * Google sign-in stays disabled (routes return 404) until configured.
+ *
+ * Only Google accounts whose email Google has verified (email_verified) are accepted. Sign-in finds the
+ * user linked to the Google account, else links the existing user with that email (as requested: Google's
+ * verification stands in for the password, so the email is trusted only when verified), else provisions a
+ * new customer (customers row with no phone + users row with role 'customer'). A signed-in user can also
+ * link a Google account with a different email (POST /auth/google/link, then GET /auth/google?link=<token>;
+ * the signed state carries their user id to the callback). A user stays linked to one Google account, and a
+ * Google account to one user.
+ *
+ * Tests can swap the provider with useGoogleStrategy(mockStrategy); any passport strategy that
+ * calls verifyGoogleProfile (with req first, or this.success(user)) works offline.
+ */
+
+const passport = require('passport');
+const { Strategy: GoogleStrategy } = require('passport-google-oauth20');
+const pool = require('../db');
+const { createOAuthStateToken, verifyOAuthStateToken, verifyOAuthLinkToken } = require('./tokens');
+
+const STRATEGY_NAME = 'google';
+const PROVIDER = 'google';
+const USER_COLUMNS = 'id, email, role, customer_id, token_version, disabled_at';
+
+let enabled = false;
+
+// Stateless `state` store: a signed short-lived token instead of a session entry. A linking sign-in
+// (?link=<token>, checked by the route) puts the user id in the state; verify leaves it on req.oauthLinkUserId.
+const stateStore = {
+  store(req, callback) {
+    try {
+      const linkUserId = req.query.link ? verifyOAuthLinkToken(req.query.link) : null;
+      callback(null, createOAuthStateToken({ linkUserId }));
+    } catch (err) {
+      callback(err);
+    }
+  },
+  verify(req, state, callback) {
+    const decoded = state ? verifyOAuthStateToken(state) : null;
+    if (!decoded) {
+      return callback(null, false, { message: 'Invalid or expired OAuth state' });
+    }
+    req.oauthLinkUserId = decoded.linkUserId;
+    callback(null, true);
+  },
+};
+
+// The profile's email if Google has verified it
+function verifiedEmail(profile) {
+  const primary = (profile.emails || []).find((e) => e.value && e.verified === true);
+  return primary ? primary.value.trim().toLowerCase() : null;
+}
+
+/**
+ * Resolve a Google profile to a users row for sign-in: the user linked to the Google account, else the user
+ * with the same (verified) email, now linked, else a newly provisioned customer.
+ * @param {{ id: string, displayName?: string, emails?: { value: string, verified?: boolean }[] }} profile
+ * @param {import('pg').Pool} [db]
+ * @returns {Promise<{ user?: { id: string, email: string, role: string, customer_id: string|null, token_version: number, disabled_at: Date|null }, linked?: boolean, error?: string }>}
+ */
+async function findOrCreateGoogleUser(profile, db = pool) {
+  const email = verifiedEmail(profile);
+  if (!email) {
+    return { error: 'Google account has no verified email' };
+  }
+
+  const linked = await db.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE oauth_provider = $1 AND oauth_provider_id = $2`,
+    [PROVIDER, profile.id]
+  );
+  if (linked.rows[0]) {
+    return { user: linked.rows[0] };
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT id, oauth_provider, disabled_at FROM users WHERE email = $1 FOR UPDATE', [email]);
+    if (existing.rows[0]) {
+      if (existing.rows[0].disabled_at) {
+        await client.query('ROLLBACK');
+        return { error: 'Account is disabled' };
+      }
+      if (existing.rows[0].oauth_provider === PROVIDER) {
+        await client.query('ROLLBACK');
+        return { error: 'An account with this email is linked to a different Google account' };
+      }
+      const linked = await client.query(
+        `UPDATE users SET oauth_provider = $1, oauth_provider_id = $2 WHERE id = $3 RETURNING ${USER_COLUMNS}`,
+        [PROVIDER, profile.id, existing.rows[0].id]
+      );
+      await client.query('COMMIT');
+      return { user: linked.rows[0], linked: true };
+    }
+
+    // Phone is unknown at sign-up; NULL until staff or the customer (PATCH /me) fill it in.
+    const customer = await client.query(
+      `INSERT INTO customers (name, phone, status) VALUES ($1, NULL, 'new') RETURNING id`,
+      [profile.displayName || email]
+    );
+    const created = await client.query(
+      `INSERT INTO users (email, password_hash, role, customer_id, auth_provider, oauth_provider, oauth_provider_id)
+       VALUES ($1, NULL, 'customer', $2, $3, $3, $4)
+       RETURNING ${USER_COLUMNS}`,
+      [email, customer.rows[0].id, PROVIDER, profile.id]
+    );
+    await client.query('COMMIT');
+    return { user: created.rows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Link a Google account to a signed-in user (the linking flow). Refused when the Google account belongs
+ * to another user or the user is already linked to a different Google account.
+ * @param {string} userId
+ * @param {object} profile - as for findOrCreateGoogleUser
+ * @param {import('pg').Pool} [db]
+ * @returns {Promise<{ user?: object, error?: string }>}
+ */
+async function linkGoogleAccount(userId, profile, db = pool) {
+  if (!verifiedEmail(profile)) {
+    return { error: 'Google account has no verified email' };
+  }
+  const owner = await db.query(
+    'SELECT id FROM users WHERE oauth_provider = $1 AND oauth_provider_id = $2',
+    [PROVIDER, profile.id]
+  );
+  if (owner.rows[0] && owner.rows[0].id !== userId) {
+    return { error: 'This Google account is linked to another user' };
+  }
+  const result = await db.query(
+    `UPDATE users SET oauth_provider = $1, oauth_provider_id = $2
+     WHERE id = $3 AND (oauth_provider IS DISTINCT FROM $1 OR oauth_provider_id = $2)
+     RETURNING ${USER_COLUMNS}`,
+    [PROVIDER, profile.id, userId]
+  );
+  if (!result.rows[0]) {
+    const exists = await db.query('SELECT 1 FROM users WHERE id = $1', [userId]);
+    return { error: exists.rows.length > 0 ? 'Your account is linked to a different Google account' : 'User not found' };
+  }
+  return { user: result.rows[0] };
+}
+
+/**
+ * Passport verify callback shared by the real strategy and test doubles (passReqToCallback). info.linked
+ * is set when the sign-in linked the account (linking flow or by email).
+ */
+function verifyGoogleProfile(req, accessToken, refreshToken, profile, done) {
+  const linkUserId = req.oauthLinkUserId;
+  const resolved = linkUserId ? linkGoogleAccount(linkUserId, profile) : findOrCreateGoogleUser(profile);
+  resolved
+    .then(({ user, linked, error }) => {
+      if (error) {
+        return done(null, false, { message: error });
+      }
+      if (user.disabled_at) {
+        return done(null, false, { message: 'Account is disabled' });
+      }
+      done(null, user, { linked: Boolean(linkUserId || linked) });
+    })
+    .catch(done);
+}
+
+/**
+ * Register a strategy under the "google" name (e.g. a mock in tests) and enable the routes.
+ * @param {import('passport').Strategy} strategy
+ */
+function useGoogleStrategy(strategy) {
+  passport.use(STRATEGY_NAME, strategy);
+  enabled = true;
+}
+
+/**
+ * Register the real Google strategy if GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET are set.
+ * @param {{ Strategy?: Function }} [options] - Strategy: constructor override (defaults to passport-google-oauth20)
+ * @returns {boolean} whether Google sign-in is enabled
+ */
+function configureGoogleAuth({ Strategy = GoogleStrategy } = {}) {
+  const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_CALLBACK_URL } = process.env;
+  if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET) {
+    return false;
+  }
+  useGoogleStrategy(
+    new Strategy(
+      {
+        clientID: GOOGLE_CLIENT_ID,
+        clientSecret: GOOGLE_CLIENT_SECRET,
+        callbackURL: GOOGLE_CALLBACK_URL || '/auth/google/callback',
+        store: stateStore,
+        passReqToCallback: true,
+      },
+      verifyGoogleProfile
+    )
+  );
+  return true;
+}
+
+function isGoogleAuthEnabled() {
+  return enabled;
+}
+
+module.exports = {
+  STRATEGY_NAME,
+  configureGoogleAuth,
+  useGoogleStrategy,
+  isGoogleAuthEnabled,
+  verifyGoogleProfile,
+  findOrCreateGoogleUser,
+  linkGoogleAccount,
+};
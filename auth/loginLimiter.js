@@ -0,0 +1,257 @@
+/**
+ * Brute-force protection for POST /auth/login.
+ * Failures are counted per account (email) and per client IP. After a few free attempts each further
+ * failure adds a growing delay before the next attempt is allowed; past a threshold the key is locked
+ * out for a while. Counters reset after a quiet window or (for the account) a successful login.
+ *
+ * beginLoginAttempt counts the attempt as a failure before the password is checked, in the same atomic
+ * step that decides whether it is allowed, so concurrent requests cannot all get through one check;
+ * recordLoginSuccess takes the IP's count back.
+ *
+ * Storage is pluggable (LOGIN_LIMITER_STORE): "memory" (default, per process) or "postgres"
+ * (login_attempts table, shared by all instances). A store implements:
+ *   get(key) → { failures, lastFailureAt, lockedUntil } | null
+ *   acquire(key, policy, windowMs) → state after adding one failure (count restarts if the last one is older
+ *     than windowMs), or null without counting when the key is locked or still waiting (waitMs)
+ *   release(key) → take one failure back
+ *   lock(key, until), clear(key)
+ */
+
+const pool = require('../db');
+
+const WINDOW_MS = 15 * 60 * 1000;
+const MAX_DELAY_MS = 60 * 1000;
+
+const POLICIES = {
+  account: { freeAttempts: 3, lockAfter: 10, lockMs: 15 * 60 * 1000 },
+  ip: { freeAttempts: 10, lockAfter: 50, lockMs: 15 * 60 * 1000 },
+};
+
+// Delay after the n-th failure: 0 for free attempts, then 1s, 2s, 4s, … capped at MAX_DELAY_MS
+function delayAfter(failures, policy) {
+  if (failures <= policy.freeAttempts) return 0;
+  return Math.min(1000 * 2 ** (failures - policy.freeAttempts - 1), MAX_DELAY_MS);
+}
+
+// How long a key must wait before its next attempt (0: allowed now)
+function waitMs(state, policy, now) {
+  if (state.lockedUntil && state.lockedUntil.getTime() > now) {
+    return state.lockedUntil.getTime() - now;
+  }
+  if (now - state.lastFailureAt.getTime() > WINDOW_MS) return 0;
+  return Math.max(state.lastFailureAt.getTime() + delayAfter(state.failures, policy) - now, 0);
+}
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  function prune(now) {
+    if (entries.size < 10000) return;
+    for (const [key, state] of entries) {
+      const lockedUntil = state.lockedUntil ? state.lockedUntil.getTime() : 0;
+      if (now - state.lastFailureAt.getTime() > WINDOW_MS && lockedUntil < now) entries.delete(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async acquire(key, policy, windowMs) {
+      const now = Date.now();
+      prune(now);
+      const prev = entries.get(key);
+      if (prev && waitMs(prev, policy, now) > 0) return null;
+      const fresh = !prev || now - prev.lastFailureAt.getTime() > windowMs;
+      const state = {
+        failures: fresh ? 1 : prev.failures + 1,
+        lastFailureAt: new Date(now),
+        lockedUntil: prev ? prev.lockedUntil : null,
+      };
+      entries.set(key, state);
+      return state;
+    },
+    async release(key) {
+      const state = entries.get(key);
+      if (state) state.failures = Math.max(state.failures - 1, 0);
+    },
+    async lock(key, until) {
+      const state = entries.get(key);
+      if (state) state.lockedUntil = until;
+    },
+    async clear(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+function createPgStore(db = pool) {
+  return {
+    async get(key) {
+      const result = await db.query(
+        `SELECT failures, last_failure_at, locked_until FROM login_attempts WHERE key = $1`,
+        [key]
+      );
+      const row = result.rows[0];
+      return row
+        ? { failures: row.failures, lastFailureAt: row.last_failure_at, lockedUntil: row.locked_until }
+        : null;
+    },
+    // One statement: the row lock taken by ON CONFLICT makes the check and the count atomic. The WHERE is
+    // waitMs in SQL; when it fails nothing is updated or returned.
+    async acquire(key, policy, windowMs) {
+      const result = await db.query(
+        `INSERT INTO login_attempts AS a (key, failures, last_failure_at)
+         VALUES ($1, 1, now())
+         ON CONFLICT (key) DO UPDATE SET
+           failures = CASE
+             WHEN a.last_failure_at < now() - make_interval(secs => $2) THEN 1
+             ELSE a.failures + 1
+           END,
+           last_failure_at = now()
+         WHERE (a.locked_until IS NULL OR a.locked_until <= now())
+           AND (a.last_failure_at < now() - make_interval(secs => $2)
+             OR a.failures <= $3
+             OR a.last_failure_at + make_interval(secs => LEAST(power(2, a.failures - $3 - 1), $4)) <= now())
+         RETURNING failures, last_failure_at, locked_until`,
+        [key, windowMs / 1000, policy.freeAttempts, MAX_DELAY_MS / 1000]
+      );
+      const row = result.rows[0];
+      return row
+        ? { failures: row.failures, lastFailureAt: row.last_failure_at, lockedUntil: row.locked_until }
+        : null;
+    },
+    async release(key) {
+      await db.query('UPDATE login_attempts SET failures = GREATEST(failures - 1, 0) WHERE key = $1', [key]);
+    },
+    async lock(key, until) {
+      await db.query('UPDATE login_attempts SET locked_until = $2 WHERE key = $1', [key, until]);
+    },
+    async clear(key) {
+      await db.query('DELETE FROM login_attempts WHERE key = $1', [key]);
+    },
+  };
+}
+
+const STORES = {
+  memory: createMemoryStore,
+  postgres: createPgStore,
+};
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const name = process.env.LOGIN_LIMITER_STORE || 'memory';
+    const create = STORES[name];
+    if (!create) {
+      throw new Error(`Unknown LOGIN_LIMITER_STORE "${name}"`);
+    }
+    store = create();
+  }
+  return store;
+}
+
+/**
+ * Replace the limiter store (e.g. a fresh memory store in tests).
+ */
+function setLoginLimiterStore(next) {
+  store = next;
+}
+
+function accountKey(email) {
+  return `account:${email}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+function limiterKeys(email, ip) {
+  const keys = [{ key: accountKey(email), policy: POLICIES.account }];
+  if (ip) keys.push({ key: ipKey(ip), policy: POLICIES.ip });
+  return keys;
+}
+
+/**
+ * Claim a login attempt for the account and IP: allowed attempts are counted as failures right away.
+ * When a key refuses, the keys already counted are released.
+ * @returns {Promise<{ allowed: boolean, retryAfterSeconds?: number, locked?: boolean }>}
+ */
+async function beginLoginAttempt(email, ip) {
+  const counted = [];
+  for (const { key, policy } of limiterKeys(email, ip)) {
+    if (await getStore().acquire(key, policy, WINDOW_MS)) {
+      counted.push(key);
+      continue;
+    }
+    for (const done of counted) {
+      await getStore().release(done);
+    }
+    const now = Date.now();
+    const state = await getStore().get(key);
+    const wait = state ? waitMs(state, policy, now) : 0;
+    return {
+      allowed: false,
+      locked: Boolean(state && state.lockedUntil && state.lockedUntil.getTime() > now),
+      retryAfterSeconds: Math.max(Math.ceil(wait / 1000), 1),
+    };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Failed attempt (already counted by beginLoginAttempt): lock keys past their threshold.
+ */
+async function recordLoginFailure(email, ip) {
+  for (const { key, policy } of limiterKeys(email, ip)) {
+    const state = await getStore().get(key);
+    if (state && state.failures >= policy.lockAfter) {
+      await getStore().lock(key, new Date(Date.now() + policy.lockMs));
+    }
+  }
+}
+
+/**
+ * Successful login: forget the account's failures and take back the attempt counted for the IP (its
+ * earlier failures are kept on purpose).
+ */
+async function recordLoginSuccess(email, ip) {
+  await getStore().clear(accountKey(email));
+  if (ip) await getStore().release(ipKey(ip));
+}
+
+/**
+ * Admin unlock: clear the account counter and, optionally, an IP counter.
+ */
+async function unlockLogin({ email, ip } = {}) {
+  if (email) await getStore().clear(accountKey(email));
+  if (ip) await getStore().clear(ipKey(ip));
+}
+
+/**
+ * Append a row to login_events (review of suspicious activity). Never throws: auditing must not block login.
+ * @param {{ userId?: string|null, email: string, ip?: string, userAgent?: string, success: boolean, reason: string }} event
+ */
+async function recordLoginEvent(event) {
+  try {
+    await pool.query(
+      `INSERT INTO login_events (user_id, email, ip, user_agent, success, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [event.userId ?? null, event.email, event.ip ?? null, event.userAgent ?? null, event.success, event.reason]
+    );
+  } catch (err) {
+    console.error('Failed to record login event:', err.message || err);
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+  createPgStore,
+  setLoginLimiterStore,
+  beginLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockLogin,
+  recordLoginEvent,
+};
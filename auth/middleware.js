@@ -3,30 +3,47 @@
  * Expects Authorization: Bearer <token>. Attaches decoded payload to req.user.
  */
 
+const pool = require('../db');
 const { verifyAccessToken } = require('./tokens');
 
 /**
  * Authenticate request: verify JWT and set req.user { userId, role, customerId }.
- * Returns 401 if token is missing, invalid, or expired.
+ * Returns 401 if token is missing, invalid, or expired, or if the user's sessions were revoked
+ * (token_version bumped by logout-all / admin revoke, see auth/sessions.js) or the account is disabled.
  */
-function authenticate(req, res, next) {
+async function authenticate(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'Missing or invalid authorization header' });
   }
 
   const token = authHeader.slice(7);
+  let payload;
   try {
-    const payload = verifyAccessToken(token);
-    req.user = {
-      userId: payload.userId,
-      role: payload.role,
-      customerId: payload.customerId ?? null,
-    };
-    next();
+    payload = verifyAccessToken(token);
   } catch (err) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
+
+  try {
+    const result = await pool.query(
+      'SELECT token_version, disabled_at FROM users WHERE id = $1',
+      [payload.userId]
+    );
+    const user = result.rows[0];
+    if (!user || user.disabled_at || user.token_version !== (payload.tokenVersion ?? 0)) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  req.user = {
+    userId: payload.userId,
+    role: payload.role,
+    customerId: payload.customerId ?? null,
+  };
+  next();
 }
 
 /**
@@ -51,6 +68,16 @@ function requireStaffOrAdmin(req, res, next) {
   next();
 }
 
+/**
+ * Require a customer login linked to a customer record (req.user.customerId). Use after authenticate.
+ */
+function requireCustomer(req, res, next) {
+  if (req.user.role !== 'customer' || !req.user.customerId) {
+    return res.status(403).json({ error: 'Customer access required' });
+  }
+  next();
+}
+
 /**
  * Require access to the customer identified by req.params.id.
  * Allows: admin, staff, or customer if req.user.customerId === req.params.id.
@@ -71,5 +98,6 @@ module.exports = {
   authenticate,
   requireAdmin,
   requireStaffOrAdmin,
+  requireCustomer,
   requireCustomerSelf,
 };
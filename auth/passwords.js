@@ -0,0 +1,58 @@
+/**
+ * Password hashing and policy for local accounts.
+ * Policy: 8–72 bytes, at least one letter and one digit, not a common password, not the account email.
+ */
+
+const bcrypt = require('bcrypt');
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores input beyond 72 bytes
+const MAX_PASSWORD_LENGTH = 72;
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', 'passw0rd', '12345678', '123456789', '1234567890',
+  'qwerty123', 'qwertyuiop', 'abc12345', 'abcd1234', 'iloveyou1', 'welcome1', 'welcome123',
+  'admin123', 'letmein1', 'moneycure', 'moneycure1', 'moneycure123',
+]);
+
+/**
+ * Check a new password against the policy.
+ * @param {unknown} password
+ * @param {{ email?: string }} [context] - account the password is for
+ * @returns {string|null} error message, or null if acceptable
+ */
+function validatePassword(password, context = {}) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_LENGTH) {
+    return `password must be at most ${MAX_PASSWORD_LENGTH} bytes`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'password must contain at least one letter and one digit';
+  }
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) {
+    return 'password is too common';
+  }
+  if (context.email) {
+    const email = context.email.toLowerCase();
+    if (lower === email || lower === email.split('@')[0]) {
+      return 'password must not be your email address';
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} bcrypt hash
+ */
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+module.exports = {
+  validatePassword,
+  hashPassword,
+};
@@ -0,0 +1,238 @@
+/**
+ * Sessions: short-lived access token + rotating refresh token.
+ * The refresh token is an opaque random string sent in an httpOnly cookie (path /auth);
+ * only its SHA-256 hash is stored in refresh_tokens. Each refresh rotates it within the same family.
+ * Presenting an already-rotated token is treated as theft: the whole family is revoked.
+ * Revoking all sessions also bumps users.token_version, which authenticate checks on every request.
+ *
+ * The cookie is SameSite=Lax unless REFRESH_COOKIE_SAMESITE=none (frontend on another site; requires HTTPS).
+ * Routes that act on the cookie check the Origin against FRONTEND_URL (isTrustedOrigin), since CORS also
+ * admits *.vercel.app preview origins that must never be handed a token.
+ */
+
+const crypto = require('crypto');
+const pool = require('../db');
+const { createAccessToken } = require('./tokens');
+
+const REFRESH_COOKIE = 'refresh_token';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const SAME_SITE_VALUES = ['lax', 'strict', 'none'];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function cookieOptions() {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const sameSite = (process.env.REFRESH_COOKIE_SAMESITE || 'lax').toLowerCase();
+  if (!SAME_SITE_VALUES.includes(sameSite)) {
+    throw new Error(`REFRESH_COOKIE_SAMESITE must be one of: ${SAME_SITE_VALUES.join(', ')}`);
+  }
+  return {
+    httpOnly: true,
+    // Browsers drop SameSite=None cookies that are not Secure
+    secure: isProduction || sameSite === 'none',
+    sameSite,
+    path: '/auth',
+  };
+}
+
+/**
+ * Frontend origins from FRONTEND_URL (comma-separated), without trailing slashes.
+ * @returns {string[]}
+ */
+function frontendOrigins() {
+  return (process.env.FRONTEND_URL || '')
+    .split(',')
+    .map((o) => o.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * CSRF check for routes authenticated by the refresh cookie: a browser request must come from one of the
+ * FRONTEND_URL origins exactly. Requests without an Origin header (not sent by a browser) are allowed.
+ * @param {import('express').Request} req
+ */
+function isTrustedOrigin(req) {
+  const origin = req.get('origin');
+  return !origin || frontendOrigins().includes(origin);
+}
+
+function setRefreshCookie(res, token) {
+  res.cookie(REFRESH_COOKIE, token, {
+    ...cookieOptions(),
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+}
+
+async function insertRefreshToken(db, userId, familyId, req) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, user_agent, ip)
+     VALUES ($1, $2, $3, now() + make_interval(days => $4), $5, $6)
+     RETURNING id`,
+    [userId, familyId, hashToken(token), REFRESH_TOKEN_TTL_DAYS, req.get('user-agent') || null, req.ip || null]
+  );
+  return { id: result.rows[0].id, token };
+}
+
+function accessTokenBody(user) {
+  return {
+    accessToken: createAccessToken({
+      userId: user.id,
+      role: user.role,
+      customerId: user.customer_id ?? null,
+      tokenVersion: user.token_version ?? 0,
+    }),
+    role: user.role,
+    customerId: user.customer_id ?? null,
+  };
+}
+
+/**
+ * Start a new session after a successful login: sets the refresh cookie and returns the login response body.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{ id: string, role: string, customer_id: string|null, token_version?: number }} user
+ * @returns {Promise<{ accessToken: string, role: string, customerId: string|null }>}
+ */
+async function startSession(req, res, user) {
+  await pool.query('DELETE FROM refresh_tokens WHERE user_id = $1 AND expires_at < now()', [user.id]);
+  const { token } = await insertRefreshToken(pool, user.id, crypto.randomUUID(), req);
+  setRefreshCookie(res, token);
+  return accessTokenBody(user);
+}
+
+/**
+ * Rotate the refresh token from the request cookie.
+ * @returns {Promise<{ body?: object, error?: string }>} body on success; error when the token is missing,
+ *   expired, revoked or reused (reuse revokes the whole token family)
+ */
+async function refreshSession(req, res) {
+  const presented = req.cookies && req.cookies[REFRESH_COOKIE];
+  if (!presented) {
+    return { error: 'Missing refresh token' };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `SELECT rt.id, rt.family_id, rt.expires_at, rt.revoked_at, rt.replaced_by,
+              u.id AS user_id, u.role, u.customer_id, u.token_version, u.disabled_at
+       FROM refresh_tokens rt
+       JOIN users u ON u.id = rt.user_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt`,
+      [hashToken(presented)]
+    );
+    const row = result.rows[0];
+
+    if (!row) {
+      await client.query('ROLLBACK');
+      return { error: 'Invalid refresh token' };
+    }
+    if (row.revoked_at) {
+      if (row.replaced_by) {
+        // Reuse of a rotated token: someone else holds the family — kill it.
+        await client.query(
+          'UPDATE refresh_tokens SET revoked_at = now() WHERE family_id = $1 AND revoked_at IS NULL',
+          [row.family_id]
+        );
+        await client.query('COMMIT');
+        console.warn('Refresh token reuse detected; revoked session family for user', row.user_id);
+        return { error: 'Refresh token reuse detected' };
+      }
+      await client.query('ROLLBACK');
+      return { error: 'Refresh token has been revoked' };
+    }
+    if (row.disabled_at) {
+      await client.query('ROLLBACK');
+      return { error: 'Account is disabled' };
+    }
+    if (new Date(row.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return { error: 'Refresh token has expired' };
+    }
+
+    const next = await insertRefreshToken(client, row.user_id, row.family_id, req);
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = now(), replaced_by = $1 WHERE id = $2',
+      [next.id, row.id]
+    );
+    await client.query('COMMIT');
+
+    setRefreshCookie(res, next.token);
+    return {
+      body: accessTokenBody({
+        id: row.user_id,
+        role: row.role,
+        customer_id: row.customer_id,
+        token_version: row.token_version,
+      }),
+    };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * End the session identified by the request cookie (if any) and clear the cookie.
+ * @returns {Promise<{ userId: string, role: string, customerId: string|null }|null>} whose session was ended
+ */
+async function endSession(req, res) {
+  const presented = req.cookies && req.cookies[REFRESH_COOKIE];
+  let ended = null;
+  if (presented) {
+    const result = await pool.query(
+      `UPDATE refresh_tokens t SET revoked_at = now()
+       FROM users u
+       WHERE t.token_hash = $1 AND t.revoked_at IS NULL AND u.id = t.user_id
+       RETURNING u.id, u.role, u.customer_id`,
+      [hashToken(presented)]
+    );
+    const user = result.rows[0];
+    ended = user ? { userId: user.id, role: user.role, customerId: user.customer_id } : null;
+  }
+  clearRefreshCookie(res);
+  return ended;
+}
+
+/**
+ * Revoke every session of a user: all refresh tokens, and all access tokens via token_version.
+ * @param {string} userId
+ * @param {import('pg').Pool|import('pg').PoolClient} [db]
+ * @returns {Promise<boolean>} false if the user does not exist
+ */
+async function revokeAllSessions(userId, db = pool) {
+  const result = await db.query(
+    'UPDATE users SET token_version = token_version + 1 WHERE id = $1 RETURNING id',
+    [userId]
+  );
+  if (result.rowCount === 0) {
+    return false;
+  }
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = now() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  return true;
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  frontendOrigins,
+  isTrustedOrigin,
+  startSession,
+  refreshSession,
+  endSession,
+  revokeAllSessions,
+  clearRefreshCookie,
+};
@@ -1,14 +1,16 @@
 /**
  * JWT access token for local auth.
- * Expiry: 7 days. Payload: userId, role, customerId.
- * Sent via Authorization: Bearer <token>
+ * Expiry: 15 minutes (ACCESS_TOKEN_EXPIRY env to override). Payload: userId, role, customerId, tokenVersion.
+ * Sent via Authorization: Bearer <token>; renewed with the refresh token cookie (see auth/sessions.js).
  * Required env: JWT_SECRET. Tokens must not be logged.
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET;
-const ACCESS_TOKEN_EXPIRY = '7d';
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+const OAUTH_STATE_EXPIRY = '10m';
 
 function ensureJwtSecret() {
   if (!JWT_SECRET) {
@@ -18,7 +20,7 @@ function ensureJwtSecret() {
 
 /**
  * Create a JWT access token.
- * @param {{ userId: string, role: string, customerId: string|null }} payload
+ * @param {{ userId: string, role: string, customerId: string|null, tokenVersion?: number }} payload
  * @returns {string} JWT
  */
 function createAccessToken(payload) {
@@ -28,6 +30,7 @@ function createAccessToken(payload) {
       userId: payload.userId,
       role: payload.role,
       customerId: payload.customerId ?? null,
+      tokenVersion: payload.tokenVersion ?? 0,
     },
     JWT_SECRET,
     { expiresIn: ACCESS_TOKEN_EXPIRY }
@@ -37,14 +40,75 @@ function createAccessToken(payload) {
 /**
  * Verify and decode access token. Returns payload or throws.
  * @param {string} token
- * @returns {{ userId: string, role: string, customerId: string|null }}
+ * @returns {{ userId: string, role: string, customerId: string|null, tokenVersion?: number }}
  */
 function verifyAccessToken(token) {
   ensureJwtSecret();
   return jwt.verify(token, JWT_SECRET);
 }
 
+// OAuth state tokens use a derived secret so they can never pass as access tokens.
+function oauthStateSecret() {
+  ensureJwtSecret();
+  return `${JWT_SECRET}:oauth-state`;
+}
+
+/**
+ * Create a short-lived signed OAuth `state` value (stateless CSRF protection, no session needed).
+ * @param {{ linkUserId?: string }} [options] - linkUserId: the sign-in links Google to this user (see auth/google.js)
+ * @returns {string} JWT
+ */
+function createOAuthStateToken({ linkUserId } = {}) {
+  const payload = { nonce: crypto.randomBytes(16).toString('hex'), ...(linkUserId && { link: linkUserId }) };
+  return jwt.sign(payload, oauthStateSecret(), { expiresIn: OAUTH_STATE_EXPIRY });
+}
+
+/**
+ * Check an OAuth `state` value returned by the provider.
+ * @param {string} token
+ * @returns {{ linkUserId: string|null }|null} null when invalid or expired
+ */
+function verifyOAuthStateToken(token) {
+  try {
+    const payload = jwt.verify(token, oauthStateSecret());
+    return { linkUserId: payload.link || null };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Link tokens start the Google linking flow for a signed-in user; their own secret keeps them apart
+function oauthLinkSecret() {
+  ensureJwtSecret();
+  return `${JWT_SECRET}:oauth-link`;
+}
+
+/**
+ * Short-lived token for GET /auth/google?link=<token>: the Google account chosen is linked to this user.
+ * @param {string} userId
+ * @returns {string} JWT
+ */
+function createOAuthLinkToken(userId) {
+  return jwt.sign({ link: userId }, oauthLinkSecret(), { expiresIn: OAUTH_STATE_EXPIRY });
+}
+
+/**
+ * @param {string} token
+ * @returns {string|null} the user id, or null when invalid or expired
+ */
+function verifyOAuthLinkToken(token) {
+  try {
+    return jwt.verify(String(token), oauthLinkSecret()).link || null;
+  } catch (err) {
+    return null;
+  }
+}
+
 module.exports = {
   createAccessToken,
   verifyAccessToken,
+  createOAuthStateToken,
+  verifyOAuthStateToken,
+  createOAuthLinkToken,
+  verifyOAuthLinkToken,
 };
@@ -0,0 +1,71 @@
+/**
+ * One-time user tokens (invite, password reset) stored hashed in user_tokens.
+ * The raw token is only ever returned to the caller that created it; it is single-use and time-limited.
+ */
+
+const crypto = require('crypto');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new token for a user, invalidating any unused token of the same purpose.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {{ userId: string, purpose: 'invite'|'password_reset', ttlMinutes: number, createdBy?: string|null }} options
+ * @returns {Promise<{ token: string, expiresAt: Date }>}
+ */
+async function createUserToken(db, { userId, purpose, ttlMinutes, createdBy = null }) {
+  await db.query(
+    'UPDATE user_tokens SET used_at = now() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = await db.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at, created_by)
+     VALUES ($1, $2, $3, now() + make_interval(mins => $4), $5)
+     RETURNING expires_at`,
+    [userId, purpose, hashToken(token), ttlMinutes, createdBy]
+  );
+  return { token, expiresAt: result.rows[0].expires_at };
+}
+
+/**
+ * Mark a token as used and return its user. Fails if unknown, used, expired or of another purpose.
+ * @param {import('pg').Pool|import('pg').PoolClient} db - use a client inside a transaction with the follow-up write
+ * @param {string} token
+ * @param {string[]} purposes - accepted purposes
+ * @returns {Promise<{ userId: string, purpose: string }|null>}
+ */
+async function consumeUserToken(db, token, purposes) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  const result = await db.query(
+    `UPDATE user_tokens SET used_at = now()
+     WHERE token_hash = $1 AND purpose = ANY($2::text[]) AND used_at IS NULL AND expires_at > now()
+     RETURNING user_id, purpose`,
+    [hashToken(token), purposes]
+  );
+  const row = result.rows[0];
+  return row ? { userId: row.user_id, purpose: row.purpose } : null;
+}
+
+/**
+ * Link for the frontend set-password page, if PASSWORD_SETUP_URL is configured.
+ * @param {string} token
+ * @returns {string|null}
+ */
+function passwordSetupUrl(token) {
+  const base = process.env.PASSWORD_SETUP_URL;
+  if (!base) return null;
+  const url = new URL(base);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+module.exports = {
+  createUserToken,
+  consumeUserToken,
+  passwordSetupUrl,
+};
@@ -0,0 +1,261 @@
+/**
+ * Soft delete for customers and products: archive, restore and purge (admin only, see server.js).
+ *
+ * Archiving only sets archived_at, so nothing that refers to the record breaks and restoring brings it
+ * back exactly as it was. Archived customers (and their follow-up tasks) are left out of customer lists,
+ * follow-up queues, exports, digests, reminders and analytics; archived products are left out of product
+ * lists, reminders and analytics. List endpoints take ?include_archived=true to show them (see
+ * archivedCondition in customers/listQuery.js).
+ * Archiving a customer fails their queued outbound messages.
+ *
+ * Purging is for data-retention and right-to-erasure requests. It erases the personal data of an
+ * archived customer in place:
+ * - name, phone and city on the customer
+ * - comment and message text, notes on tasks, requests and status changes
+ * - policy and folio numbers
+ * - documents (rows and files) and customer logins
+ * - outgoing webhook deliveries about the customer (webhooks/index.js)
+ * The ids, statuses, dates and amounts stay, so history and analytics still add up. A purged customer
+ * cannot be restored. Their audit log entries keep who did what and when, without the values.
+ *
+ * Each change is recorded with the audit option (auditFor(req), see audit/index.js).
+ */
+
+const { addSystemComment } = require('./followups');
+const { syncNextFollowup } = require('./followupTasks');
+const { PRODUCT_COLUMNS } = require('./products');
+const { redactCustomerAudit } = require('../audit');
+const { removeDocumentFile } = require('../documents');
+
+const ERASED_NAME = 'Erased customer';
+const ERASED_TEXT = '[erased]';
+
+async function lockCustomer(client, customerId, returning = 'id') {
+  const result = await client.query(
+    `SELECT ${returning}, archived_at, purged_at FROM customers WHERE id = $1 FOR UPDATE`,
+    [customerId]
+  );
+  return result.rows[0];
+}
+
+const noAudit = async () => {};
+
+/**
+ * Archive a customer.
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @param {string} returning - columns to return
+ * @returns {Promise<{ customer?: object, error?: string, status?: number }>}
+ */
+async function archiveCustomer(client, customerId, returning, { userId, audit = noAudit }) {
+  const current = await lockCustomer(client, customerId, returning);
+  if (!current) {
+    return { status: 404, error: 'Customer not found' };
+  }
+  if (current.archived_at) {
+    return { status: 409, error: 'Customer is already archived' };
+  }
+
+  const result = await client.query(
+    `UPDATE customers SET archived_at = now(), archived_by = $2 WHERE id = $1 RETURNING ${returning}`,
+    [customerId, userId]
+  );
+  const failed = await client.query(
+    `UPDATE message_logs
+     SET status = 'failed', failed_at = now(), last_error = 'Customer archived', next_attempt_at = NULL, updated_at = now()
+     WHERE customer_id = $1 AND status = 'queued'`,
+    [customerId]
+  );
+  const unsent = failed.rowCount > 0
+    ? ` ${failed.rowCount} queued message${failed.rowCount === 1 ? '' : 's'} will not be sent.`
+    : '';
+  await addSystemComment(client, customerId, `Customer archived.${unsent}`, userId);
+  await audit(client, { action: 'archive', entityType: 'customer', entityId: customerId, before: current, after: result.rows[0] });
+  return { customer: result.rows[0] };
+}
+
+/**
+ * Restore an archived customer.
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @param {string} returning - columns to return
+ * @returns {Promise<{ customer?: object, error?: string, status?: number }>}
+ */
+async function restoreCustomer(client, customerId, returning, { userId, audit = noAudit }) {
+  const current = await lockCustomer(client, customerId, returning);
+  if (!current) {
+    return { status: 404, error: 'Customer not found' };
+  }
+  if (current.purged_at) {
+    return { status: 409, error: 'Purged customers cannot be restored' };
+  }
+  if (!current.archived_at) {
+    return { status: 409, error: 'Customer is not archived' };
+  }
+
+  const result = await client.query(
+    `UPDATE customers SET archived_at = NULL, archived_by = NULL WHERE id = $1 RETURNING ${returning}`,
+    [customerId]
+  );
+  await addSystemComment(client, customerId, 'Customer restored from the archive.', userId);
+  await audit(client, { action: 'restore', entityType: 'customer', entityId: customerId, before: current, after: result.rows[0] });
+  return { customer: result.rows[0] };
+}
+
+async function setProductArchived(client, customerId, productId, archive, { userId, audit = noAudit }) {
+  const current = await client.query(
+    `SELECT ${PRODUCT_COLUMNS} FROM customer_products WHERE id = $1 AND customer_id = $2 FOR UPDATE`,
+    [productId, customerId]
+  );
+  if (current.rows.length === 0) {
+    return { status: 404, error: 'Product not found' };
+  }
+  const { product_name: name, archived_at: archivedAt } = current.rows[0];
+  if (archive && archivedAt) {
+    return { status: 409, error: 'Product is already archived' };
+  }
+  if (!archive && !archivedAt) {
+    return { status: 409, error: 'Product is not archived' };
+  }
+
+  const result = await client.query(
+    `UPDATE customer_products
+     SET archived_at = CASE WHEN $2 THEN now() END, archived_by = CASE WHEN $2 THEN $3::uuid END, updated_at = now()
+     WHERE id = $1
+     RETURNING ${PRODUCT_COLUMNS}`,
+    [productId, archive, userId]
+  );
+  await addSystemComment(
+    client,
+    customerId,
+    archive ? `Product archived: ${name}.` : `Product restored from the archive: ${name}.`,
+    userId
+  );
+  await audit(client, {
+    action: archive ? 'archive' : 'restore',
+    entityType: 'product',
+    entityId: productId,
+    customerId,
+    before: current.rows[0],
+    after: result.rows[0],
+  });
+  return { product: result.rows[0] };
+}
+
+/**
+ * Archive a customer's product.
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @returns {Promise<{ product?: object, error?: string, status?: number }>}
+ */
+function archiveProduct(client, customerId, productId, options) {
+  return setProductArchived(client, customerId, productId, true, options);
+}
+
+/**
+ * Restore a customer's archived product.
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @returns {Promise<{ product?: object, error?: string, status?: number }>}
+ */
+function restoreProduct(client, customerId, productId, options) {
+  return setProductArchived(client, customerId, productId, false, options);
+}
+
+/**
+ * Erase an archived customer's personal data. Runs its own transaction; document files are removed
+ * from storage after it commits.
+ * @param {import('pg').Pool} pool
+ * @param {string} returning - customer columns to return
+ * @returns {Promise<{ customer?: object, erased?: Record<string, number>, error?: string, status?: number }>}
+ */
+async function purgeCustomer(pool, customerId, returning, { userId, audit = noAudit }) {
+  const client = await pool.connect();
+  let customer;
+  let erased;
+  let documents;
+  try {
+    await client.query('BEGIN');
+    const current = await lockCustomer(client, customerId);
+    if (!current || current.purged_at || !current.archived_at) {
+      await client.query('ROLLBACK');
+      if (!current) return { status: 404, error: 'Customer not found' };
+      if (current.purged_at) return { status: 409, error: 'Customer has already been purged' };
+      return { status: 409, error: 'Archive the customer before purging' };
+    }
+
+    const run = async (sql) => (await client.query(sql, [customerId])).rowCount;
+
+    const logins = await client.query('SELECT id, email FROM users WHERE customer_id = $1', [customerId]);
+    if (logins.rows.length > 0) {
+      await client.query('DELETE FROM login_events WHERE user_id = ANY($1::uuid[]) OR email = ANY($2::text[])', [
+        logins.rows.map((u) => u.id),
+        logins.rows.map((u) => u.email),
+      ]);
+      await client.query('DELETE FROM users WHERE customer_id = $1', [customerId]);
+    }
+    documents = await client.query(
+      'DELETE FROM customer_documents WHERE customer_id = $1 RETURNING storage_backend, storage_key',
+      [customerId]
+    );
+    await run(
+      `DELETE FROM customer_comment_revisions
+       WHERE comment_id IN (SELECT id FROM customer_comments WHERE customer_id = $1)`
+    );
+
+    erased = {
+      comments: await run(`UPDATE customer_comments SET comment = '${ERASED_TEXT}' WHERE customer_id = $1`),
+      messages: await run(
+        `UPDATE message_logs SET message = '${ERASED_TEXT}', phone = NULL, last_error = NULL WHERE customer_id = $1`
+      ),
+      followup_tasks: await run(
+        `UPDATE followup_tasks
+         SET notes = NULL, outcome = NULL, status = CASE WHEN status = 'open' THEN 'cancelled' ELSE status END,
+             updated_at = now()
+         WHERE customer_id = $1`
+      ),
+      status_changes: await run('UPDATE customer_status_history SET note = NULL WHERE customer_id = $1 AND note IS NOT NULL'),
+      requests: await run('UPDATE customer_requests SET note = NULL WHERE customer_id = $1 AND note IS NOT NULL'),
+      products: await run(
+        `UPDATE customer_products SET policy_number = NULL, folio_number = NULL, updated_at = now()
+         WHERE customer_id = $1 AND (policy_number IS NOT NULL OR folio_number IS NOT NULL)`
+      ),
+      merged_customers: await run(
+        "UPDATE customer_merges SET merged_customer = merged_customer - 'name' - 'phone' - 'city' WHERE survivor_id = $1"
+      ),
+      documents: documents.rowCount,
+      logins: logins.rows.length,
+      webhook_deliveries: await run('DELETE FROM webhook_deliveries WHERE customer_id = $1'),
+      audit_entries: await redactCustomerAudit(client, customerId),
+    };
+
+    await syncNextFollowup(client, customerId);
+    const result = await client.query(
+      `UPDATE customers
+       SET name = '${ERASED_NAME}', phone = NULL, city = NULL, purged_at = now(), purged_by = $2
+       WHERE id = $1
+       RETURNING ${returning}`,
+      [customerId, userId]
+    );
+    customer = result.rows[0];
+    await addSystemComment(client, customerId, 'Personal data erased (purged).', userId);
+    // Only what was erased: the values before are exactly what must not be kept
+    await audit(client, { action: 'purge', entityType: 'customer', entityId: customerId, after: { erased } });
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // As with deleteDocument, a file left behind by a failed removal is no longer referred to
+  for (const { storage_backend: backend, storage_key: key } of documents.rows) {
+    await removeDocumentFile(backend, key);
+  }
+  return { customer, erased };
+}
+
+module.exports = {
+  archiveCustomer,
+  restoreCustomer,
+  archiveProduct,
+  restoreProduct,
+  purgeCustomer,
+};
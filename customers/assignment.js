@@ -0,0 +1,87 @@
+/**
+ * Customer ownership helpers: who a customer is assigned to (customers.assigned_to)
+ * and how list/queue endpoints are scoped by assignee.
+ *
+ * ?assigned_to accepts: "me", "unassigned", "all" or a user id.
+ * Staff follow-up queues are always scoped to "me" or "unassigned"; admins default to "all".
+ */
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Parse ?assigned_to into a filter.
+ * @param {import('express').Request} req - after authenticate
+ * @param {{ staffQueue?: boolean }} [options] - staffQueue: restrict staff to their own (or unassigned) queue
+ * @returns {{ filter?: { userId?: string, unassigned?: boolean }, error?: string, status?: number }}
+ */
+function parseAssigneeFilter(req, options = {}) {
+  const raw = typeof req.query.assigned_to === 'string' ? req.query.assigned_to.trim() : '';
+  const isAdmin = req.user.role === 'admin';
+  const value = raw || (options.staffQueue && !isAdmin ? 'me' : 'all');
+
+  if (value === 'all') {
+    if (options.staffQueue && !isAdmin) {
+      return { status: 403, error: 'Only admins can view all follow-up queues' };
+    }
+    return { filter: {} };
+  }
+  if (value === 'me') {
+    return { filter: { userId: req.user.userId } };
+  }
+  if (value === 'unassigned') {
+    return { filter: { unassigned: true } };
+  }
+  if (!UUID_RE.test(value)) {
+    return { status: 400, error: 'assigned_to must be a user id, "me", "unassigned" or "all"' };
+  }
+  if (options.staffQueue && !isAdmin && value !== req.user.userId) {
+    return { status: 403, error: 'Only admins can view other users\' follow-up queues' };
+  }
+  return { filter: { userId: value } };
+}
+
+/**
+ * Build a SQL condition for an assignee filter, appending any parameter to values.
+ * @param {{ userId?: string, unassigned?: boolean }} filter
+ * @param {any[]} values - query parameters (mutated)
+ * @param {string} [column]
+ * @returns {string|null} condition, or null when the filter matches everyone
+ */
+function assigneeCondition(filter, values, column = 'assigned_to') {
+  if (filter.unassigned) {
+    return `${column} IS NULL`;
+  }
+  if (filter.userId) {
+    values.push(filter.userId);
+    return `${column} = $${values.length}`;
+  }
+  return null;
+}
+
+/**
+ * Look up a user who can own customers (staff or admin).
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} userId
+ * @returns {Promise<{ user?: { id: string, email: string, role: string }, error?: string }>}
+ */
+async function findAssignableUser(db, userId) {
+  if (typeof userId !== 'string' || !UUID_RE.test(userId)) {
+    return { error: 'assigned_to must be a user id or null' };
+  }
+  const result = await db.query('SELECT id, email, role FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+  if (!user) {
+    return { error: 'Assignee not found' };
+  }
+  if (user.role !== 'staff' && user.role !== 'admin') {
+    return { error: 'Customers can only be assigned to staff or admin users' };
+  }
+  return { user };
+}
+
+module.exports = {
+  UUID_RE,
+  parseAssigneeFilter,
+  assigneeCondition,
+  findAssignableUser,
+};
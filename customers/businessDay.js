@@ -0,0 +1,66 @@
+/**
+ * "Today" for follow-ups. Follow-up dates are calendar dates in the business's time zone
+ * (BUSINESS_TIMEZONE, an IANA name; default Asia/Kolkata), not the database server's, which is often UTC:
+ * with CURRENT_DATE, Indian mornings before 05:30 would still be "yesterday".
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+// Also keeps the name safe to put in SQL as a literal
+const TIMEZONE_RE = /^[A-Za-z][A-Za-z0-9_+\-/]*$/;
+
+/**
+ * The configured time zone; throws if BUSINESS_TIMEZONE is not a known IANA zone.
+ */
+function businessTimeZone() {
+  const timeZone = process.env.BUSINESS_TIMEZONE || DEFAULT_TIMEZONE;
+  let valid = TIMEZONE_RE.test(timeZone);
+  if (valid) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (err) {
+      valid = false;
+    }
+  }
+  if (!valid) {
+    throw new Error(`BUSINESS_TIMEZONE "${timeZone}" is not a valid time zone (e.g. Asia/Kolkata)`);
+  }
+  return timeZone;
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in the business time zone.
+ * @param {Date} [now]
+ */
+function businessToday(now = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: businessTimeZone(),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(now);
+}
+
+/**
+ * Hour of the day (0–23) in the business time zone.
+ * @param {Date} [now]
+ */
+function businessHour(now = new Date()) {
+  const hour = new Intl.DateTimeFormat('en-US', { timeZone: businessTimeZone(), hour: 'numeric', hourCycle: 'h23' })
+    .format(now);
+  return Number(hour);
+}
+
+/**
+ * SQL expression for today's date in the business time zone; use instead of CURRENT_DATE.
+ */
+function businessTodaySql() {
+  return `(now() AT TIME ZONE '${businessTimeZone()}')::date`;
+}
+
+module.exports = {
+  businessTimeZone,
+  businessToday,
+  businessHour,
+  businessTodaySql,
+};
@@ -0,0 +1,212 @@
+/**
+ * Customer comments: types, who sees them and who may change them.
+ *
+ * Types: system (written by the app — see addSystemComment in customers/followups.js), note (staff/admin)
+ * and customer (written by the customer). Visibility is internal or customer; customers only see
+ * customer-visible comments. Staff/admin notes are internal unless posted with visibility 'customer';
+ * customers' own comments are always customer-visible.
+ *
+ * System comments cannot be edited or deleted. Others can be changed by their author, or by an admin.
+ * Deleting is a soft delete, and every edit or delete first copies the previous text and visibility to
+ * customer_comment_revisions.
+ */
+
+const COMMENT_TYPES = ['system', 'note', 'customer'];
+const COMMENT_VISIBILITIES = ['internal', 'customer'];
+const MAX_COMMENT_LENGTH = 5000;
+
+// Columns returned for a comment by every comment endpoint
+const COMMENT_COLUMNS = `id, customer_id, comment, type, visibility, author_id, created_at, edited_at, edited_by,
+  deleted_at, deleted_by`;
+
+function isStaff(user) {
+  return user.role === 'admin' || user.role === 'staff';
+}
+
+/**
+ * Validate a new or edited comment from `user`; `partial` for edits.
+ * @returns {{ data?: { comment?: string, visibility?: string }, error?: string }}
+ */
+function validateComment(body, user, { partial }) {
+  const data = {};
+  if (body.comment !== undefined || !partial) {
+    const comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+    if (!comment || comment.length > MAX_COMMENT_LENGTH) {
+      return { error: `comment is required (at most ${MAX_COMMENT_LENGTH} characters)` };
+    }
+    data.comment = comment;
+  }
+  if (body.visibility !== undefined) {
+    if (!COMMENT_VISIBILITIES.includes(body.visibility)) {
+      return { error: `visibility must be one of: ${COMMENT_VISIBILITIES.join(', ')}` };
+    }
+    if (!isStaff(user) && body.visibility !== 'customer') {
+      return { error: 'Customer comments are always visible to the customer' };
+    }
+    data.visibility = body.visibility;
+  }
+  if (partial && Object.keys(data).length === 0) {
+    return { error: 'No fields to update' };
+  }
+  return { data };
+}
+
+/**
+ * A customer's comments as `user` may see them, oldest first, optionally of one type.
+ * includeDeleted is honoured for admins only.
+ */
+async function listComments(db, customerId, user, { type, includeDeleted = false } = {}) {
+  const values = [customerId];
+  const conditions = ['customer_id = $1'];
+  if (type) {
+    values.push(type);
+    conditions.push(`type = $${values.length}`);
+  }
+  if (!isStaff(user)) {
+    conditions.push("visibility = 'customer'");
+  }
+  if (!(includeDeleted && user.role === 'admin')) {
+    conditions.push('deleted_at IS NULL');
+  }
+  const result = await db.query(
+    `SELECT ${COMMENT_COLUMNS}
+     FROM customer_comments
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY created_at ASC`,
+    values
+  );
+  return result.rows;
+}
+
+/**
+ * Add a comment by `user`: a note from staff/admin (internal unless data.visibility says otherwise),
+ * a customer-visible comment from the customer.
+ * @param {object} data - validated by validateComment
+ */
+async function createComment(db, customerId, user, data) {
+  const staff = isStaff(user);
+  const result = await db.query(
+    `INSERT INTO customer_comments (customer_id, comment, author_id, type, visibility)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${COMMENT_COLUMNS}`,
+    [
+      customerId,
+      data.comment,
+      user.userId,
+      staff ? 'note' : 'customer',
+      staff ? data.visibility || 'internal' : 'customer',
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Lock a comment `user` may change, inside the caller's transaction. Comments a customer cannot see
+ * are reported as not found.
+ * @returns {Promise<{ comment?: object, error?: string, status?: number }>}
+ */
+async function lockChangeableComment(client, customerId, commentId, user) {
+  const result = await client.query(
+    `SELECT ${COMMENT_COLUMNS} FROM customer_comments WHERE id = $1 AND customer_id = $2 FOR UPDATE`,
+    [commentId, customerId]
+  );
+  const comment = result.rows[0];
+  if (!comment || (!isStaff(user) && comment.visibility !== 'customer')) {
+    return { status: 404, error: 'Comment not found' };
+  }
+  if (comment.deleted_at) {
+    return { status: 409, error: 'Comment has been deleted' };
+  }
+  if (comment.type === 'system') {
+    return { status: 409, error: 'System comments cannot be changed' };
+  }
+  if (comment.author_id !== user.userId && user.role !== 'admin') {
+    return { status: 403, error: 'Only the author or an admin can change this comment' };
+  }
+  return { comment };
+}
+
+async function saveRevision(client, comment, action, userId) {
+  await client.query(
+    `INSERT INTO customer_comment_revisions (comment_id, action, comment, visibility, changed_by)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [comment.id, action, comment.comment, comment.visibility, userId]
+  );
+}
+
+/**
+ * Edit a comment's text and/or visibility, keeping the previous version. The visibility of a customer's
+ * own comment cannot change.
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @param {object} data - validated by validateComment (partial)
+ * @returns {Promise<{ comment?: object, error?: string, status?: number }>}
+ */
+async function editComment(client, customerId, commentId, user, data) {
+  const locked = await lockChangeableComment(client, customerId, commentId, user);
+  if (locked.error) return locked;
+  if (locked.comment.type === 'customer' && data.visibility && data.visibility !== 'customer') {
+    return { status: 400, error: 'Customer comments are always visible to the customer' };
+  }
+
+  await saveRevision(client, locked.comment, 'edit', user.userId);
+  const result = await client.query(
+    `UPDATE customer_comments
+     SET comment = COALESCE($2, comment), visibility = COALESCE($3, visibility), edited_at = now(), edited_by = $4
+     WHERE id = $1
+     RETURNING ${COMMENT_COLUMNS}`,
+    [commentId, data.comment || null, data.visibility || null, user.userId]
+  );
+  return { comment: result.rows[0] };
+}
+
+/**
+ * Soft-delete a comment, keeping its content as a revision.
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @returns {Promise<{ comment?: object, error?: string, status?: number }>}
+ */
+async function deleteComment(client, customerId, commentId, user) {
+  const locked = await lockChangeableComment(client, customerId, commentId, user);
+  if (locked.error) return locked;
+
+  await saveRevision(client, locked.comment, 'delete', user.userId);
+  const result = await client.query(
+    `UPDATE customer_comments SET deleted_at = now(), deleted_by = $2
+     WHERE id = $1
+     RETURNING ${COMMENT_COLUMNS}`,
+    [commentId, user.userId]
+  );
+  return { comment: result.rows[0] };
+}
+
+/**
+ * Earlier versions of a comment, oldest first, or null if the comment does not exist.
+ */
+async function listRevisions(db, customerId, commentId) {
+  const comment = await db.query('SELECT 1 FROM customer_comments WHERE id = $1 AND customer_id = $2', [
+    commentId,
+    customerId,
+  ]);
+  if (comment.rows.length === 0) {
+    return null;
+  }
+  const result = await db.query(
+    `SELECT id, comment_id, action, comment, visibility, changed_by, changed_at
+     FROM customer_comment_revisions
+     WHERE comment_id = $1
+     ORDER BY changed_at ASC`,
+    [commentId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  COMMENT_TYPES,
+  COMMENT_VISIBILITIES,
+  COMMENT_COLUMNS,
+  validateComment,
+  listComments,
+  createComment,
+  editComment,
+  deleteComment,
+  listRevisions,
+};
@@ -0,0 +1,77 @@
+/**
+ * Minimal RFC 4180 CSV parsing and writing: quoted fields, escaped quotes (""), embedded commas/newlines, CRLF, BOM.
+ */
+
+/**
+ * Parse CSV text into rows of string fields. Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i += 1) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+const NUMBER_RE = /^[+-]?\d+(\.\d+)?$/;
+
+/**
+ * Format one CSV line (CRLF-terminated). Values that a spreadsheet could run as a formula (starting with
+ * =, +, -, @, tab or CR) are prefixed with ' to neutralise CSV injection; plain numbers such as -12.5 or
+ * +919876543210 are left alone.
+ * @param {unknown[]} values
+ * @returns {string}
+ */
+function formatCsvRow(values) {
+  return `${values
+    .map((value) => {
+      if (value === null || value === undefined) return '';
+      let text = value instanceof Date ? value.toISOString() : String(value);
+      if (/^[=+\-@\t\r]/.test(text) && !NUMBER_RE.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+};
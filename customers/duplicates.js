@@ -0,0 +1,165 @@
+/**
+ * Duplicate customers: finding likely duplicates and merging one record into another.
+ *
+ * A customer is a likely duplicate when its phone has the same comparable key (last 10 digits, see
+ * customers/phone.js), or when it is in the same city (case-insensitive) with a similar name: pg_trgm
+ * similarity of at least NAME_SIMILARITY (so "Ramesh Kumar" matches "Ramesh Kumaar" and "Kumar Ramesh").
+ *
+ * Merging moves everything that belongs to the duplicate (comments, message logs, products and their
+ * reminders, follow-up tasks, status history, documents, self-service requests, earlier merges, customer
+ * logins and outgoing webhook deliveries) onto the surviving customer, fills the survivor's empty city and
+ * assignee from the duplicate, and deletes the duplicate. customer_merges keeps the duplicate's row as it
+ * was and what moved. When the duplicate was further along (MERGE_STATUS_RANK: a converted duplicate, or
+ * an active one merged into a lost record) the survivor takes its status, recorded in the status history.
+ * Archived customers are candidates too (with archived_at set); purged ones are not, and cannot be merged.
+ */
+
+const { PHONE_KEY_SQL, phoneKey } = require('./phone');
+const { syncNextFollowup } = require('./followupTasks');
+const { addSystemComment } = require('./followups');
+const { recordStatusChange } = require('./statusWorkflow');
+const { revokeAllSessions } = require('../auth/sessions');
+
+const NAME_SIMILARITY = 0.6;
+const MAX_CANDIDATES = 10;
+
+// How far along a status is, for keeping the furthest one on merge. 'lost' is lowest: the other record
+// still being worked (or converted) wins over a lead given up on.
+const MERGE_STATUS_RANK = { lost: 0, new: 1, followup: 2, converted: 3 };
+
+// Tables whose rows move to the survivor: [table, customer column]
+const MOVED_TABLES = [
+  ['customer_comments', 'customer_id'],
+  ['message_logs', 'customer_id'],
+  ['customer_products', 'customer_id'],
+  ['product_reminders', 'customer_id'],
+  ['followup_tasks', 'customer_id'],
+  ['customer_status_history', 'customer_id'],
+  ['customer_documents', 'customer_id'],
+  ['customer_requests', 'customer_id'],
+  ['customer_merges', 'survivor_id'],
+  ['users', 'customer_id'],
+  // So a purge of the survivor still erases the payloads (see customers/archive.js)
+  ['webhook_deliveries', 'customer_id'],
+];
+
+/**
+ * Existing customers that look like the same person, phone matches first.
+ * @param {{ name: string, phone: string|null, city?: string|null }} customer - phone normalised (no phone
+ *   matches by name and city only)
+ * @param {{ excludeId?: string }} [options] - leave out this customer (when checking an existing record)
+ * @returns {Promise<object[]>} customers with match ('phone' or 'name_city') and name_similarity
+ */
+async function findDuplicateCandidates(db, { name, phone, city }, { excludeId = null } = {}) {
+  const result = await db.query(
+    `SELECT id, name, phone, city, status, assigned_to, archived_at, created_at,
+            CASE WHEN ${PHONE_KEY_SQL} = $1 THEN 'phone' ELSE 'name_city' END AS match,
+            round(similarity(name, $2)::numeric, 2)::float AS name_similarity
+     FROM customers
+     WHERE ($4::uuid IS NULL OR id <> $4)
+       AND purged_at IS NULL
+       AND (
+         ${PHONE_KEY_SQL} = $1
+         OR ($3::text IS NOT NULL AND lower(city) = lower($3) AND name % $2 AND similarity(name, $2) >= $5)
+       )
+     ORDER BY COALESCE(${PHONE_KEY_SQL} = $1, false) DESC, similarity(name, $2) DESC, created_at
+     LIMIT ${MAX_CANDIDATES}`,
+    [phoneKey(phone), name, city || null, excludeId, NAME_SIMILARITY]
+  );
+  return result.rows;
+}
+
+/**
+ * "Name (phone, city)" for timeline comments, leaving out what the customer does not have.
+ * @param {{ name: string, phone: string|null, city?: string|null }} customer
+ */
+function describeCustomer({ name, phone, city }) {
+  const details = [phone, city].filter(Boolean).join(', ');
+  return details ? `${name} (${details})` : name;
+}
+
+/**
+ * Merge the duplicate customer into the survivor.
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @returns {Promise<{ merge?: object, error?: string, status?: number }>}
+ */
+async function mergeCustomers(client, survivorId, duplicateId, { userId }) {
+  if (survivorId === duplicateId) {
+    return { status: 400, error: 'A customer cannot be merged into itself' };
+  }
+  // Lock both in id order so two merges of the same pair cannot deadlock
+  const locked = await client.query('SELECT * FROM customers WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE', [
+    [survivorId, duplicateId],
+  ]);
+  const survivor = locked.rows.find((c) => c.id === survivorId);
+  const duplicate = locked.rows.find((c) => c.id === duplicateId);
+  if (!survivor) {
+    return { status: 404, error: 'Customer not found' };
+  }
+  if (!duplicate) {
+    return { status: 404, error: 'Duplicate customer not found' };
+  }
+  if (survivor.purged_at || duplicate.purged_at) {
+    return { status: 409, error: 'Purged customers cannot be merged' };
+  }
+
+  const movedLogins = await client.query('SELECT id FROM users WHERE customer_id = $1', [duplicateId]);
+  const moved = {};
+  for (const [table, column] of MOVED_TABLES) {
+    const result = await client.query(`UPDATE ${table} SET ${column} = $1 WHERE ${column} = $2`, [
+      survivorId,
+      duplicateId,
+    ]);
+    moved[table] = result.rowCount;
+  }
+  // The duplicate's logins now belong to another record: make them sign in again for a token with its id
+  for (const { id } of movedLogins.rows) {
+    await revokeAllSessions(id, client);
+  }
+
+  await client.query(
+    `UPDATE customers
+     SET phone = COALESCE(phone, $4), city = COALESCE(city, $2), assigned_to = COALESCE(assigned_to, $3)
+     WHERE id = $1`,
+    [survivorId, duplicate.city, duplicate.assigned_to, duplicate.phone]
+  );
+  if (MERGE_STATUS_RANK[duplicate.status] > MERGE_STATUS_RANK[survivor.status]) {
+    // converted_at: the earliest known conversion; the duplicate is never 'lost' here, so no lost reason
+    await client.query(
+      `UPDATE customers
+       SET status = $2, lost_reason_id = NULL,
+           converted_at = CASE WHEN $2 = 'converted' THEN COALESCE(LEAST(converted_at, $3::timestamptz), now()) END
+       WHERE id = $1`,
+      [survivorId, duplicate.status, duplicate.converted_at]
+    );
+    await recordStatusChange(client, {
+      customerId: survivorId,
+      from: survivor.status,
+      to: duplicate.status,
+      note: `Status of merged duplicate ${duplicate.name}`,
+      userId,
+    });
+  }
+  await syncNextFollowup(client, survivorId);
+  await client.query('DELETE FROM customers WHERE id = $1', [duplicateId]);
+
+  const merge = await client.query(
+    `INSERT INTO customer_merges (survivor_id, merged_customer_id, merged_customer, moved, merged_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, survivor_id, merged_customer_id, merged_customer, moved, merged_by, merged_at`,
+    [survivorId, duplicateId, JSON.stringify(duplicate), JSON.stringify(moved), userId]
+  );
+  await addSystemComment(
+    client,
+    survivorId,
+    `Merged duplicate customer ${describeCustomer(duplicate)} into this record.`,
+    userId
+  );
+  return { merge: merge.rows[0] };
+}
+
+module.exports = {
+  findDuplicateCandidates,
+  describeCustomer,
+  mergeCustomers,
+};
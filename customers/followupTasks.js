@@ -0,0 +1,273 @@
+/**
+ * Follow-up tasks: many per customer, each a call, visit, WhatsApp message or document collection due on
+ * a date (and optionally a time, in BUSINESS_TIMEZONE), with an assignee and a priority. Completing a task
+ * records its outcome and can schedule the next one.
+ *
+ * customers.next_followup_date is kept as the earliest open task's due date (syncNextFollowup after every
+ * change), for the customer list and exports. The follow-up queues and the digest go by the open tasks
+ * themselves (openTaskJoin), so a task is in its own assignee's queue whoever owns the customer. Timeline
+ * comments are left to the callers (customers/followups.js, the task routes).
+ */
+
+const { UUID_RE, assigneeCondition, findAssignableUser } = require('./assignment');
+
+const TASK_TYPES = ['call', 'visit', 'whatsapp', 'document_collection'];
+const TASK_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const TASK_STATUSES = ['open', 'done', 'cancelled'];
+const TASK_TYPE_LABELS = {
+  call: 'call',
+  visit: 'visit',
+  whatsapp: 'WhatsApp',
+  document_collection: 'document collection',
+};
+
+// Columns returned for a task row by every task endpoint
+const TASK_COLUMNS = `id, customer_id, type, to_char(due_date, 'YYYY-MM-DD') AS due_date, due_time, assigned_to,
+  priority, notes, status, outcome, completed_at, completed_by, next_task_id, created_by, created_at, updated_at`;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const MAX_TEXT_LENGTH = 2000;
+
+function isDate(value) {
+  return DATE_RE.test(value) && !Number.isNaN(new Date(`${value}T00:00:00.000Z`).getTime());
+}
+
+function optionalText(body, field, data) {
+  if (body[field] === undefined) return null;
+  if (body[field] !== null && (typeof body[field] !== 'string' || body[field].length > MAX_TEXT_LENGTH)) {
+    return `${field} must be text of at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  data[field] = body[field] === null ? null : body[field].trim() || null;
+  return null;
+}
+
+/**
+ * Validate task fields; `partial` for PATCH. assigned_to is only checked for shape here (see createTask).
+ * @returns {{ data?: object, error?: string }}
+ */
+function validateTask(body, { partial }) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Task must be an object' };
+  }
+  const data = {};
+
+  if (body.type !== undefined || !partial) {
+    if (!TASK_TYPES.includes(body.type)) {
+      return { error: `type must be one of: ${TASK_TYPES.join(', ')}` };
+    }
+    data.type = body.type;
+  }
+  if (body.due_date !== undefined || !partial) {
+    if (typeof body.due_date !== 'string' || !isDate(body.due_date)) {
+      return { error: 'due_date must be YYYY-MM-DD' };
+    }
+    data.due_date = body.due_date;
+  }
+  if (body.due_time !== undefined) {
+    if (body.due_time !== null && (typeof body.due_time !== 'string' || !TIME_RE.test(body.due_time))) {
+      return { error: 'due_time must be HH:MM (24-hour) or null' };
+    }
+    data.due_time = body.due_time;
+  }
+  if (body.priority !== undefined) {
+    if (!TASK_PRIORITIES.includes(body.priority)) {
+      return { error: `priority must be one of: ${TASK_PRIORITIES.join(', ')}` };
+    }
+    data.priority = body.priority;
+  }
+  if (body.assigned_to !== undefined) {
+    if (body.assigned_to !== null && !UUID_RE.test(String(body.assigned_to))) {
+      return { error: 'assigned_to must be a user id or null' };
+    }
+    data.assigned_to = body.assigned_to;
+  }
+  const notesError = optionalText(body, 'notes', data);
+  if (notesError) return { error: notesError };
+
+  if (partial && Object.keys(data).length === 0) {
+    return { error: 'No fields to update' };
+  }
+  return { data };
+}
+
+/**
+ * Set customers.next_followup_date to the earliest open task's due date (null when none).
+ * @returns {Promise<object|null>} the customer row (`returning` columns), or null if it does not exist
+ */
+async function syncNextFollowup(db, customerId, returning = 'id') {
+  const result = await db.query(
+    `UPDATE customers c
+     SET next_followup_date = (
+       SELECT MIN(t.due_date) FROM followup_tasks t WHERE t.customer_id = c.id AND t.status = 'open'
+     )
+     WHERE c.id = $1
+     RETURNING ${returning}`,
+    [customerId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * JOIN for a follow-up queue over `customers`: task_due.due_date is the earliest due date of the customer's
+ * open tasks matching `due` (SQL on t.due_date) and the assignee filter (parseAssigneeFilter, on the task's
+ * assignee). Customers with no such task are left out.
+ * @param {object} filter - from parseAssigneeFilter
+ * @param {any[]} values - query values, appended to
+ * @param {string} due
+ * @param {string} [customer] - the customers table's name or alias in the query
+ */
+function openTaskJoin(filter, values, due, customer = 'customers') {
+  const conditions = [`t.customer_id = ${customer}.id`, "t.status = 'open'", due, assigneeCondition(filter, values, 't.assigned_to')];
+  return `JOIN LATERAL (
+       SELECT MIN(t.due_date) AS due_date FROM followup_tasks t WHERE ${conditions.filter(Boolean).join(' AND ')}
+     ) task_due ON task_due.due_date IS NOT NULL`;
+}
+
+async function checkAssignee(db, data) {
+  if (data.assigned_to === undefined || data.assigned_to === null) return null;
+  const { error } = await findAssignableUser(db, data.assigned_to);
+  return error || null;
+}
+
+/**
+ * Create an open task for a customer (assigned to the customer's assignee unless data.assigned_to is given)
+ * and sync the customer's next_followup_date.
+ * @param {object} data - validated by validateTask
+ * @returns {Promise<{ task?: object, error?: string, status?: number }>}
+ */
+async function createTask(db, customerId, data, { userId = null } = {}) {
+  const assigneeError = await checkAssignee(db, data);
+  if (assigneeError) {
+    return { status: 400, error: assigneeError };
+  }
+
+  const result = await db.query(
+    `INSERT INTO followup_tasks (customer_id, type, due_date, due_time, assigned_to, priority, notes, created_by)
+     SELECT c.id, $2, $3, $4, CASE WHEN $5 THEN $6::uuid ELSE c.assigned_to END, COALESCE($7, 'normal'), $8, $9
+     FROM customers c
+     WHERE c.id = $1
+     RETURNING ${TASK_COLUMNS}`,
+    [
+      customerId,
+      data.type,
+      data.due_date,
+      data.due_time || null,
+      data.assigned_to !== undefined,
+      data.assigned_to || null,
+      data.priority || null,
+      data.notes || null,
+      userId,
+    ]
+  );
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Customer not found' };
+  }
+  await syncNextFollowup(db, customerId);
+  return { task: result.rows[0] };
+}
+
+/**
+ * Lock an open task for a change inside the caller's transaction.
+ * @returns {Promise<{ task?: object, error?: string, status?: number }>}
+ */
+async function lockOpenTask(client, taskId) {
+  const result = await client.query(`SELECT ${TASK_COLUMNS} FROM followup_tasks WHERE id = $1 FOR UPDATE`, [taskId]);
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Task not found' };
+  }
+  if (result.rows[0].status !== 'open') {
+    return { status: 409, error: `Task is already ${result.rows[0].status}` };
+  }
+  return { task: result.rows[0] };
+}
+
+/**
+ * Update an open task.
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @returns {Promise<{ task?: object, previous?: object, error?: string, status?: number }>} previous: the task before
+ */
+async function updateTask(client, taskId, data) {
+  const locked = await lockOpenTask(client, taskId);
+  if (locked.error) return locked;
+  const assigneeError = await checkAssignee(client, data);
+  if (assigneeError) {
+    return { status: 400, error: assigneeError };
+  }
+
+  const values = [taskId];
+  const updates = Object.keys(data).map((field) => {
+    values.push(data[field]);
+    return `${field} = $${values.length}`;
+  });
+  const result = await client.query(
+    `UPDATE followup_tasks SET ${updates.join(', ')}, updated_at = now()
+     WHERE id = $1
+     RETURNING ${TASK_COLUMNS}`,
+    values
+  );
+  await syncNextFollowup(client, locked.task.customer_id);
+  return { task: result.rows[0], previous: locked.task };
+}
+
+/**
+ * Mark an open task done with its outcome and, if nextTask is given, create the follow-on task.
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @param {{ outcome: string, userId: string|null, nextTask?: object }} completion - nextTask validated by validateTask
+ * @returns {Promise<{ task?: object, previous?: object, nextTask?: object|null, error?: string, status?: number }>}
+ */
+async function completeTask(client, taskId, { outcome, userId, nextTask }) {
+  const locked = await lockOpenTask(client, taskId);
+  if (locked.error) return locked;
+
+  let next = null;
+  if (nextTask) {
+    const created = await createTask(client, locked.task.customer_id, nextTask, { userId });
+    if (created.error) return created;
+    next = created.task;
+  }
+
+  const result = await client.query(
+    `UPDATE followup_tasks
+     SET status = 'done', outcome = $2, completed_at = now(), completed_by = $3, next_task_id = $4, updated_at = now()
+     WHERE id = $1
+     RETURNING ${TASK_COLUMNS}`,
+    [taskId, outcome, userId, next && next.id]
+  );
+  await syncNextFollowup(client, locked.task.customer_id);
+  return { task: result.rows[0], previous: locked.task, nextTask: next };
+}
+
+/**
+ * Cancel an open task; the reason (optional) is kept as its outcome.
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @returns {Promise<{ task?: object, previous?: object, error?: string, status?: number }>}
+ */
+async function cancelTask(client, taskId, { reason = null } = {}) {
+  const locked = await lockOpenTask(client, taskId);
+  if (locked.error) return locked;
+
+  const result = await client.query(
+    `UPDATE followup_tasks SET status = 'cancelled', outcome = $2, updated_at = now()
+     WHERE id = $1
+     RETURNING ${TASK_COLUMNS}`,
+    [taskId, reason]
+  );
+  await syncNextFollowup(client, locked.task.customer_id);
+  return { task: result.rows[0], previous: locked.task };
+}
+
+module.exports = {
+  TASK_TYPES,
+  TASK_PRIORITIES,
+  TASK_STATUSES,
+  TASK_TYPE_LABELS,
+  TASK_COLUMNS,
+  validateTask,
+  syncNextFollowup,
+  openTaskJoin,
+  createTask,
+  updateTask,
+  completeTask,
+  cancelTask,
+};
@@ -0,0 +1,190 @@
+/**
+ * Follow-up date changes and the system comments that record them on the customer timeline.
+ * Shared by PUT /customers/:id/followup, PATCH /customers/:id and POST /customers/:id/followup/done.
+ *
+ * These keep the single-date API working on top of follow-up tasks (customers/followupTasks.js):
+ * setting a date moves the earliest open task (or creates a call task), clearing it cancels the open
+ * tasks, and "done" completes the earliest open task. A date later than another open task is refused
+ * (409): that task would stay the next follow-up, so the stored date would not be the one asked for.
+ */
+
+const { TASK_TYPE_LABELS, createTask, syncNextFollowup } = require('./followupTasks');
+
+// Format date for system comments: "15 Jun 2026"
+function formatCommentDate(dateStr) {
+  if (!dateStr) return null;
+  const d = new Date(dateStr + (dateStr.length === 10 ? 'T00:00:00.000Z' : ''));
+  if (Number.isNaN(d.getTime())) return null;
+  return d.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * YYYY-MM-DD for a date column value (pg returns DATE as a local-midnight Date) or string.
+ */
+function toDateString(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Comment describing a follow-up date change, or null when nothing changed.
+ */
+function followupChangeComment(previousDate, newDate) {
+  if (previousDate === newDate) return null;
+  if (!newDate) return 'Follow-up cleared.';
+  if (!previousDate) return `Follow-up scheduled for ${formatCommentDate(newDate)}.`;
+  return `Follow-up date changed from ${formatCommentDate(previousDate)} to ${formatCommentDate(newDate)}.`;
+}
+
+/**
+ * Timeline comment for a follow-up task being scheduled, done or cancelled.
+ * @param {'scheduled'|'done'|'cancelled'} event
+ */
+function taskComment(task, event) {
+  const label = TASK_TYPE_LABELS[task.type] || task.type;
+  const due = `${formatCommentDate(task.due_date)}${task.due_time ? ` at ${String(task.due_time).slice(0, 5)}` : ''}`;
+  switch (event) {
+    case 'scheduled':
+      return `Follow-up ${label} scheduled for ${due}.`;
+    case 'done':
+      return `Follow-up ${label} done: ${task.outcome}`;
+    default:
+      return `Follow-up ${label} for ${due} cancelled${task.outcome ? `: ${task.outcome}` : '.'}`;
+  }
+}
+
+// Written by POST /customers/:id/followup/done
+const FOLLOWUP_DONE_COMMENT = 'Follow-up marked as done.';
+
+/**
+ * Add an internal system comment to the timeline; authorId is the user whose action it records (null for jobs).
+ */
+async function addSystemComment(db, customerId, comment, authorId = null) {
+  await db.query(
+    "INSERT INTO customer_comments (customer_id, comment, author_id, type) VALUES ($1, $2, $3, 'system')",
+    [customerId, comment, authorId]
+  );
+}
+
+/**
+ * Validate a next_followup_date from a request body: YYYY-MM-DD or null.
+ * @returns {{ date?: string|null, error?: string }}
+ */
+function parseFollowupDateInput(value) {
+  if (value === null || value === undefined) {
+    return { date: null };
+  }
+  const dateStr = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+    return { error: 'next_followup_date must be YYYY-MM-DD or null' };
+  }
+  if (Number.isNaN(new Date(dateStr + 'T00:00:00.000Z').getTime())) {
+    return { error: 'next_followup_date is not a valid date' };
+  }
+  return { date: dateStr };
+}
+
+async function earliestOpenTaskId(db, customerId) {
+  const result = await db.query(
+    `SELECT id FROM followup_tasks
+     WHERE customer_id = $1 AND status = 'open'
+     ORDER BY due_date, due_time NULLS LAST, created_at
+     LIMIT 1
+     FOR UPDATE`,
+    [customerId]
+  );
+  return result.rows[0] ? result.rows[0].id : null;
+}
+
+/**
+ * Set a customer's next follow-up (YYYY-MM-DD or null) and log the change as a comment.
+ * A date moves the earliest open task there (or creates a call task); null cancels all open tasks.
+ * @param {import('pg').PoolClient} db - in a transaction
+ * @param {string} returning - columns to return
+ * @param {{ userId?: string|null }} [options]
+ * @returns {Promise<{ customer?: object, error?: string, status?: number }>} the updated row
+ */
+async function setFollowupDate(db, customerId, date, returning = 'id', { userId = null } = {}) {
+  const prev = await db.query('SELECT next_followup_date FROM customers WHERE id = $1 FOR UPDATE', [customerId]);
+  if (prev.rows.length === 0) {
+    return { status: 404, error: 'Customer not found' };
+  }
+
+  if (!date) {
+    await db.query(
+      `UPDATE followup_tasks SET status = 'cancelled', outcome = 'Follow-up cleared', updated_at = now()
+       WHERE customer_id = $1 AND status = 'open'`,
+      [customerId]
+    );
+  } else {
+    const taskId = await earliestOpenTaskId(db, customerId);
+    const earlier = taskId && await db.query(
+      `SELECT to_char(MIN(due_date), 'YYYY-MM-DD') AS due_date FROM followup_tasks
+       WHERE customer_id = $1 AND status = 'open' AND id <> $2 AND due_date < $3`,
+      [customerId, taskId, date]
+    );
+    if (earlier && earlier.rows[0].due_date) {
+      return {
+        status: 409,
+        error: `Another open follow-up task is due on ${earlier.rows[0].due_date}; complete, cancel or reschedule it first`,
+      };
+    }
+    if (taskId) {
+      await db.query('UPDATE followup_tasks SET due_date = $2, updated_at = now() WHERE id = $1', [taskId, date]);
+    } else {
+      await createTask(db, customerId, { type: 'call', due_date: date }, { userId });
+    }
+  }
+
+  const customer = await syncNextFollowup(db, customerId, returning);
+  const synced = await db.query('SELECT next_followup_date FROM customers WHERE id = $1', [customerId]);
+  const comment = followupChangeComment(
+    toDateString(prev.rows[0].next_followup_date),
+    toDateString(synced.rows[0].next_followup_date)
+  );
+  if (comment) {
+    await addSystemComment(db, customerId, comment);
+  }
+  return { customer };
+}
+
+/**
+ * Complete the customer's earliest open task (if any) and note it on the timeline. Later open tasks stay,
+ * so next_followup_date moves on to the next one.
+ * @param {import('pg').PoolClient} db - in a transaction
+ * @returns {Promise<object|null>} the updated row, or null if the customer does not exist
+ */
+async function markFollowupDone(db, customerId, returning = 'id', { userId = null } = {}) {
+  const exists = await db.query('SELECT 1 FROM customers WHERE id = $1 FOR UPDATE', [customerId]);
+  if (exists.rows.length === 0) {
+    return null;
+  }
+
+  const taskId = await earliestOpenTaskId(db, customerId);
+  if (taskId) {
+    await db.query(
+      `UPDATE followup_tasks
+       SET status = 'done', outcome = 'Marked as done', completed_at = now(), completed_by = $2, updated_at = now()
+       WHERE id = $1`,
+      [taskId, userId]
+    );
+  }
+  const customer = await syncNextFollowup(db, customerId, returning);
+  await addSystemComment(db, customerId, FOLLOWUP_DONE_COMMENT, userId);
+  return customer;
+}
+
+module.exports = {
+  FOLLOWUP_DONE_COMMENT,
+  formatCommentDate,
+  toDateString,
+  addSystemComment,
+  taskComment,
+  parseFollowupDateInput,
+  setFollowupDate,
+  markFollowupDone,
+};
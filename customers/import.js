@@ -0,0 +1,315 @@
+/**
+ * Bulk customer import from CSV (POST /customers/import).
+ *
+ * Columns are matched to customer fields by header name (see HEADER_ALIASES) or an explicit
+ * mapping { field: 'CSV header' }. Each row is validated: name required, phone normalised to +91…,
+ * status one of new, followup or lost (lost rows need lost_reason, the label of an active lost reason;
+ * converted is refused since an imported customer has no products yet, see customers/statusWorkflow.js),
+ * next_followup_date as YYYY-MM-DD or DD/MM/YYYY, assigned_to as the email of a staff/admin user. Duplicates are detected by phone, both within the
+ * file and against existing customers.
+ *
+ * Dry run only reports. Commit inserts every valid row in one transaction, and refuses (nothing inserted)
+ * if any row has errors unless skip_invalid is set. Duplicates are errors unless on_duplicate is "skip".
+ * Each inserted customer gets an audit log entry (audit/index.js) in the same transaction, and queues
+ * customer.created (plus followup.scheduled for its follow-up task) for webhook subscribers (webhooks/index.js).
+ */
+
+const { parseCsv } = require('./csv');
+const { PHONE_KEY_SQL, normalizeIndianPhone, phoneKey } = require('./phone');
+const { CUSTOMER_STATUSES } = require('./listQuery');
+const { TASK_COLUMNS } = require('./followupTasks');
+const { queueWebhookEvent } = require('../webhooks');
+
+const MAX_ROWS = 5000;
+const FIELDS = ['name', 'phone', 'city', 'status', 'lost_reason', 'next_followup_date', 'assigned_to'];
+const HEADER_ALIASES = {
+  name: ['name', 'full name', 'customer name', 'customer', 'lead name'],
+  phone: ['phone', 'mobile', 'phone number', 'mobile number', 'mobile no', 'contact', 'contact number'],
+  city: ['city', 'location', 'town'],
+  status: ['status', 'lead status'],
+  lost_reason: ['lost_reason', 'lost reason', 'reason lost', 'loss reason'],
+  next_followup_date: ['next_followup_date', 'next followup date', 'follow-up date', 'followup date', 'follow up'],
+  assigned_to: ['assigned_to', 'assigned to', 'owner', 'staff', 'staff email'],
+};
+
+function normalizeHeader(header) {
+  return header.trim().toLowerCase().replace(/[_\s]+/g, ' ');
+}
+
+/**
+ * Resolve each field to a column index.
+ * @returns {{ columns?: Record<string, number>, error?: string }}
+ */
+function resolveColumns(headers, mapping = {}) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  for (const field of Object.keys(mapping)) {
+    if (!FIELDS.includes(field)) {
+      return { error: `mapping has unknown field "${field}"; fields are: ${FIELDS.join(', ')}` };
+    }
+    const index = normalized.indexOf(normalizeHeader(String(mapping[field])));
+    if (index === -1) {
+      return { error: `mapping for ${field}: column "${mapping[field]}" not found` };
+    }
+    columns[field] = index;
+  }
+  for (const field of FIELDS) {
+    if (columns[field] !== undefined) continue;
+    const index = normalized.findIndex((h) => HEADER_ALIASES[field].map(normalizeHeader).includes(h));
+    if (index !== -1) columns[field] = index;
+  }
+
+  if (columns.name === undefined || columns.phone === undefined) {
+    return { error: 'CSV must have name and phone columns (or map them with mapping)' };
+  }
+  return { columns };
+}
+
+function parseDate(raw) {
+  let y;
+  let m;
+  let d;
+  let match = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    [, y, m, d] = match;
+  } else {
+    match = raw.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    if (!match) return null;
+    [, d, m, y] = match;
+  }
+  const iso = `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+  const date = new Date(`${iso}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== iso) return null;
+  return iso;
+}
+
+/**
+ * Parse and validate an import without writing anything.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} csvText
+ * @param {{ mapping?: Record<string, string> }} [options]
+ * @returns {Promise<{ error?: string, rows?: { row: number, data: object, errors: string[], duplicate_of: string|null }[] }>}
+ */
+async function validateImport(db, csvText, options = {}) {
+  const table = parseCsv(csvText);
+  if (table.length < 2) {
+    return { error: 'CSV must have a header row and at least one data row' };
+  }
+  if (table.length - 1 > MAX_ROWS) {
+    return { error: `CSV has more than ${MAX_ROWS} rows; split it into smaller files` };
+  }
+
+  const { columns, error } = resolveColumns(table[0], options.mapping);
+  if (error) {
+    return { error };
+  }
+
+  const assigneeEmails = new Set();
+  const lostReasons = new Set();
+  const rows = table.slice(1).map((cells, i) => {
+    const value = (field) => (columns[field] === undefined ? '' : (cells[columns[field]] || '').trim());
+    const errors = [];
+    const data = {};
+
+    data.name = value('name');
+    if (!data.name) errors.push('name is required');
+
+    const phone = normalizeIndianPhone(value('phone'));
+    if (phone.error) errors.push(phone.error);
+    data.phone = phone.phone || value('phone');
+    const key = phone.phone ? phoneKey(phone.phone) : null;
+
+    data.city = value('city') || null;
+
+    data.status = value('status').toLowerCase() || 'new';
+    if (data.status === 'converted') {
+      errors.push('status converted needs an active product; import as new or followup, then add products');
+    } else if (!CUSTOMER_STATUSES.includes(data.status)) {
+      errors.push(`status must be one of: ${CUSTOMER_STATUSES.join(', ')}`);
+    }
+
+    data.lost_reason = value('lost_reason') || null;
+    if (data.status === 'lost' && !data.lost_reason) {
+      errors.push('lost_reason is required when status is lost');
+    } else if (data.status !== 'lost' && data.lost_reason) {
+      errors.push('lost_reason is only used when status is lost');
+    }
+    if (data.status === 'lost' && data.lost_reason) lostReasons.add(data.lost_reason.toLowerCase());
+
+    const followup = value('next_followup_date');
+    data.next_followup_date = null;
+    if (followup) {
+      data.next_followup_date = parseDate(followup);
+      if (!data.next_followup_date) errors.push('next_followup_date must be YYYY-MM-DD or DD/MM/YYYY');
+    }
+
+    data.assigned_to = value('assigned_to').toLowerCase() || null;
+    if (data.assigned_to) assigneeEmails.add(data.assigned_to);
+
+    // Header is row 1, so the first data row is row 2 (as shown in a spreadsheet)
+    return { row: i + 2, data, errors, key, duplicate_of: null };
+  });
+
+  if (assigneeEmails.size > 0) {
+    const users = await db.query(
+      `SELECT id, email FROM users WHERE email = ANY($1::text[]) AND role IN ('admin', 'staff')`,
+      [[...assigneeEmails]]
+    );
+    const byEmail = new Map(users.rows.map((u) => [u.email, u.id]));
+    for (const r of rows) {
+      if (!r.data.assigned_to) continue;
+      const id = byEmail.get(r.data.assigned_to);
+      if (!id) r.errors.push(`assigned_to: no staff or admin user with email ${r.data.assigned_to}`);
+      r.data.assigned_to_id = id || null;
+    }
+  }
+
+  if (lostReasons.size > 0) {
+    const reasons = await db.query(
+      'SELECT id, lower(label) AS label FROM lost_reasons WHERE lower(label) = ANY($1::text[]) AND active',
+      [[...lostReasons]]
+    );
+    const byLabel = new Map(reasons.rows.map((r) => [r.label, r.id]));
+    for (const r of rows) {
+      if (r.data.status !== 'lost' || !r.data.lost_reason) continue;
+      const id = byLabel.get(r.data.lost_reason.toLowerCase());
+      if (!id) r.errors.push(`lost_reason: no active lost reason "${r.data.lost_reason}"`);
+      r.data.lost_reason_id = id || null;
+    }
+  }
+
+  const keys = [...new Set(rows.filter((r) => r.key).map((r) => r.key))];
+  const existing = await db.query(
+    `SELECT DISTINCT ON (${PHONE_KEY_SQL}) id, ${PHONE_KEY_SQL} AS phone_key
+     FROM customers
+     WHERE ${PHONE_KEY_SQL} = ANY($1::text[])
+     ORDER BY ${PHONE_KEY_SQL}, created_at`,
+    [keys]
+  );
+  const existingByKey = new Map(existing.rows.map((c) => [c.phone_key, c.id]));
+  const firstRowByKey = new Map();
+  for (const r of rows) {
+    if (!r.key) continue;
+    if (existingByKey.has(r.key)) {
+      r.duplicate_of = existingByKey.get(r.key);
+      r.errors.push('duplicate: a customer with this phone already exists');
+    } else if (firstRowByKey.has(r.key)) {
+      r.errors.push(`duplicate: same phone as row ${firstRowByKey.get(r.key)}`);
+    } else {
+      firstRowByKey.set(r.key, r.row);
+    }
+  }
+
+  return { rows };
+}
+
+function isDuplicateOnly(r) {
+  return r.errors.length > 0 && r.errors.every((e) => e.startsWith('duplicate'));
+}
+
+/**
+ * Validate and, unless dryRun, insert in one transaction.
+ * @param {import('pg').Pool} pool
+ * @param {string} csvText
+ * @param {{ mapping?: object, dryRun?: boolean, skipInvalid?: boolean, onDuplicate?: 'error'|'skip',
+ *   audit?: (db: import('pg').PoolClient, entry: object) => Promise<void> }} options - audit from auditFor(req)
+ * @returns {Promise<{ error?: string, status?: number, report?: object, webhooks?: number }>} webhooks: events
+ *   queued; kick the webhook queue (kickWebhookQueue) if any
+ */
+async function importCustomers(pool, csvText, options) {
+  const { dryRun = true, skipInvalid = false, onDuplicate = 'error', audit } = options;
+  const validated = await validateImport(pool, csvText, options);
+  if (validated.error) {
+    return { status: 400, error: validated.error };
+  }
+
+  const { rows } = validated;
+  const skipped = rows.filter((r) => onDuplicate === 'skip' && isDuplicateOnly(r));
+  const invalid = rows.filter((r) => r.errors.length > 0 && !skipped.includes(r));
+  const valid = rows.filter((r) => r.errors.length === 0);
+
+  const report = {
+    dry_run: dryRun,
+    total_rows: rows.length,
+    valid: valid.length,
+    invalid: invalid.length,
+    skipped_duplicates: skipped.length,
+    inserted: 0,
+    errors: invalid.map((r) => ({ row: r.row, errors: r.errors, duplicate_of: r.duplicate_of })),
+    skipped: skipped.map((r) => ({ row: r.row, errors: r.errors, duplicate_of: r.duplicate_of })),
+  };
+
+  if (dryRun) {
+    return { report };
+  }
+  if (invalid.length > 0 && !skipInvalid) {
+    return { status: 422, error: 'Import has invalid rows; nothing was inserted', report };
+  }
+  if (valid.length === 0) {
+    return { report };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const column = (key) => valid.map((r) => r.data[key]);
+    const inserted = await client.query(
+      `INSERT INTO customers (name, phone, city, status, lost_reason_id, next_followup_date, assigned_to)
+       SELECT * FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::uuid[], $6::date[], $7::uuid[])
+       RETURNING id, name, phone, city, status, lost_reason_id, next_followup_date, assigned_to, created_at`,
+      [
+        column('name'),
+        column('phone'),
+        column('city'),
+        column('status'),
+        valid.map((r) => r.data.lost_reason_id || null),
+        column('next_followup_date'),
+        valid.map((r) => r.data.assigned_to_id || null),
+      ]
+    );
+    const ids = inserted.rows.map((r) => r.id);
+    await client.query(
+      `INSERT INTO customer_comments (customer_id, comment)
+       SELECT unnest($1::uuid[]), 'Imported from CSV.'`,
+      [ids]
+    );
+    await client.query(
+      `INSERT INTO customer_status_history (customer_id, to_status, lost_reason_id, note)
+       SELECT u.*, 'Imported from CSV.' FROM unnest($1::uuid[], $2::text[], $3::uuid[]) AS u`,
+      [ids, inserted.rows.map((r) => r.status), inserted.rows.map((r) => r.lost_reason_id)]
+    );
+    // A follow-up date becomes an open call task, as for customers created through the API
+    const tasks = await client.query(
+      `INSERT INTO followup_tasks (customer_id, type, due_date, assigned_to)
+       SELECT id, 'call', next_followup_date, assigned_to FROM customers
+       WHERE id = ANY($1::uuid[]) AND next_followup_date IS NOT NULL
+       RETURNING ${TASK_COLUMNS}`,
+      [ids]
+    );
+    let webhooks = 0;
+    for (const customer of inserted.rows) {
+      if (audit) {
+        await audit(client, { action: 'import', entityType: 'customer', entityId: customer.id, after: customer });
+      }
+      webhooks += await queueWebhookEvent(client, 'customer.created', { customer_id: customer.id, customer });
+    }
+    for (const task of tasks.rows) {
+      webhooks += await queueWebhookEvent(client, 'followup.scheduled', { customer_id: task.customer_id, task });
+    }
+    await client.query('COMMIT');
+    report.inserted = ids.length;
+    report.customer_ids = ids;
+    return { report, webhooks };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  importCustomers,
+  validateImport,
+};
@@ -0,0 +1,227 @@
+/**
+ * Filtering, search, sorting and keyset pagination for customer lists (GET /customers).
+ * All SQL assumes the customers table is aliased as "c".
+ *
+ * Filters (query string): status, city (comma-separated), followup_from, followup_to (YYYY-MM-DD),
+ * product_type (comma-separated, matched against customer_products), q (partial name or phone),
+ * assigned_to (see customers/assignment.js). Archived customers are left out unless include_archived=true.
+ * Paging: sort, order (asc|desc), limit, and either cursor (from next_cursor) or offset.
+ */
+
+const { UUID_RE, parseAssigneeFilter, assigneeCondition } = require('./assignment');
+
+const CUSTOMER_STATUSES = ['new', 'followup', 'converted', 'lost'];
+const PRODUCT_TYPES = ['insurance', 'loan', 'sip'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Sort key → SQL expression and its type (for casting the cursor value back).
+// Nullable columns are coalesced so keyset comparisons stay total.
+const SORT_KEYS = {
+  created_at: { expr: 'c.created_at', type: 'timestamptz' },
+  name: { expr: 'lower(c.name)', type: 'text' },
+  status: { expr: 'c.status', type: 'text' },
+  city: { expr: "COALESCE(lower(c.city), '')", type: 'text' },
+  next_followup_date: { expr: "COALESCE(c.next_followup_date, 'infinity'::date)", type: 'date' },
+};
+
+// Cursor sort values as Postgres prints each type (sort_value is the expression cast to text)
+const CURSOR_VALUE_RE = {
+  timestamptz: /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?[+-]\d{2}(:\d{2}){0,2}$/,
+  date: /^(\d{4}-\d{2}-\d{2}|infinity)$/,
+};
+const MAX_CURSOR_TEXT_LENGTH = 1000;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function splitList(value) {
+  if (value === undefined || value === null) return [];
+  return String(value)
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+/**
+ * Condition hiding archived rows (customers/archive.js) unless the request has ?include_archived=true.
+ * @param {object} query - req.query
+ * @param {string} [column]
+ * @returns {string|null}
+ */
+function archivedCondition(query, column = 'c.archived_at') {
+  return query.include_archived === 'true' ? null : `${column} IS NULL`;
+}
+
+/**
+ * Build WHERE conditions for the customer list filters.
+ * @param {import('express').Request} req - after authenticate
+ * @returns {{ conditions?: string[], values?: any[], error?: string, status?: number }}
+ */
+function buildCustomerFilters(req) {
+  const { query } = req;
+  const conditions = [];
+  const values = [];
+
+  const archived = archivedCondition(query);
+  if (archived) conditions.push(archived);
+
+  const assignee = parseAssigneeFilter(req);
+  if (assignee.error) {
+    return { status: assignee.status, error: assignee.error };
+  }
+  const assigneeSql = assigneeCondition(assignee.filter, values, 'c.assigned_to');
+  if (assigneeSql) conditions.push(assigneeSql);
+
+  const statuses = splitList(query.status);
+  if (statuses.length > 0) {
+    const invalid = statuses.filter((s) => !CUSTOMER_STATUSES.includes(s));
+    if (invalid.length > 0) {
+      return { status: 400, error: `status must be one of: ${CUSTOMER_STATUSES.join(', ')}` };
+    }
+    values.push(statuses);
+    conditions.push(`c.status = ANY($${values.length}::text[])`);
+  }
+
+  const cities = splitList(query.city).map((c) => c.toLowerCase());
+  if (cities.length > 0) {
+    values.push(cities);
+    conditions.push(`lower(c.city) = ANY($${values.length}::text[])`);
+  }
+
+  for (const [param, op] of [['followup_from', '>='], ['followup_to', '<=']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const value = String(query[param]).trim();
+    if (!DATE_RE.test(value) || Number.isNaN(new Date(`${value}T00:00:00.000Z`).getTime())) {
+      return { status: 400, error: `${param} must be YYYY-MM-DD` };
+    }
+    values.push(value);
+    conditions.push(`c.next_followup_date ${op} $${values.length}::date`);
+  }
+
+  const productTypes = splitList(query.product_type);
+  if (productTypes.length > 0) {
+    const invalid = productTypes.filter((t) => !PRODUCT_TYPES.includes(t));
+    if (invalid.length > 0) {
+      return { status: 400, error: `product_type must be one of: ${PRODUCT_TYPES.join(', ')}` };
+    }
+    values.push(productTypes);
+    conditions.push(
+      `EXISTS (SELECT 1 FROM customer_products p
+               WHERE p.customer_id = c.id AND p.product_type = ANY($${values.length}::text[]))`
+    );
+  }
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) {
+    values.push(`%${escapeLike(q)}%`);
+    const nameCondition = `c.name ILIKE $${values.length}`;
+    const digits = q.replace(/\D/g, '');
+    if (digits.length >= 3) {
+      values.push(`%${digits}%`);
+      conditions.push(`(${nameCondition} OR regexp_replace(c.phone, '\\D', '', 'g') LIKE $${values.length})`);
+    } else {
+      conditions.push(nameCondition);
+    }
+  }
+
+  return { conditions, values };
+}
+
+function encodeCursor(sortValue, id) {
+  return Buffer.from(JSON.stringify([sortValue, id])).toString('base64url');
+}
+
+/**
+ * Cursor from next_cursor, or null when it is malformed or was made for another sort.
+ * @param {string} type - the sort's SQL type
+ */
+function decodeCursor(cursor, type) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 2) return null;
+  const [sortValue, id] = decoded;
+  if (typeof id !== 'string' || !UUID_RE.test(id) || typeof sortValue !== 'string') return null;
+  const valid = CURSOR_VALUE_RE[type] ? CURSOR_VALUE_RE[type].test(sortValue) : sortValue.length <= MAX_CURSOR_TEXT_LENGTH;
+  return valid ? { sortValue, id } : null;
+}
+
+/**
+ * Parse sort, order, limit, cursor and offset.
+ * @param {object} query - req.query
+ * @returns {{ sort?: { key: string, expr: string, type: string }, order?: 'ASC'|'DESC', limit?: number,
+ *   cursor?: { sortValue: string, id: string }|null, offset?: number, error?: string }}
+ */
+function parsePagination(query) {
+  const sortKey = query.sort || 'created_at';
+  if (!SORT_KEYS[sortKey]) {
+    return { error: `sort must be one of: ${Object.keys(SORT_KEYS).join(', ')}` };
+  }
+
+  const orderParam = String(query.order || (sortKey === 'created_at' ? 'desc' : 'asc')).toLowerCase();
+  if (orderParam !== 'asc' && orderParam !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor, SORT_KEYS[sortKey].type);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  let offset = 0;
+  if (query.offset !== undefined) {
+    if (cursor) {
+      return { error: 'Use either cursor or offset, not both' };
+    }
+    offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return { error: 'offset must be a non-negative integer' };
+    }
+  }
+
+  return {
+    sort: { key: sortKey, ...SORT_KEYS[sortKey] },
+    order: orderParam === 'asc' ? 'ASC' : 'DESC',
+    limit,
+    cursor,
+    offset,
+  };
+}
+
+/**
+ * Keyset condition for rows after the cursor, appending parameters to values.
+ * @returns {string}
+ */
+function cursorCondition(sort, order, cursor, values) {
+  values.push(cursor.sortValue, cursor.id);
+  const op = order === 'ASC' ? '>' : '<';
+  return `(${sort.expr}, c.id) ${op} ($${values.length - 1}::${sort.type}, $${values.length}::uuid)`;
+}
+
+module.exports = {
+  CUSTOMER_STATUSES,
+  PRODUCT_TYPES,
+  archivedCondition,
+  buildCustomerFilters,
+  parsePagination,
+  cursorCondition,
+  encodeCursor,
+};
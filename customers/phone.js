@@ -0,0 +1,48 @@
+/**
+ * Indian phone number normalisation.
+ * Stored form is E.164: +91 followed by the 10-digit national number.
+ * Duplicate detection compares the last 10 digits (PHONE_KEY_SQL) so legacy rows stored
+ * as "98765 43210" or "09876543210" still match. A customer without a phone (NULL, e.g. provisioned by
+ * Google sign-in) has no key and matches nobody.
+ */
+
+// SQL expression for the comparable key of customers.phone (see migrations/010_customers_phone_key.sql)
+const PHONE_KEY_SQL = "right(regexp_replace(phone, '\\D', '', 'g'), 10)";
+
+/**
+ * @param {unknown} raw
+ * @returns {{ phone?: string, error?: string }} phone as +91XXXXXXXXXX
+ */
+function normalizeIndianPhone(raw) {
+  let digits = String(raw ?? '').replace(/[\s\-().]/g, '');
+  if (!digits) {
+    return { error: 'phone is required' };
+  }
+  if (!/^\+?\d+$/.test(digits)) {
+    return { error: 'phone must contain only digits' };
+  }
+  digits = digits.replace(/^\+/, '');
+  if (digits.length === 14 && digits.startsWith('0091')) digits = digits.slice(4);
+  else if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+  else if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+
+  if (!/^[2-9]\d{9}$/.test(digits)) {
+    return { error: 'phone must be a 10-digit Indian number' };
+  }
+  return { phone: `+91${digits}` };
+}
+
+/**
+ * Comparable key for a phone number (last 10 digits), matching PHONE_KEY_SQL; null without any digits.
+ * @param {string|null} phone
+ * @returns {string|null}
+ */
+function phoneKey(phone) {
+  return String(phone ?? '').replace(/\D/g, '').slice(-10) || null;
+}
+
+module.exports = {
+  PHONE_KEY_SQL,
+  normalizeIndianPhone,
+  phoneKey,
+};
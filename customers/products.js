@@ -0,0 +1,192 @@
+/**
+ * Customer products (insurance, loan, sip): type-specific fields and their validation.
+ *
+ * Each type has its own detail fields (PRODUCT_FIELDS); sending a field that belongs to another type is
+ * an error. Required fields (all of them today; the reminder job in jobs/reminders.js depends on the dates)
+ * must be given when a product is created and cannot be cleared later; older records created without them
+ * stay valid until edited. Amounts are rupees with up to 2 decimals and come back from Postgres as strings
+ * (numeric) to keep them exact.
+ */
+
+const { PRODUCT_TYPES } = require('./listQuery');
+
+const PREMIUM_FREQUENCIES = ['monthly', 'quarterly', 'half_yearly', 'yearly', 'single'];
+
+const PRODUCT_FIELDS = {
+  insurance: {
+    insurer: { kind: 'text', required: true },
+    policy_number: { kind: 'text', required: true },
+    sum_assured: { kind: 'money', required: true },
+    premium: { kind: 'money', required: true },
+    premium_frequency: { kind: 'enum', values: PREMIUM_FREQUENCIES, required: true },
+    renewal_date: { kind: 'date', required: true },
+  },
+  loan: {
+    lender: { kind: 'text', required: true },
+    principal: { kind: 'money', required: true },
+    interest_rate: { kind: 'number', min: 0, max: 100, label: 'a percentage between 0 and 100', required: true },
+    tenure_months: { kind: 'integer', min: 1, max: 600, required: true },
+    emi: { kind: 'money', required: true },
+    disbursal_date: { kind: 'date', required: true },
+  },
+  sip: {
+    fund_name: { kind: 'text', required: true },
+    folio_number: { kind: 'text', required: true },
+    monthly_amount: { kind: 'money', required: true },
+    start_date: { kind: 'date', required: true },
+    sip_day: { kind: 'integer', min: 1, max: 31, required: true },
+  },
+};
+
+const DETAIL_FIELDS = Object.values(PRODUCT_FIELDS).flatMap((fields) => Object.keys(fields));
+
+// Columns returned for a product row by every product endpoint
+const PRODUCT_COLUMNS = [
+  'id', 'customer_id', 'product_type', 'product_name', 'status',
+  ...DETAIL_FIELDS,
+  'closed_at', 'archived_at', 'created_at', 'updated_at',
+].join(', ');
+
+// Exclusive: the amount columns are numeric(12, 2) (the widest are numeric(14, 2)), so at most 9999999999.99
+const MAX_MONEY = 1e10;
+const NUMERIC_KINDS = ['money', 'number', 'integer'];
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * @returns {{ value?: any, error?: string }}
+ */
+function parseField(name, spec, raw) {
+  if (raw === null || raw === '') {
+    return { value: null };
+  }
+  if (spec.kind === 'text' && typeof raw !== 'string') {
+    return { error: `${name} must be a string` };
+  }
+  // Numbers may come as JSON numbers or strings (forms); nothing else is coerced
+  if (NUMERIC_KINDS.includes(spec.kind) && typeof raw !== 'number' && typeof raw !== 'string') {
+    return { error: `${name} must be a number` };
+  }
+  switch (spec.kind) {
+    case 'text': {
+      const value = raw.trim();
+      if (value.length > 200) return { error: `${name} must be at most 200 characters` };
+      return { value: value || null };
+    }
+    case 'money': {
+      const value = Number(raw);
+      if (!/^\d+(\.\d{1,2})?$/.test(String(raw)) || value <= 0 || value >= MAX_MONEY) {
+        return { error: `${name} must be a positive amount below ${MAX_MONEY} with at most 2 decimals` };
+      }
+      return { value };
+    }
+    case 'number': {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < spec.min || value > spec.max) {
+        return { error: `${name} must be ${spec.label}` };
+      }
+      return { value };
+    }
+    case 'integer': {
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        return { error: `${name} must be an integer between ${spec.min} and ${spec.max}` };
+      }
+      return { value };
+    }
+    case 'enum':
+      if (!spec.values.includes(raw)) return { error: `${name} must be one of: ${spec.values.join(', ')}` };
+      return { value: raw };
+    case 'date':
+      if (!isValidDate(raw)) return { error: `${name} must be a date (YYYY-MM-DD)` };
+      return { value: raw };
+    default:
+      throw new Error(`Unknown field kind ${spec.kind}`);
+  }
+}
+
+/**
+ * Validate the detail fields present in `body` for a product of `productType`.
+ * @returns {{ data?: Record<string, any>, error?: string }}
+ */
+function validateProductDetails(productType, body) {
+  const fields = PRODUCT_FIELDS[productType];
+  const data = {};
+  for (const name of DETAIL_FIELDS) {
+    if (body[name] === undefined) continue;
+    if (!fields[name]) {
+      return { error: `${name} does not apply to ${productType} products` };
+    }
+    const { value, error } = parseField(name, fields[name], body[name]);
+    if (error) return { error };
+    data[name] = value;
+  }
+  return { data };
+}
+
+/**
+ * Validate a new product (POST /customers/:id/products).
+ * @returns {{ data?: Record<string, any>, error?: string }}
+ */
+function validateNewProduct(body) {
+  const { product_type, product_name, status = 'active' } = body;
+  if (!product_type || typeof product_name !== 'string' || !product_name.trim()) {
+    return { error: 'product_type and product_name are required' };
+  }
+  if (!PRODUCT_TYPES.includes(product_type)) {
+    return { error: `product_type must be one of: ${PRODUCT_TYPES.join(', ')}` };
+  }
+  if (status !== 'active' && status !== 'closed') {
+    return { error: 'status must be active or closed' };
+  }
+  const details = validateProductDetails(product_type, body);
+  if (details.error) return details;
+  const fields = PRODUCT_FIELDS[product_type];
+  const missing = Object.keys(fields).filter((name) => fields[name].required && details.data[name] == null);
+  if (missing.length > 0) {
+    return { error: `${product_type} products need ${missing.join(', ')}` };
+  }
+  return { data: { product_type, product_name: product_name.trim(), status, ...details.data } };
+}
+
+/**
+ * Validate a partial update of an existing product (PATCH). Type and status cannot change here;
+ * use POST .../close to close a product.
+ * @returns {{ data?: Record<string, any>, error?: string }}
+ */
+function validateProductUpdate(productType, body) {
+  if (body.product_type !== undefined && body.product_type !== productType) {
+    return { error: 'product_type cannot be changed; close this product and add a new one' };
+  }
+  if (body.status !== undefined) {
+    return { error: 'status cannot be updated directly; use the close endpoint' };
+  }
+  const details = validateProductDetails(productType, body);
+  if (details.error) return details;
+  const data = details.data;
+  const cleared = Object.keys(data).find((name) => data[name] === null && PRODUCT_FIELDS[productType][name].required);
+  if (cleared) {
+    return { error: `${cleared} is required and cannot be cleared` };
+  }
+  if (body.product_name !== undefined) {
+    const name = typeof body.product_name === 'string' ? body.product_name.trim() : '';
+    if (!name) return { error: 'product_name cannot be empty' };
+    data.product_name = name;
+  }
+  if (Object.keys(data).length === 0) {
+    return { error: 'No fields to update' };
+  }
+  return { data };
+}
+
+module.exports = {
+  PRODUCT_FIELDS,
+  PRODUCT_COLUMNS,
+  PREMIUM_FREQUENCIES,
+  validateNewProduct,
+  validateProductUpdate,
+};
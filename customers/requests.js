@@ -0,0 +1,178 @@
+/**
+ * Requests customers make through the self-service API (routes/me.js): a callback, or interest in a new
+ * product. Each request creates a follow-up call task (customers/followupTasks.js), assigned like any new
+ * task to the customer's advisor, plus an internal timeline comment. The customer sees the request's
+ * progress through its task: pending while the task is open, then completed or cancelled.
+ *
+ * A customer can have one pending callback, and one pending interest per product type, at a time.
+ */
+
+const { PRODUCT_TYPES } = require('./listQuery');
+const { businessToday } = require('./businessDay');
+const { createTask } = require('./followupTasks');
+const { addSystemComment, formatCommentDate } = require('./followups');
+
+const MAX_NOTE_LENGTH = 1000;
+// How far ahead a customer can ask to be called
+const MAX_CALLBACK_DAYS = 30;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const PRODUCT_LABELS = { insurance: 'insurance', loan: 'a loan', sip: 'a SIP' };
+
+// What customers see of a request
+const REQUEST_COLUMNS = `r.id, r.kind, r.product_type, r.note, r.created_at,
+  to_char(t.due_date, 'YYYY-MM-DD') AS scheduled_date, to_char(t.due_time, 'HH24:MI') AS scheduled_time,
+  CASE t.status WHEN 'open' THEN 'pending' WHEN 'done' THEN 'completed' ELSE 'cancelled' END AS status`;
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function validateNote(note) {
+  if (note === undefined || note === null) return { note: null };
+  if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+    return { error: `note must be text of at most ${MAX_NOTE_LENGTH} characters` };
+  }
+  return { note: note.trim() || null };
+}
+
+/**
+ * Validate a callback request: { preferred_date?, preferred_time?, note? }. The date defaults to today
+ * and must be within the next MAX_CALLBACK_DAYS days.
+ * @returns {{ data?: { due_date: string, due_time: string|null, note: string|null }, error?: string }}
+ */
+function validateCallbackRequest(body) {
+  const { preferred_date, preferred_time } = body || {};
+  const today = businessToday();
+  const date = preferred_date === undefined || preferred_date === null ? today : preferred_date;
+  if (
+    typeof date !== 'string'
+    || !/^\d{4}-\d{2}-\d{2}$/.test(date)
+    || Number.isNaN(new Date(`${date}T00:00:00.000Z`).getTime())
+  ) {
+    return { error: 'preferred_date must be YYYY-MM-DD' };
+  }
+  if (date < today || date > addDays(today, MAX_CALLBACK_DAYS)) {
+    return { error: `preferred_date must be between today and ${MAX_CALLBACK_DAYS} days from now` };
+  }
+  if (preferred_time !== undefined && preferred_time !== null
+    && (typeof preferred_time !== 'string' || !TIME_RE.test(preferred_time))) {
+    return { error: 'preferred_time must be HH:MM (24-hour)' };
+  }
+  const { note, error } = validateNote(body.note);
+  if (error) return { error };
+  return { data: { due_date: date, due_time: preferred_time || null, note } };
+}
+
+/**
+ * Validate a product interest: { product_type, note? }.
+ * @returns {{ data?: { product_type: string, note: string|null }, error?: string }}
+ */
+function validateInterestRequest(body) {
+  const { product_type } = body || {};
+  if (!PRODUCT_TYPES.includes(product_type)) {
+    return { error: `product_type must be one of: ${PRODUCT_TYPES.join(', ')}` };
+  }
+  const { note, error } = validateNote(body.note);
+  if (error) return { error };
+  return { data: { product_type, note } };
+}
+
+function requestText(kind, data) {
+  const note = data.note ? `: ${data.note}` : '.';
+  if (kind === 'callback') {
+    const time = data.due_time ? ` at ${data.due_time}` : '';
+    return `Customer requested a callback for ${formatCommentDate(data.due_date)}${time}${note}`;
+  }
+  return `Customer is interested in ${PRODUCT_LABELS[data.product_type]}${note}`;
+}
+
+async function findRequest(db, requestId) {
+  const result = await db.query(
+    `SELECT ${REQUEST_COLUMNS}
+     FROM customer_requests r
+     LEFT JOIN followup_tasks t ON t.id = r.task_id
+     WHERE r.id = $1`,
+    [requestId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Record a customer's request and create the follow-up task for their advisor.
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @param {'callback'|'product_interest'} kind
+ * @param {object} data - validated by validateCallbackRequest / validateInterestRequest
+ * @returns {Promise<{ request?: object, task?: object, error?: string, status?: number }>} task: the follow-up task created
+ */
+async function createCustomerRequest(client, customerId, kind, data, { userId }) {
+  // Locking the customer serialises concurrent requests, so the pending check below holds
+  const customer = await client.query('SELECT 1 FROM customers WHERE id = $1 FOR UPDATE', [customerId]);
+  if (customer.rows.length === 0) {
+    return { status: 404, error: 'Customer not found' };
+  }
+  const productType = kind === 'product_interest' ? data.product_type : null;
+  const pending = await client.query(
+    `SELECT r.id
+     FROM customer_requests r
+     JOIN followup_tasks t ON t.id = r.task_id
+     WHERE r.customer_id = $1 AND r.kind = $2 AND r.product_type IS NOT DISTINCT FROM $3 AND t.status = 'open'
+     LIMIT 1`,
+    [customerId, kind, productType]
+  );
+  if (pending.rows.length > 0) {
+    return {
+      status: 409,
+      error: kind === 'callback'
+        ? 'You already have a callback request pending'
+        : `You have already told us you are interested in ${PRODUCT_LABELS[productType]}`,
+    };
+  }
+
+  const text = requestText(kind, data);
+  const { task, error, status } = await createTask(
+    client,
+    customerId,
+    {
+      type: 'call',
+      due_date: kind === 'callback' ? data.due_date : businessToday(),
+      due_time: kind === 'callback' ? data.due_time : null,
+      priority: kind === 'callback' ? 'high' : 'normal',
+      notes: text,
+    },
+    { userId }
+  );
+  if (error) return { error, status };
+
+  const inserted = await client.query(
+    `INSERT INTO customer_requests (customer_id, kind, product_type, note, task_id, requested_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [customerId, kind, productType, data.note, task.id, userId]
+  );
+  await addSystemComment(client, customerId, text, userId);
+  return { request: await findRequest(client, inserted.rows[0].id), task };
+}
+
+/**
+ * A customer's requests, newest first.
+ */
+async function listCustomerRequests(db, customerId) {
+  const result = await db.query(
+    `SELECT ${REQUEST_COLUMNS}
+     FROM customer_requests r
+     LEFT JOIN followup_tasks t ON t.id = r.task_id
+     WHERE r.customer_id = $1
+     ORDER BY r.created_at DESC`,
+    [customerId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  validateCallbackRequest,
+  validateInterestRequest,
+  createCustomerRequest,
+  listCustomerRequests,
+};
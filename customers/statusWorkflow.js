@@ -0,0 +1,134 @@
+/**
+ * Lead status workflow: which status changes are allowed, what each needs, and the history they leave.
+ *
+ * Allowed transitions come from STATUS_TRANSITIONS (JSON: { "from": ["to", ...] }), default:
+ *   new       → followup, converted, lost
+ *   followup  → converted, lost
+ *   converted → lost
+ *   lost      → new, followup
+ * Moving to 'lost' needs an active lost reason (lost_reasons, managed at /lost-reasons); moving to
+ * 'converted' needs at least one active product. Every change is written to customer_status_history
+ * with the user who made it. New customers start as 'new' or 'followup'. CSV imports (customers/import.js)
+ * may also bring 'lost' records with a lost reason, but not 'converted' ones: an imported customer has no
+ * products yet.
+ */
+
+const { CUSTOMER_STATUSES } = require('./listQuery');
+const { UUID_RE } = require('./assignment');
+
+const DEFAULT_TRANSITIONS = {
+  new: ['followup', 'converted', 'lost'],
+  followup: ['converted', 'lost'],
+  converted: ['lost'],
+  lost: ['new', 'followup'],
+};
+const INITIAL_STATUSES = ['new', 'followup'];
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Allowed transitions, from STATUS_TRANSITIONS or the defaults. Throws if the setting is invalid.
+ * @returns {Record<string, string[]>}
+ */
+function statusTransitions() {
+  const raw = process.env.STATUS_TRANSITIONS;
+  if (!raw) return DEFAULT_TRANSITIONS;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error('STATUS_TRANSITIONS must be JSON, e.g. {"new":["followup","lost"]}');
+  }
+  const transitions = {};
+  for (const status of CUSTOMER_STATUSES) {
+    const targets = parsed[status] || [];
+    if (!Array.isArray(targets) || targets.some((t) => !CUSTOMER_STATUSES.includes(t) || t === status)) {
+      throw new Error(`STATUS_TRANSITIONS.${status} must be a list of other statuses (${CUSTOMER_STATUSES.join(', ')})`);
+    }
+    transitions[status] = targets;
+  }
+  return transitions;
+}
+
+/**
+ * Change a customer's status inside the caller's transaction, after checking the workflow rules.
+ * Setting the current status again is a no-op (nothing is recorded).
+ * @param {import('pg').PoolClient} client - in a transaction
+ * @param {{ customerId: string, status: string, lostReasonId?: string, note?: string, userId: string|null }} change
+ * @returns {Promise<{ changed?: boolean, error?: string, status?: number }>}
+ */
+async function changeCustomerStatus(client, { customerId, status, lostReasonId, note, userId }) {
+  if (!CUSTOMER_STATUSES.includes(status)) {
+    return { status: 400, error: `status must be one of: ${CUSTOMER_STATUSES.join(', ')}` };
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    return { status: 400, error: `status_note must be text of at most ${MAX_NOTE_LENGTH} characters` };
+  }
+
+  const current = await client.query('SELECT status FROM customers WHERE id = $1 FOR UPDATE', [customerId]);
+  if (current.rows.length === 0) {
+    return { status: 404, error: 'Customer not found' };
+  }
+  const from = current.rows[0].status;
+  if (from === status) {
+    return { changed: false };
+  }
+  if (!(statusTransitions()[from] || []).includes(status)) {
+    return { status: 409, error: `Cannot change status from ${from} to ${status}` };
+  }
+
+  if (status === 'lost') {
+    if (!lostReasonId) {
+      return { status: 400, error: 'lost_reason_id is required to mark a customer as lost' };
+    }
+    const reason = UUID_RE.test(String(lostReasonId))
+      ? await client.query('SELECT active FROM lost_reasons WHERE id = $1', [lostReasonId])
+      : { rows: [] };
+    if (reason.rows.length === 0 || !reason.rows[0].active) {
+      return { status: 400, error: 'lost_reason_id must be an active lost reason' };
+    }
+  } else if (lostReasonId !== undefined && lostReasonId !== null) {
+    return { status: 400, error: 'lost_reason_id is only used when status is lost' };
+  }
+
+  if (status === 'converted') {
+    const products = await client.query(
+      "SELECT 1 FROM customer_products WHERE customer_id = $1 AND status = 'active' AND archived_at IS NULL LIMIT 1",
+      [customerId]
+    );
+    if (products.rows.length === 0) {
+      return { status: 409, error: 'A customer needs at least one active product to be converted' };
+    }
+  }
+
+  // converted_at keeps the first conversion time while the customer stays converted
+  await client.query(
+    `UPDATE customers
+     SET status = $2,
+         lost_reason_id = $3,
+         converted_at = CASE WHEN $2 = 'converted' THEN COALESCE(converted_at, now()) END
+     WHERE id = $1`,
+    [customerId, status, status === 'lost' ? lostReasonId : null]
+  );
+  await recordStatusChange(client, { customerId, from, to: status, lostReasonId, note, userId });
+  return { changed: true };
+}
+
+/**
+ * Write one customer_status_history row.
+ * @param {{ customerId: string, from: string|null, to: string, lostReasonId?: string|null, note?: string|null, userId?: string|null }} change
+ */
+async function recordStatusChange(db, { customerId, from, to, lostReasonId = null, note = null, userId = null }) {
+  await db.query(
+    `INSERT INTO customer_status_history (customer_id, from_status, to_status, lost_reason_id, note, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [customerId, from, to, to === 'lost' ? lostReasonId : null, note || null, userId]
+  );
+}
+
+module.exports = {
+  INITIAL_STATUSES,
+  statusTransitions,
+  changeCustomerStatus,
+  recordStatusChange,
+};
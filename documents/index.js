@@ -0,0 +1,297 @@
+/**
+ * Customer documents (KYC proofs, policy PDFs, loan sanction letters): validation, storage and signed
+ * download links. Routes: /customers/:id/documents in server.js, the download itself in routes/documents.js.
+ *
+ * Uploads are PDF, JPEG or PNG up to DOCUMENT_MAX_MB (default 10). The type is taken from the file's
+ * content, not the name or the Content-Type the client sent. A document can be linked to one of the
+ * customer's products. Files live in the storage backend (documents/storage.js); the database row keeps
+ * the metadata and the storage key.
+ *
+ * Downloads go through signed URLs: an authorized user asks for a link, which works without a login
+ * until it expires (DOCUMENT_URL_TTL_SECONDS, default 300). Links are signed with DOCUMENT_URL_SECRET
+ * (default JWT_SECRET) and start with API_BASE_URL (the API's public origin), never the request's Host
+ * header; without API_BASE_URL they are paths relative to the API.
+ */
+
+const crypto = require('crypto');
+const { UUID_RE } = require('../customers/assignment');
+const { addSystemComment } = require('../customers/followups');
+const { getDocumentStorage } = require('./storage');
+
+const DOCUMENT_TYPES = ['pan', 'aadhaar', 'address_proof', 'bank_statement', 'photo', 'policy', 'loan_sanction', 'other'];
+const DOCUMENT_TYPE_LABELS = {
+  pan: 'PAN card',
+  aadhaar: 'Aadhaar',
+  address_proof: 'address proof',
+  bank_statement: 'bank statement',
+  photo: 'photo',
+  policy: 'policy document',
+  loan_sanction: 'loan sanction letter',
+  other: 'document',
+};
+
+// Accepted file types, recognised by their first bytes
+const FILE_SIGNATURES = [
+  { mimeType: 'application/pdf', magic: Buffer.from('%PDF-') },
+  { mimeType: 'image/jpeg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+  { mimeType: 'image/png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+];
+const DEFAULT_MAX_MB = 10;
+const DEFAULT_URL_TTL_SECONDS = 300;
+const MAX_FILE_NAME_LENGTH = 255;
+
+// Columns returned for a document by every document endpoint (never the storage key)
+const DOCUMENT_COLUMNS = `id, customer_id, product_id, doc_type, file_name, mime_type, size_bytes, uploaded_by,
+  created_at`;
+
+/**
+ * Largest accepted upload in bytes, from DOCUMENT_MAX_MB.
+ */
+function maxDocumentBytes() {
+  const raw = process.env.DOCUMENT_MAX_MB;
+  if (raw === undefined || raw === '') return DEFAULT_MAX_MB * 1024 * 1024;
+  const mb = Number(raw);
+  if (!Number.isFinite(mb) || mb <= 0 || mb > 100) {
+    throw new Error('DOCUMENT_MAX_MB must be a number between 0 and 100');
+  }
+  return Math.floor(mb * 1024 * 1024);
+}
+
+function documentUrlTtlSeconds() {
+  const raw = process.env.DOCUMENT_URL_TTL_SECONDS;
+  if (raw === undefined || raw === '') return DEFAULT_URL_TTL_SECONDS;
+  const seconds = Number(raw);
+  if (!Number.isInteger(seconds) || seconds < 10 || seconds > 24 * 60 * 60) {
+    throw new Error('DOCUMENT_URL_TTL_SECONDS must be an integer between 10 and 86400');
+  }
+  return seconds;
+}
+
+function detectMimeType(buffer) {
+  const match = FILE_SIGNATURES.find(({ magic }) => buffer.length >= magic.length && buffer.subarray(0, magic.length).equals(magic));
+  return match ? match.mimeType : null;
+}
+
+/**
+ * Validate the form fields sent with an upload: doc_type, product_id?.
+ * @returns {{ data?: { doc_type: string, product_id: string|null }, error?: string }}
+ */
+function validateDocumentFields(body) {
+  const { doc_type, product_id } = body || {};
+  if (!DOCUMENT_TYPES.includes(doc_type)) {
+    return { error: `doc_type must be one of: ${DOCUMENT_TYPES.join(', ')}` };
+  }
+  if (product_id !== undefined && product_id !== '' && !UUID_RE.test(String(product_id))) {
+    return { error: 'product_id must be a product id' };
+  }
+  return { data: { doc_type, product_id: product_id || null } };
+}
+
+// Keep the client's file name for display and downloads, without path parts or control characters
+function cleanFileName(name) {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f"]/g, '').trim();
+  return (base || 'document').slice(0, MAX_FILE_NAME_LENGTH);
+}
+
+/**
+ * Store an uploaded file and record it for the customer, with a timeline comment.
+ * @param {import('pg').Pool} pool
+ * @param {{ originalname: string, buffer: Buffer, size: number }} file - from multer (memory storage)
+ * @param {{ doc_type: string, product_id: string|null }} data - validated by validateDocumentFields
+ * @param {{ userId: string, audit?: Function }} options - audit from auditFor(req) (audit/index.js)
+ * @returns {Promise<{ document?: object, error?: string, status?: number }>}
+ */
+async function saveDocument(pool, customerId, file, data, { userId, audit }) {
+  const mimeType = detectMimeType(file.buffer);
+  if (!mimeType) {
+    return { status: 415, error: 'Only PDF, JPEG and PNG files are accepted' };
+  }
+
+  const customer = await pool.query('SELECT 1 FROM customers WHERE id = $1', [customerId]);
+  if (customer.rows.length === 0) {
+    return { status: 404, error: 'Customer not found' };
+  }
+  if (data.product_id) {
+    const product = await pool.query('SELECT 1 FROM customer_products WHERE id = $1 AND customer_id = $2', [
+      data.product_id,
+      customerId,
+    ]);
+    if (product.rows.length === 0) {
+      return { status: 400, error: "product_id must be one of this customer's products" };
+    }
+  }
+
+  const storage = getDocumentStorage();
+  const id = crypto.randomUUID();
+  const key = `${customerId}/${id}`;
+  const fileName = cleanFileName(file.originalname);
+  await storage.put(key, file.buffer, { contentType: mimeType });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO customer_documents
+         (id, customer_id, product_id, doc_type, file_name, mime_type, size_bytes, sha256, storage_backend, storage_key, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING ${DOCUMENT_COLUMNS}`,
+      [
+        id,
+        customerId,
+        data.product_id,
+        data.doc_type,
+        fileName,
+        mimeType,
+        file.size,
+        crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        storage.name,
+        key,
+        userId,
+      ]
+    );
+    await addSystemComment(client, customerId, `Document uploaded: ${DOCUMENT_TYPE_LABELS[data.doc_type]} (${fileName}).`);
+    if (audit) {
+      await audit(client, { action: 'upload', entityType: 'document', entityId: id, customerId, after: result.rows[0] });
+    }
+    await client.query('COMMIT');
+    return { document: result.rows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    await storage.remove(key).catch((removeErr) => console.error('Error removing unsaved document file:', removeErr));
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a document's row (with a timeline comment) and then its file.
+ * @param {{ audit?: Function }} [options] - audit from auditFor(req) (audit/index.js)
+ * @returns {Promise<object|null>} the deleted document, or null if it does not exist
+ */
+async function deleteDocument(pool, customerId, documentId, { audit } = {}) {
+  const client = await pool.connect();
+  let deleted;
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `DELETE FROM customer_documents WHERE id = $1 AND customer_id = $2
+       RETURNING ${DOCUMENT_COLUMNS}, storage_backend, storage_key`,
+      [documentId, customerId]
+    );
+    deleted = result.rows[0];
+    if (!deleted) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    await addSystemComment(
+      client,
+      customerId,
+      `Document deleted: ${DOCUMENT_TYPE_LABELS[deleted.doc_type]} (${deleted.file_name}).`
+    );
+    if (audit) {
+      const { storage_backend, storage_key, ...before } = deleted;
+      await audit(client, { action: 'delete', entityType: 'document', entityId: documentId, customerId, before });
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // A file left behind by a failed removal is harmless: nothing refers to it any more
+  const { storage_backend: backend, storage_key: key, ...document } = deleted;
+  await removeDocumentFile(backend, key);
+  return document;
+}
+
+/**
+ * Remove a deleted document's file from the backend it was stored in, logging (not throwing) on failure.
+ */
+async function removeDocumentFile(backend, key) {
+  try {
+    await getDocumentStorage(backend).remove(key);
+  } catch (err) {
+    console.error('Error removing document file:', err);
+  }
+}
+
+function urlSecret() {
+  return process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+}
+
+function signature(documentId, expires) {
+  return crypto.createHmac('sha256', urlSecret()).update(`${documentId}.${expires}`).digest('hex');
+}
+
+/**
+ * API_BASE_URL without a trailing slash, or '' if unset.
+ */
+function apiBaseUrl() {
+  return (process.env.API_BASE_URL || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Signed download URL for a document, valid for DOCUMENT_URL_TTL_SECONDS.
+ * @returns {{ url: string, expires_at: string }}
+ */
+function signDocumentUrl(documentId) {
+  const expires = Math.floor(Date.now() / 1000) + documentUrlTtlSeconds();
+  return {
+    url: `${apiBaseUrl()}/documents/${documentId}/download?expires=${expires}&signature=${signature(documentId, expires)}`,
+    expires_at: new Date(expires * 1000).toISOString(),
+  };
+}
+
+/**
+ * Check a download link's signature and expiry.
+ * @returns {{ error?: string }}
+ */
+function verifyDocumentSignature(documentId, expires, sig) {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || typeof sig !== 'string') {
+    return { error: 'Invalid download link' };
+  }
+  const expected = Buffer.from(signature(documentId, expiresAt));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { error: 'Invalid download link' };
+  }
+  if (expiresAt < Date.now() / 1000) {
+    return { error: 'Download link has expired' };
+  }
+  return {};
+}
+
+/**
+ * A document's metadata and file contents, or null if either is missing.
+ * @returns {Promise<{ document: object, stream: import('stream').Readable }|null>}
+ */
+async function openDocument(db, documentId) {
+  const result = await db.query(
+    `SELECT ${DOCUMENT_COLUMNS}, storage_backend, storage_key FROM customer_documents WHERE id = $1`,
+    [documentId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const { storage_backend: backend, storage_key: key, ...document } = result.rows[0];
+  const stream = await getDocumentStorage(backend).get(key);
+  return stream ? { document, stream } : null;
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DOCUMENT_COLUMNS,
+  maxDocumentBytes,
+  documentUrlTtlSeconds,
+  validateDocumentFields,
+  saveDocument,
+  deleteDocument,
+  removeDocumentFile,
+  signDocumentUrl,
+  verifyDocumentSignature,
+  openDocument,
+};
@@ -0,0 +1,105 @@
+/**
+ * Document file storage through a pluggable backend.
+ * DOCUMENT_STORAGE: "local" (default) keeps files under DOCUMENTS_DIR (default ./storage/documents).
+ * Local disk does not survive redeploys on hosts with ephemeral disks (Railway without a volume), so
+ * production should mount a volume there or plug in an S3-compatible backend with setDocumentStorage.
+ *
+ * A backend is any object with:
+ *   async put(key, buffer, { contentType })
+ *   async get(key) → readable stream, or null if the file does not exist
+ *   async remove(key) — no error if the file does not exist
+ * Keys are generated by documents/index.js ("<customer id>/<document id>").
+ *
+ * New files go to the current backend; each document row records the backend's name (storage_backend), and
+ * existing files are read and removed through that one, so switching DOCUMENT_STORAGE keeps older files reachable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createLocalStorage(dir = process.env.DOCUMENTS_DIR || path.resolve(__dirname, '../storage/documents')) {
+  const root = path.resolve(dir);
+  const filePath = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid document key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const file = filePath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+    },
+    async get(key) {
+      const file = filePath(key);
+      try {
+        await fs.promises.access(file, fs.constants.R_OK);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+  };
+}
+
+const BACKENDS = {
+  local: createLocalStorage,
+};
+
+// Backend instances by name; current is where new files go
+const instances = new Map();
+let current = null;
+
+function storageNamed(name) {
+  if (!instances.has(name)) {
+    const create = BACKENDS[name];
+    if (!create) {
+      throw new Error(`Unknown document storage backend "${name}"`);
+    }
+    instances.set(name, create());
+  }
+  return instances.get(name);
+}
+
+/**
+ * The backend new documents are stored in (DOCUMENT_STORAGE), or with a name, the backend a document was
+ * stored in (its storage_backend column).
+ * @param {string} [name]
+ */
+function getDocumentStorage(name) {
+  if (name !== undefined) {
+    return storageNamed(name);
+  }
+  if (!current) {
+    const configured = process.env.DOCUMENT_STORAGE || 'local';
+    if (!BACKENDS[configured]) {
+      throw new Error(`Unknown DOCUMENT_STORAGE "${configured}"`);
+    }
+    current = storageNamed(configured);
+  }
+  return current;
+}
+
+/**
+ * Replace the storage backend (e.g. S3-compatible object storage, an in-memory store in tests). It also
+ * serves existing documents stored under its name.
+ * @param {{ name: string, put: Function, get: Function, remove: Function }} next
+ */
+function setDocumentStorage(next) {
+  current = next;
+  instances.set(next.name, next);
+}
+
+module.exports = {
+  getDocumentStorage,
+  setDocumentStorage,
+  createLocalStorage,
+};
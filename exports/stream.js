@@ -0,0 +1,138 @@
+/**
+ * Stream a query result to the response as CSV or XLSX without loading it into memory.
+ * Rows are read from a server-side cursor (pg-cursor) in batches, and the next batch waits while the response
+ * is backed up (slow client). XLSX uses exceljs' streaming workbook writer, which pushes sheet XML into the zip
+ * without checking backpressure, so the loop also waits for the zip's input stream (see sheetBacklog).
+ */
+
+const Cursor = require('pg-cursor');
+const ExcelJS = require('exceljs');
+const pool = require('../db');
+const { formatCsvRow } = require('../customers/csv');
+
+const BATCH_SIZE = 500;
+const FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Pick columns from ?columns=a,b (default: all, in definition order).
+ * @param {string|undefined} param
+ * @param {{ key: string, header: string, sql: string }[]} available
+ * @returns {{ columns?: { key: string, header: string, sql: string }[], error?: string }}
+ */
+function selectColumns(param, available) {
+  if (!param) {
+    return { columns: available };
+  }
+  const keys = String(param).split(',').map((k) => k.trim()).filter(Boolean);
+  const unknown = keys.filter((k) => !available.some((c) => c.key === k));
+  if (keys.length === 0 || unknown.length > 0) {
+    return { error: `columns must be a comma-separated list of: ${available.map((c) => c.key).join(', ')}` };
+  }
+  return { columns: keys.map((k) => available.find((c) => c.key === k)) };
+}
+
+/**
+ * @param {string|undefined} param
+ * @returns {{ format?: string, error?: string }}
+ */
+function parseFormat(param) {
+  const format = String(param || 'csv').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return { error: `format must be one of: ${FORMATS.join(', ')}` };
+  }
+  return { format };
+}
+
+function waitForDrain(stream, res = stream) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.off('drain', onDrain);
+      res.off('close', onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Client closed the connection'));
+    };
+    stream.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+/**
+ * The stream a worksheet's XML is queued in before it is zipped, when it is over its high-water mark.
+ * exceljs pipes each sheet into archiver (through a PassThrough) and ignores write()'s return value, so a slow
+ * response backs data up there rather than in `res`. That PassThrough comes from readable-stream 2, which has no
+ * writableNeedDrain getter, hence _writableState.
+ * @param {import('exceljs').stream.xlsx.WorksheetWriter} sheet
+ * @returns {import('stream').Writable|undefined}
+ */
+function sheetBacklog(sheet) {
+  return sheet.stream.pipes.find((pipe) => pipe._writableState && pipe._writableState.needDrain);
+}
+
+/**
+ * Run `sql` (whose select list must alias each column to its key) and stream the rows.
+ * @param {import('express').Response} res
+ * @param {{ sql: string, values: any[], columns: { key: string, header: string }[], format: string, filename: string }} options
+ */
+async function streamExport(res, { sql, values, columns, format, filename }) {
+  const client = await pool.connect();
+  const cursor = client.query(new Cursor(sql, values));
+  const read = () => cursor.read(BATCH_SIZE);
+
+  try {
+    // Run the first read before sending headers so query errors can still become a JSON 500
+    let rows = await read();
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    res.set('Cache-Control', 'no-store');
+
+    if (format === 'xlsx') {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,
+        useStyles: false,
+        useSharedStrings: false,
+      });
+      const sheet = workbook.addWorksheet(filename.slice(0, 31));
+      sheet.columns = columns.map((c) => ({ header: c.header, key: c.key, width: 20 }));
+      while (rows.length > 0) {
+        for (const row of rows) sheet.addRow(row).commit();
+        let backlog;
+        while ((backlog = sheetBacklog(sheet))) await waitForDrain(backlog, res);
+        if (res.writableNeedDrain) await waitForDrain(res);
+        rows = await read();
+      }
+      sheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    res.type('text/csv; charset=utf-8');
+    // BOM so Excel opens UTF-8 (e.g. names in Devanagari) correctly
+    res.write(`\uFEFF${formatCsvRow(columns.map((c) => c.header))}`);
+    while (rows.length > 0) {
+      const chunk = rows.map((row) => formatCsvRow(columns.map((c) => row[c.key]))).join('');
+      if (!res.write(chunk)) await waitForDrain(res);
+      rows = await read();
+    }
+    res.end();
+  } catch (err) {
+    if (!res.headersSent) throw err;
+    console.error('Export stream failed:', err.message || err);
+    res.destroy(err);
+  } finally {
+    await cursor.close().catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = {
+  selectColumns,
+  parseFormat,
+  streamExport,
+};
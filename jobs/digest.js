@@ -0,0 +1,168 @@
+/**
+ * Daily follow-up digest: each staff/admin user gets the customers with open follow-up tasks assigned to
+ * them due today or overdue (admins also get unassigned tasks), as the follow-up queues, through the notifier
+ * (notifications/index.js). Users with nothing due get no digest.
+ *
+ * The scheduler runs it from DIGEST_HOUR (0–23 in BUSINESS_TIMEZONE, default 8) onwards; followup_digests
+ * records who has had today's digest, so each user gets one a day and a user whose notification failed
+ * is retried on the next run. A Postgres advisory lock keeps two instances from sending at once.
+ */
+
+const { formatCommentDate } = require('../customers/followups');
+const { businessToday } = require('../customers/businessDay');
+const { notify } = require('../notifications');
+
+// See scripts/runMigrations.js: advisory lock keys must be unique per job
+const ADVISORY_LOCK_KEY = 7234003;
+const DEFAULT_DIGEST_HOUR = 8;
+// Customers listed per section in the text; counts are always complete
+const MAX_LISTED = 50;
+
+/**
+ * Hour of the day (business time zone) from which the digest goes out, from DIGEST_HOUR.
+ */
+function digestHour() {
+  const raw = process.env.DIGEST_HOUR;
+  if (raw === undefined || raw === '') return DEFAULT_DIGEST_HOUR;
+  const hour = Number(raw);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    throw new Error('DIGEST_HOUR must be an integer between 0 and 23');
+  }
+  return hour;
+}
+
+/**
+ * Today's and overdue follow-ups per user, for users who have any. A customer is listed once per user, by
+ * the oldest of the user's tasks for them (next_followup_date).
+ * @returns {Promise<Array<{ user: { id: string, email: string, role: string }, today: object[], overdue: object[] }>>}
+ */
+async function buildDigests(db, date) {
+  const result = await db.query(
+    `SELECT u.id AS user_id, u.email, u.role,
+            c.id AS customer_id, c.name, c.phone, c.city, c.status,
+            to_char(MIN(t.due_date), 'YYYY-MM-DD') AS next_followup_date,
+            ($1::date - MIN(t.due_date)) AS days_overdue,
+            bool_and(t.assigned_to IS NULL) AS unassigned
+     FROM users u
+     JOIN followup_tasks t ON t.assigned_to = u.id OR (u.role = 'admin' AND t.assigned_to IS NULL)
+     JOIN customers c ON c.id = t.customer_id
+     WHERE u.role IN ('admin', 'staff')
+       AND t.status = 'open'
+       AND t.due_date <= $1::date
+       AND c.archived_at IS NULL
+     GROUP BY u.id, u.email, u.role, c.id
+     ORDER BY u.email, MIN(t.due_date), lower(c.name)`,
+    [date]
+  );
+
+  const digests = new Map();
+  for (const { user_id, email, role, ...customer } of result.rows) {
+    if (!digests.has(user_id)) {
+      digests.set(user_id, { user: { id: user_id, email, role }, today: [], overdue: [] });
+    }
+    digests.get(user_id)[customer.days_overdue > 0 ? 'overdue' : 'today'].push(customer);
+  }
+  return [...digests.values()];
+}
+
+function customerLine(customer) {
+  const parts = [customer.phone, customer.city].filter(Boolean).join(', ');
+  const overdue = customer.days_overdue > 0
+    ? ` — ${customer.days_overdue} day${customer.days_overdue === 1 ? '' : 's'} overdue (${formatCommentDate(customer.next_followup_date)})`
+    : '';
+  return `- ${customer.name}${parts ? ` (${parts})` : ''}${overdue}${customer.unassigned ? ' [unassigned]' : ''}`;
+}
+
+function section(title, customers) {
+  if (customers.length === 0) return [];
+  const lines = [`${title} (${customers.length}):`, ...customers.slice(0, MAX_LISTED).map(customerLine)];
+  if (customers.length > MAX_LISTED) {
+    lines.push(`… and ${customers.length - MAX_LISTED} more`);
+  }
+  return [...lines, ''];
+}
+
+/**
+ * Subject and text for one user's digest.
+ */
+function formatDigest(digest, date) {
+  const subject = `Follow-ups for ${formatCommentDate(date)}: ${digest.today.length} today, ${digest.overdue.length} overdue`;
+  const text = [
+    `Follow-ups for ${formatCommentDate(date)}`,
+    '',
+    ...section('Today', digest.today),
+    ...section('Overdue', digest.overdue),
+  ].join('\n').trimEnd();
+  return { subject, text };
+}
+
+/**
+ * Run the digest job.
+ * @param {import('pg').Pool} pool
+ * @param {{ dryRun?: boolean, date?: string }} [options] - date (YYYY-MM-DD) defaults to today in BUSINESS_TIMEZONE
+ * @returns {Promise<{ skipped?: boolean, date?: string, dry_run?: boolean, sent?: number, failed?: number, digests?: object[] }>}
+ */
+async function runDigestJob(pool, { dryRun = false, date } = {}) {
+  const client = await pool.connect();
+  try {
+    if (!dryRun) {
+      const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [ADVISORY_LOCK_KEY]);
+      if (!lock.rows[0].locked) {
+        return { skipped: true };
+      }
+    }
+    try {
+      const day = date || businessToday();
+      const digests = await buildDigests(client, day);
+      const already = await client.query(
+        'SELECT user_id FROM followup_digests WHERE digest_date = $1::date',
+        [day]
+      );
+      const sentBefore = new Set(already.rows.map((r) => r.user_id));
+
+      const summary = { date: day, dry_run: dryRun, sent: 0, failed: 0, digests: [] };
+      for (const digest of digests) {
+        const { subject, text } = formatDigest(digest, day);
+        const entry = {
+          user_id: digest.user.id,
+          email: digest.user.email,
+          today: digest.today.length,
+          overdue: digest.overdue.length,
+          already_sent: sentBefore.has(digest.user.id),
+          ...(dryRun && { subject, text }),
+        };
+        summary.digests.push(entry);
+        if (dryRun || entry.already_sent) continue;
+
+        try {
+          await notify({ to: digest.user, subject, text, data: { date: day, today: digest.today, overdue: digest.overdue } });
+          await client.query(
+            `INSERT INTO followup_digests (user_id, digest_date, today_count, overdue_count)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (user_id, digest_date) DO NOTHING`,
+            [digest.user.id, day, digest.today.length, digest.overdue.length]
+          );
+          entry.sent = true;
+          summary.sent += 1;
+        } catch (err) {
+          console.error(`Follow-up digest for ${digest.user.email} failed:`, err.message || err);
+          entry.sent = false;
+          summary.failed += 1;
+        }
+      }
+      return summary;
+    } finally {
+      if (!dryRun) {
+        await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]).catch(() => {});
+      }
+    }
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  digestHour,
+  formatDigest,
+  runDigestJob,
+};
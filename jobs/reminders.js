@@ -0,0 +1,281 @@
+/**
+ * Product reminder job: finds upcoming policy renewals, loan EMIs and SIP instalments and turns each into
+ * a follow-up call task (customers/followupTasks.js) for the customer's assignee, plus a system comment.
+ *
+ * Due dates (active products only):
+ *   insurance → renewal_date
+ *   loan      → monthly on the disbursal day, from one month after disbursal_date for tenure_months
+ *   sip       → monthly on sip_day (default: day of start_date), from start_date
+ * Days past the end of a short month fall on its last day.
+ *
+ * A reminder is due once the date is within the product type's lead time (REMINDER_LEAD_DAYS_INSURANCE,
+ * _LOAN, _SIP). The task is due on the due date minus lead time (never in the past) and keeps the reminder
+ * text as its notes; the customer's next_followup_date follows the earliest open task as usual.
+ * product_reminders has one row per product and due date (with the task it created), so reruns never
+ * duplicate a reminder; a Postgres advisory lock keeps two instances from running at once. Each task
+ * queues followup.scheduled for webhook subscribers (webhooks/index.js) in the reminder's transaction.
+ */
+
+const { PRODUCT_TYPES } = require('../customers/listQuery');
+const { formatCommentDate, addSystemComment } = require('../customers/followups');
+const { createTask } = require('../customers/followupTasks');
+const { businessToday } = require('../customers/businessDay');
+const { queueWebhookEvent, kickWebhookQueue } = require('../webhooks');
+
+const DEFAULT_LEAD_DAYS = { insurance: 30, loan: 5, sip: 3 };
+const REMINDER_KIND = { insurance: 'renewal', loan: 'emi', sip: 'sip' };
+// See scripts/runMigrations.js: advisory lock keys must be unique per job
+const ADVISORY_LOCK_KEY = 7234002;
+
+/**
+ * Lead time in days per product type, from REMINDER_LEAD_DAYS_<TYPE> or the defaults.
+ * @returns {Record<string, number>}
+ */
+function reminderLeadDays() {
+  const leadDays = {};
+  for (const type of PRODUCT_TYPES) {
+    const name = `REMINDER_LEAD_DAYS_${type.toUpperCase()}`;
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') {
+      leadDays[type] = DEFAULT_LEAD_DAYS[type];
+      continue;
+    }
+    const days = Number(raw);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      throw new Error(`${name} must be an integer between 0 and 365`);
+    }
+    leadDays[type] = days;
+  }
+  return leadDays;
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings (UTC, so no DST surprises)
+function parseDay(str) {
+  const [y, m, d] = str.split('-').map(Number);
+  return { y, m: m - 1, d };
+}
+
+function formatDay(y, m, d) {
+  return new Date(Date.UTC(y, m, d)).toISOString().slice(0, 10);
+}
+
+function addDays(str, days) {
+  const { y, m, d } = parseDay(str);
+  return formatDay(y, m, d + days);
+}
+
+// The `day`-th of the given month, clamped to the month's last day
+function dayOfMonth(y, m, day) {
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return formatDay(y, m, Math.min(day, lastDay));
+}
+
+function addMonths(str, months, day = parseDay(str).d) {
+  const { y, m } = parseDay(str);
+  return dayOfMonth(y, m + months, day);
+}
+
+// First monthly occurrence of `day` on or after `from`
+function nextMonthlyDate(from, day) {
+  const candidate = addMonths(from, 0, day);
+  return candidate >= from ? candidate : addMonths(from, 1, day);
+}
+
+/**
+ * Next due date on or after `today` for a product, or null.
+ */
+function nextDueDate(product, today) {
+  switch (product.product_type) {
+    case 'insurance':
+      return product.renewal_date && product.renewal_date >= today ? product.renewal_date : null;
+    case 'loan': {
+      if (!product.disbursal_date) return null;
+      const day = parseDay(product.disbursal_date).d;
+      const firstEmi = addMonths(product.disbursal_date, 1);
+      const due = nextMonthlyDate(today > firstEmi ? today : firstEmi, day);
+      if (product.tenure_months && due > addMonths(product.disbursal_date, product.tenure_months)) return null;
+      return due;
+    }
+    case 'sip': {
+      const day = product.sip_day || (product.start_date && parseDay(product.start_date).d);
+      if (!day) return null;
+      const from = product.start_date && product.start_date > today ? product.start_date : today;
+      return nextMonthlyDate(from, day);
+    }
+    default:
+      return null;
+  }
+}
+
+function reminderComment(product, kind, dueDate) {
+  const details = (parts) => {
+    const present = parts.filter(Boolean);
+    return present.length > 0 ? ` (${present.join(', ')})` : '';
+  };
+  const due = formatCommentDate(dueDate);
+  switch (kind) {
+    case 'renewal':
+      return `Reminder: policy renewal due on ${due} for ${product.product_name}`
+        + `${details([product.insurer, product.policy_number && `policy ${product.policy_number}`])}.`;
+    case 'emi':
+      return `Reminder: loan EMI due on ${due} for ${product.product_name}`
+        + `${details([product.lender, product.emi && `EMI ₹${product.emi}`])}.`;
+    default:
+      return `Reminder: SIP instalment due on ${due} for ${product.product_name}`
+        + `${details([product.fund_name, product.monthly_amount && `₹${product.monthly_amount}`])}.`;
+  }
+}
+
+/**
+ * Reminders due on `today`, each marked with whether it was already created by an earlier run.
+ */
+async function findDueReminders(db, today, leadDays) {
+  const maxLead = Math.max(...Object.values(leadDays));
+  const products = await db.query(
+    `SELECT p.id, p.customer_id, c.name AS customer_name, p.product_type, p.product_name,
+            p.insurer, p.policy_number, p.lender, p.emi, p.tenure_months, p.fund_name, p.monthly_amount, p.sip_day,
+            to_char(p.renewal_date, 'YYYY-MM-DD') AS renewal_date,
+            to_char(p.disbursal_date, 'YYYY-MM-DD') AS disbursal_date,
+            to_char(p.start_date, 'YYYY-MM-DD') AS start_date
+     FROM customer_products p
+     JOIN customers c ON c.id = p.customer_id
+     WHERE p.status = 'active' AND p.archived_at IS NULL AND c.archived_at IS NULL
+       AND (
+         (p.product_type = 'insurance' AND p.renewal_date BETWEEN $1::date AND $1::date + $2::int)
+         OR (p.product_type = 'loan' AND p.disbursal_date IS NOT NULL)
+         OR (p.product_type = 'sip' AND (p.start_date IS NOT NULL OR p.sip_day IS NOT NULL))
+       )`,
+    [today, maxLead]
+  );
+
+  const reminders = [];
+  for (const product of products.rows) {
+    const lead = leadDays[product.product_type];
+    const dueDate = nextDueDate(product, today);
+    if (!dueDate || dueDate > addDays(today, lead)) continue;
+    const followupDate = addDays(dueDate, -lead) > today ? addDays(dueDate, -lead) : today;
+    reminders.push({
+      product,
+      kind: REMINDER_KIND[product.product_type],
+      due_date: dueDate,
+      followup_date: followupDate,
+    });
+  }
+
+  if (reminders.length > 0) {
+    const existing = await db.query(
+      `SELECT product_id, to_char(due_date, 'YYYY-MM-DD') AS due_date
+       FROM product_reminders
+       WHERE product_id = ANY($1::uuid[])`,
+      [reminders.map((r) => r.product.id)]
+    );
+    const sent = new Set(existing.rows.map((r) => `${r.product_id}:${r.due_date}`));
+    reminders.forEach((r) => {
+      r.already_created = sent.has(`${r.product.id}:${r.due_date}`);
+    });
+  }
+  return reminders;
+}
+
+/**
+ * Create one reminder in its own transaction. created is false if another run created it first.
+ * @returns {Promise<{ created: boolean, webhooks: number }>} webhooks: events queued
+ */
+async function createReminder(client, reminder) {
+  const { product } = reminder;
+  try {
+    await client.query('BEGIN');
+    const inserted = await client.query(
+      `INSERT INTO product_reminders (product_id, customer_id, kind, due_date, followup_date)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT ON CONSTRAINT product_reminders_product_due_key DO NOTHING
+       RETURNING id`,
+      [product.id, product.customer_id, reminder.kind, reminder.due_date, reminder.followup_date]
+    );
+    if (inserted.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return { created: false, webhooks: 0 };
+    }
+
+    const comment = reminderComment(product, reminder.kind, reminder.due_date);
+    const { task } = await createTask(client, product.customer_id, {
+      type: 'call',
+      due_date: reminder.followup_date,
+      notes: comment,
+    });
+    await client.query('UPDATE product_reminders SET task_id = $2 WHERE id = $1', [inserted.rows[0].id, task.id]);
+    await addSystemComment(client, product.customer_id, comment);
+    const webhooks = await queueWebhookEvent(client, 'followup.scheduled', { customer_id: product.customer_id, task });
+    await client.query('COMMIT');
+    return { created: true, webhooks };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Run the reminder job.
+ * @param {import('pg').Pool} pool
+ * @param {{ dryRun?: boolean, today?: string }} [options] - today (YYYY-MM-DD) defaults to today in BUSINESS_TIMEZONE
+ * @returns {Promise<{ skipped?: boolean, today?: string, dry_run?: boolean, lead_days?: object, created?: number, reminders?: object[] }>}
+ */
+async function runReminderJob(pool, { dryRun = false, today } = {}) {
+  const leadDays = reminderLeadDays();
+  const client = await pool.connect();
+  try {
+    if (!dryRun) {
+      const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [ADVISORY_LOCK_KEY]);
+      if (!lock.rows[0].locked) {
+        return { skipped: true };
+      }
+    }
+    try {
+      const day = today || businessToday();
+      const reminders = await findDueReminders(client, day, leadDays);
+
+      let created = 0;
+      let webhooks = 0;
+      if (!dryRun) {
+        for (const reminder of reminders.filter((r) => !r.already_created)) {
+          const result = await createReminder(client, reminder);
+          reminder.created = result.created;
+          if (result.created) created += 1;
+          webhooks += result.webhooks;
+        }
+      }
+      if (webhooks > 0) kickWebhookQueue();
+
+      return {
+        today: day,
+        dry_run: dryRun,
+        lead_days: leadDays,
+        created,
+        reminders: reminders.map((r) => ({
+          product_id: r.product.id,
+          customer_id: r.product.customer_id,
+          customer_name: r.product.customer_name,
+          product_type: r.product.product_type,
+          product_name: r.product.product_name,
+          kind: r.kind,
+          due_date: r.due_date,
+          followup_date: r.followup_date,
+          already_created: r.already_created || false,
+          ...(!dryRun && { created: r.created || false }),
+        })),
+      };
+    } finally {
+      if (!dryRun) {
+        await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]).catch(() => {});
+      }
+    }
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  reminderLeadDays,
+  nextDueDate,
+  runReminderJob,
+};
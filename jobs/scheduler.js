@@ -0,0 +1,96 @@
+/**
+ * In-process scheduler for background jobs, started with the server.
+ * Each job runs on a fixed interval; a run is skipped if the previous one is still going. Jobs must be
+ * safe to run on several instances at once (they take their own Postgres advisory locks).
+ *
+ * Env:
+ *   REMINDERS_ENABLED           "false" disables the product reminder job (default on)
+ *   REMINDER_INTERVAL_MINUTES   how often it runs (default 60)
+ *   MESSAGE_QUEUE_INTERVAL_SECONDS   how often queued WhatsApp/SMS messages are sent and retried (default 15)
+ *   WEBHOOK_QUEUE_INTERVAL_SECONDS   how often outgoing webhooks are delivered and retried (default 15)
+ *   DIGEST_ENABLED              "false" disables the daily follow-up digest (default on)
+ *   DIGEST_HOUR                 hour (0–23, BUSINESS_TIMEZONE) from which it is sent (default 8); checked every 15 minutes
+ */
+
+const pool = require('../db');
+const { runReminderJob } = require('./reminders');
+const { runDigestJob, digestHour } = require('./digest');
+const { processMessageQueue } = require('../messaging');
+const { processWebhookQueue } = require('../webhooks');
+const { businessHour } = require('../customers/businessDay');
+
+const DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Run `run` now (after a short start-up delay) and then every intervalMs.
+ * @param {string} name - for logs
+ * @param {number} intervalMs
+ * @param {() => Promise<unknown>} run
+ */
+function scheduleJob(name, intervalMs, run) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (err) {
+      console.error(`Scheduled job ${name} failed:`, err.message || err);
+    } finally {
+      running = false;
+    }
+  };
+  const first = setTimeout(tick, 5000);
+  const interval = setInterval(tick, intervalMs);
+  first.unref();
+  interval.unref();
+}
+
+function intervalSetting(name, fallback, unit) {
+  const value = Number(process.env[name] || fallback);
+  if (!Number.isFinite(value) || value < 1) {
+    throw new Error(`${name} must be a number of ${unit} (at least 1)`);
+  }
+  return value;
+}
+
+function startScheduledJobs() {
+  if (process.env.REMINDERS_ENABLED !== 'false') {
+    scheduleJob('reminders', intervalSetting('REMINDER_INTERVAL_MINUTES', 60, 'minutes') * 60 * 1000, async () => {
+      const result = await runReminderJob(pool);
+      if (result.created > 0) {
+        console.log(`Reminder job: created ${result.created} reminder(s)`);
+      }
+    });
+  }
+
+  scheduleJob('messages', intervalSetting('MESSAGE_QUEUE_INTERVAL_SECONDS', 15, 'seconds') * 1000, async () => {
+    const result = await processMessageQueue(pool);
+    if (result.failed > 0) {
+      console.log(`Message queue: ${result.failed} message(s) failed permanently`);
+    }
+  });
+
+  scheduleJob('webhooks', intervalSetting('WEBHOOK_QUEUE_INTERVAL_SECONDS', 15, 'seconds') * 1000, async () => {
+    const result = await processWebhookQueue(pool);
+    if (result.failed > 0) {
+      console.log(`Webhook queue: ${result.failed} delivery(ies) failed permanently`);
+    }
+  });
+
+  if (process.env.DIGEST_ENABLED !== 'false') {
+    const hour = digestHour();
+    scheduleJob('digest', DIGEST_CHECK_INTERVAL_MS, async () => {
+      if (businessHour() < hour) return;
+      const result = await runDigestJob(pool);
+      if (result.sent > 0 || result.failed > 0) {
+        console.log(`Digest job: sent ${result.sent} digest(s), ${result.failed} failed`);
+      }
+    });
+  }
+}
+
+module.exports = {
+  scheduleJob,
+  startScheduledJobs,
+};
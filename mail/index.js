@@ -0,0 +1,77 @@
+/**
+ * Outgoing mail through a pluggable transport.
+ * MAIL_TRANSPORT: "console" (default) logs messages; "file" writes one .json file per message to MAIL_DIR
+ * (default ./tmp/mail). Message bodies are only printed to the console outside production, since they
+ * can contain one-time tokens. Other transports (SMTP, an email API) can be plugged in with setMailTransport.
+ *
+ * A transport is any object with `async send({ to, subject, text })`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      if (process.env.NODE_ENV === 'production') {
+        console.log(`[mail] to=${message.to} subject="${message.subject}" (body withheld in production)`);
+        return;
+      }
+      console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+    },
+  };
+}
+
+function createFileTransport(dir = process.env.MAIL_DIR || path.resolve(__dirname, '../tmp/mail')) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    },
+  };
+}
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+let transport = null;
+
+function getMailTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const create = TRANSPORTS[name];
+    if (!create) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    transport = create();
+  }
+  return transport;
+}
+
+/**
+ * Replace the mail transport (e.g. SMTP in production, a recorder in tests).
+ * @param {{ send: (message: { to: string, subject: string, text: string }) => Promise<void> }} next
+ */
+function setMailTransport(next) {
+  transport = next;
+}
+
+/**
+ * @param {{ to: string, subject: string, text: string }} message
+ */
+function sendMail(message) {
+  return getMailTransport().send(message);
+}
+
+module.exports = {
+  sendMail,
+  setMailTransport,
+  createConsoleTransport,
+  createFileTransport,
+};
@@ -0,0 +1,252 @@
+/**
+ * Outbound WhatsApp/SMS messages through a queue, and delivery status / replies from provider webhooks.
+ *
+ * Providers (see messaging/providers.js) are chosen per channel:
+ *   MESSAGING_WHATSAPP_PROVIDER: "fake" or "whatsapp_cloud"
+ *   MESSAGING_SMS_PROVIDER:      "fake" or "sms_gateway"
+ * "fake" is the default outside production only: in production a channel without a provider refuses to
+ * queue messages (503) rather than pretend to send them. Providers can be replaced with setMessagingProvider (e.g. a recorder in tests).
+ *
+ * queueMessage stores the message as 'queued'; processMessageQueue (run by the scheduler, and kicked right
+ * after queueing) claims due messages with SKIP LOCKED so several workers never send the same one, and
+ * sends them. Failures are retried with exponential backoff up to MAX_ATTEMPTS, then marked 'failed'.
+ * A claimed message is 'sending' with a lease; if the worker dies mid-send it is picked up again.
+ * Status lifecycle: queued → sending → sent → delivered → read (or failed).
+ */
+
+const pool = require('../db');
+const { PHONE_KEY_SQL, normalizeIndianPhone, phoneKey } = require('../customers/phone');
+const { createWhatsAppCloudProvider, createSmsGatewayProvider, createFakeProvider } = require('./providers');
+
+const CHANNELS = ['whatsapp', 'sms'];
+const MAX_ATTEMPTS = 5;
+const LEASE_SECONDS = 5 * 60;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+// Columns returned for a message row by every message endpoint
+const MESSAGE_COLUMNS = `id, customer_id, channel, direction, status, message, phone, provider, provider_message_id,
+  template_id, attempts, last_error, sent_by, sent_at, delivered_at, read_at, failed_at, created_at, updated_at`;
+
+const PROVIDER_FACTORIES = {
+  whatsapp: { fake: createFakeProvider, whatsapp_cloud: createWhatsAppCloudProvider },
+  sms: { fake: createFakeProvider, sms_gateway: createSmsGatewayProvider },
+};
+const PROVIDER_ENV = { whatsapp: 'MESSAGING_WHATSAPP_PROVIDER', sms: 'MESSAGING_SMS_PROVIDER' };
+
+const providers = {};
+let fakeProvider = null;
+
+/**
+ * Provider for a channel (created on first use from env). Throws when none is configured.
+ */
+function getProvider(channel) {
+  if (!providers[channel]) {
+    const name = process.env[PROVIDER_ENV[channel]] || (process.env.NODE_ENV === 'production' ? null : 'fake');
+    if (!name) {
+      throw new Error(`${PROVIDER_ENV[channel]} is not set`);
+    }
+    const create = PROVIDER_FACTORIES[channel] && PROVIDER_FACTORIES[channel][name];
+    if (!create) {
+      throw new Error(`Unknown ${PROVIDER_ENV[channel]} "${name}"`);
+    }
+    // Both channels share one fake so its `sent` list has everything
+    if (name === 'fake') {
+      fakeProvider = fakeProvider || createFakeProvider();
+      providers[channel] = fakeProvider;
+    } else {
+      providers[channel] = create();
+    }
+  }
+  return providers[channel];
+}
+
+/**
+ * Replace the provider for a channel.
+ * @param {'whatsapp'|'sms'} channel
+ */
+function setMessagingProvider(channel, provider) {
+  providers[channel] = provider;
+}
+
+/**
+ * Configured provider by name (webhook routing), with the channel it serves first.
+ * @returns {{ provider: object, channel: string }|null}
+ */
+function findProvider(name) {
+  for (const channel of CHANNELS) {
+    let provider;
+    try {
+      provider = getProvider(channel);
+    } catch (err) {
+      continue;
+    }
+    if (provider.name === name) return { provider, channel };
+  }
+  return null;
+}
+
+/**
+ * Queue an outbound message to a customer's phone (or, with logOnly, just record one sent elsewhere).
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {{ customerId: string, channel: string, text: string, templateId?: string|null, sentBy?: string|null, logOnly?: boolean }} message
+ * @returns {Promise<{ message?: object, error?: string, status?: number }>}
+ */
+async function queueMessage(db, { customerId, channel, text, templateId = null, sentBy = null, logOnly = false }) {
+  const customer = await db.query('SELECT phone, archived_at FROM customers WHERE id = $1', [customerId]);
+  if (customer.rows.length === 0) {
+    return { status: 404, error: 'Customer not found' };
+  }
+  if (customer.rows[0].archived_at && !logOnly) {
+    return { status: 409, error: 'Customer is archived; restore them before sending messages' };
+  }
+  if (!customer.rows[0].phone && !logOnly) {
+    return { status: 422, error: 'Customer has no phone number; add one before sending messages' };
+  }
+  const { phone, error } = normalizeIndianPhone(customer.rows[0].phone);
+  if (error && !logOnly) {
+    return { status: 422, error: `Customer phone number cannot receive messages: ${error}` };
+  }
+  if (!logOnly) {
+    try {
+      getProvider(channel);
+    } catch (err) {
+      console.error(`Error sending ${channel} messages:`, err.message);
+      return { status: 503, error: `${channel} messaging is not configured` };
+    }
+  }
+
+  const result = await db.query(
+    `INSERT INTO message_logs
+       (customer_id, channel, message, direction, status, phone, template_id, sent_by, next_attempt_at)
+     VALUES ($1, $2, $3, 'outbound', $4, $5, $6, $7, CASE WHEN $4 = 'queued' THEN now() END)
+     RETURNING ${MESSAGE_COLUMNS}`,
+    [customerId, channel, text, logOnly ? 'logged' : 'queued', phone || customer.rows[0].phone, templateId, sentBy]
+  );
+  return { message: result.rows[0] };
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(60 * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+/**
+ * Send due queued messages.
+ * @param {import('pg').Pool} db
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<{ sent: number, retrying: number, failed: number }>}
+ */
+async function processMessageQueue(db = pool, { limit = 20 } = {}) {
+  const claimed = await db.query(
+    `UPDATE message_logs
+     SET status = 'sending', attempts = attempts + 1,
+         next_attempt_at = now() + make_interval(secs => $2), updated_at = now()
+     WHERE id IN (
+       SELECT id FROM message_logs
+       WHERE direction = 'outbound' AND status IN ('queued', 'sending') AND next_attempt_at <= now()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, channel, phone, message, attempts`,
+    [limit, LEASE_SECONDS]
+  );
+
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+  for (const row of claimed.rows) {
+    let provider = null;
+    try {
+      provider = getProvider(row.channel);
+      const { providerMessageId } = await provider.send({ to: row.phone, text: row.message });
+      await db.query(
+        `UPDATE message_logs
+         SET status = 'sent', provider = $2, provider_message_id = $3, sent_at = now(),
+             next_attempt_at = NULL, last_error = NULL, updated_at = now()
+         WHERE id = $1`,
+        [row.id, provider.name, providerMessageId]
+      );
+      summary.sent += 1;
+    } catch (err) {
+      const giveUp = err.permanent || row.attempts >= MAX_ATTEMPTS;
+      await db.query(
+        `UPDATE message_logs
+         SET status = $2, provider = $3, last_error = $4, updated_at = now(),
+             failed_at = CASE WHEN $2 = 'failed' THEN now() END,
+             next_attempt_at = CASE WHEN $2 = 'queued' THEN now() + make_interval(secs => $5) END
+         WHERE id = $1`,
+        [row.id, giveUp ? 'failed' : 'queued', provider && provider.name, String(err.message || err).slice(0, 500),
+          retryDelaySeconds(row.attempts)]
+      );
+      summary[giveUp ? 'failed' : 'retrying'] += 1;
+    }
+  }
+  return summary;
+}
+
+// Webhook statuses only move a message forward (a late "sent" never overrides "read")
+const STATUS_RANK = { sending: 0, sent: 1, failed: 2, delivered: 2, read: 3 };
+
+async function applyStatusEvent(db, providerName, event) {
+  const rank = STATUS_RANK[event.status];
+  if (rank === undefined || event.status === 'sending') return false;
+  const allowedFrom = Object.keys(STATUS_RANK).filter((s) => STATUS_RANK[s] < rank);
+
+  const result = await db.query(
+    `UPDATE message_logs
+     SET status = $3,
+         delivered_at = CASE WHEN $3 IN ('delivered', 'read') THEN COALESCE(delivered_at, now()) ELSE delivered_at END,
+         read_at = CASE WHEN $3 = 'read' THEN now() ELSE read_at END,
+         failed_at = CASE WHEN $3 = 'failed' THEN now() ELSE failed_at END,
+         last_error = CASE WHEN $3 = 'failed' THEN $4 ELSE last_error END,
+         updated_at = now()
+     WHERE provider = $1 AND provider_message_id = $2 AND direction = 'outbound' AND status = ANY($5::text[])`,
+    [providerName, event.providerMessageId, event.status, event.error || null, allowedFrom]
+  );
+  return result.rowCount > 0;
+}
+
+async function storeInboundMessage(db, providerName, channel, event) {
+  const customer = await db.query(
+    `SELECT id FROM customers WHERE ${PHONE_KEY_SQL} = $1 ORDER BY archived_at IS NOT NULL, created_at LIMIT 1`,
+    [phoneKey(event.from)]
+  );
+  if (customer.rows.length === 0) {
+    console.log(`[messaging] inbound ${providerName} message from unknown number ${event.from} ignored`);
+    return false;
+  }
+  const result = await db.query(
+    `INSERT INTO message_logs
+       (customer_id, channel, message, direction, status, phone, provider, provider_message_id)
+     VALUES ($1, $2, $3, 'inbound', 'received', $4, $5, $6)
+     ON CONFLICT (provider, provider_message_id) WHERE provider_message_id IS NOT NULL DO NOTHING`,
+    [customer.rows[0].id, channel, event.text, event.from, providerName, event.providerMessageId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Apply parsed webhook events (see providers.js).
+ * @returns {Promise<{ statuses: number, inbound: number, ignored: number }>}
+ */
+async function handleWebhookEvents(db, { provider, channel }, events) {
+  const summary = { statuses: 0, inbound: 0, ignored: 0 };
+  for (const event of events) {
+    const applied = event.type === 'status'
+      ? await applyStatusEvent(db, provider.name, event)
+      : await storeInboundMessage(db, provider.name, CHANNELS.includes(event.channel) ? event.channel : channel, event);
+    if (!applied) summary.ignored += 1;
+    else if (event.type === 'status') summary.statuses += 1;
+    else summary.inbound += 1;
+  }
+  return summary;
+}
+
+module.exports = {
+  CHANNELS,
+  MESSAGE_COLUMNS,
+  getProvider,
+  setMessagingProvider,
+  findProvider,
+  queueMessage,
+  processMessageQueue,
+  handleWebhookEvents,
+};
@@ -0,0 +1,190 @@
+/**
+ * Messaging providers. A provider is an object with:
+ *   name                          stored in message_logs.provider and used in the webhook URL
+ *   async send({ to, text })      → { providerMessageId }; to is E.164 (+91…). Throws on failure;
+ *                                   err.permanent = true means retrying cannot help (bad number, auth, …)
+ *   verifyWebhook(req)            → boolean; req.rawBody holds the unparsed body
+ *   parseWebhook(body)            → events: { type: 'status', providerMessageId, status, error? }
+ *                                           { type: 'inbound', providerMessageId, from, text, channel? }
+ * Event statuses are sent | delivered | read | failed.
+ */
+
+const crypto = require('crypto');
+
+function providerError(message, { permanent = false } = {}) {
+  const err = new Error(message);
+  err.permanent = permanent;
+  return err;
+}
+
+// 4xx (other than 408/429) will fail the same way on retry
+function isPermanentStatus(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+async function postJson(url, body, headers) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(15000),
+    });
+  } catch (err) {
+    throw providerError(`Request failed: ${err.message}`);
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const detail = (data.error && (data.error.message || data.error)) || response.statusText;
+    throw providerError(`HTTP ${response.status}: ${detail}`, { permanent: isPermanentStatus(response.status) });
+  }
+  return data;
+}
+
+/**
+ * Generic webhook payload shared by the SMS gateway and the fake provider:
+ *   { "type": "status", "message_id": "...", "status": "delivered", "error": "..." }
+ *   { "type": "inbound", "message_id": "...", "from": "+919876543210", "text": "...", "channel": "sms" }
+ * A single event or { "events": [ ... ] }.
+ */
+function parseGenericWebhook(body) {
+  const events = Array.isArray(body && body.events) ? body.events : [body];
+  return events
+    .map((e) => {
+      if (!e || !e.message_id) return null;
+      if (e.type === 'status') {
+        return { type: 'status', providerMessageId: String(e.message_id), status: e.status, error: e.error || null };
+      }
+      if (e.type === 'inbound' && e.from && typeof e.text === 'string') {
+        return {
+          type: 'inbound', providerMessageId: String(e.message_id), from: String(e.from), text: e.text, channel: e.channel,
+        };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * WhatsApp Cloud API (Meta). Env: WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_APP_SECRET
+ * (webhook signature), WHATSAPP_API_VERSION (default v20.0).
+ * Free-form text is only delivered within 24 hours of the customer's last message; outside that window
+ * Meta rejects it and the message ends up failed.
+ */
+function createWhatsAppCloudProvider({
+  token = process.env.WHATSAPP_TOKEN,
+  phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID,
+  appSecret = process.env.WHATSAPP_APP_SECRET,
+  apiVersion = process.env.WHATSAPP_API_VERSION || 'v20.0',
+} = {}) {
+  if (!token || !phoneNumberId) {
+    throw new Error('WHATSAPP_TOKEN and WHATSAPP_PHONE_NUMBER_ID are required for the whatsapp_cloud provider');
+  }
+  return {
+    name: 'whatsapp_cloud',
+    async send({ to, text }) {
+      const data = await postJson(
+        `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`,
+        { messaging_product: 'whatsapp', to: to.replace(/^\+/, ''), type: 'text', text: { body: text } },
+        { Authorization: `Bearer ${token}` }
+      );
+      const id = data.messages && data.messages[0] && data.messages[0].id;
+      if (!id) throw providerError('Response did not include a message id');
+      return { providerMessageId: id };
+    },
+    verifyWebhook(req) {
+      if (!appSecret) return false;
+      const signature = req.get('x-hub-signature-256') || '';
+      const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(req.rawBody || '').digest('hex')}`;
+      return safeEqual(signature, expected);
+    },
+    parseWebhook(body) {
+      const events = [];
+      for (const entry of (body && body.entry) || []) {
+        for (const change of entry.changes || []) {
+          const value = change.value || {};
+          for (const s of value.statuses || []) {
+            const error = s.errors && s.errors[0] ? s.errors[0].title || s.errors[0].message : null;
+            events.push({ type: 'status', providerMessageId: s.id, status: s.status, error });
+          }
+          for (const m of value.messages || []) {
+            const text = m.text ? m.text.body : `[${m.type} message]`;
+            events.push({ type: 'inbound', providerMessageId: m.id, from: `+${m.from}`, text });
+          }
+        }
+      }
+      return events;
+    },
+  };
+}
+
+/**
+ * Generic HTTP SMS gateway. Env: SMS_GATEWAY_URL, SMS_GATEWAY_API_KEY, SMS_SENDER_ID,
+ * SMS_GATEWAY_WEBHOOK_SECRET (sent back by the gateway in X-Webhook-Secret).
+ * Send: POST SMS_GATEWAY_URL { to, from, text } with Authorization: Bearer <key> → { id } or { message_id }.
+ */
+function createSmsGatewayProvider({
+  url = process.env.SMS_GATEWAY_URL,
+  apiKey = process.env.SMS_GATEWAY_API_KEY,
+  senderId = process.env.SMS_SENDER_ID,
+  webhookSecret = process.env.SMS_GATEWAY_WEBHOOK_SECRET,
+} = {}) {
+  if (!url || !apiKey) {
+    throw new Error('SMS_GATEWAY_URL and SMS_GATEWAY_API_KEY are required for the sms_gateway provider');
+  }
+  return {
+    name: 'sms_gateway',
+    async send({ to, text }) {
+      const data = await postJson(url, { to, from: senderId, text }, { Authorization: `Bearer ${apiKey}` });
+      const id = data.id || data.message_id;
+      if (!id) throw providerError('Response did not include a message id');
+      return { providerMessageId: String(id) };
+    },
+    verifyWebhook(req) {
+      return Boolean(webhookSecret) && safeEqual(req.get('x-webhook-secret') || '', webhookSecret);
+    },
+    parseWebhook: parseGenericWebhook,
+  };
+}
+
+/**
+ * Local fake: records sends in memory (last 1000) instead of delivering them (development and tests).
+ * A message whose text contains "[fail]" fails permanently. Webhooks use the generic payload and are
+ * accepted without a secret outside production.
+ */
+function createFakeProvider() {
+  const sent = [];
+  return {
+    name: 'fake',
+    sent,
+    async send({ to, text }) {
+      if (text.includes('[fail]')) {
+        throw providerError('Fake provider rejected the message', { permanent: true });
+      }
+      const providerMessageId = `fake-${crypto.randomUUID()}`;
+      sent.push({ providerMessageId, to, text, at: new Date() });
+      if (sent.length > 1000) sent.shift();
+      if (process.env.NODE_ENV !== 'production') {
+        console.log(`[messaging:fake] to=${to} id=${providerMessageId}\n${text}`);
+      }
+      return { providerMessageId };
+    },
+    verifyWebhook() {
+      return process.env.NODE_ENV !== 'production';
+    },
+    parseWebhook: parseGenericWebhook,
+  };
+}
+
+module.exports = {
+  createWhatsAppCloudProvider,
+  createSmsGatewayProvider,
+  createFakeProvider,
+};
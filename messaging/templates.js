@@ -0,0 +1,186 @@
+/**
+ * Message templates: {{placeholder}} substitution from customer, product and caller-supplied variables.
+ *
+ * Built-in variables (TEMPLATE_VARIABLES) come from the customer and, when a product_id is given, that
+ * product. Dates are written as "15 Jun 2026" and amounts as "₹12,000". Variables passed by the caller
+ * are added to (and override) the built-ins. A placeholder with no value is reported as missing; sending
+ * refuses to go out with missing values, preview shows them.
+ */
+
+const { formatCommentDate, toDateString } = require('../customers/followups');
+const { UUID_RE } = require('../customers/assignment');
+
+const PLACEHOLDER_RE = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+const MAX_BODY_LENGTH = 4096;
+
+const CUSTOMER_VARIABLES = {
+  name: 'Customer name',
+  first_name: 'First word of the customer name',
+  phone: 'Customer phone',
+  city: 'Customer city',
+  status: 'Customer status',
+  next_followup_date: 'Next follow-up date',
+  assigned_to_email: 'Email of the assigned staff member',
+};
+const PRODUCT_VARIABLES = {
+  product_name: 'Product name',
+  product_type: 'insurance, loan or sip',
+  insurer: 'Insurer',
+  policy_number: 'Policy number',
+  sum_assured: 'Sum assured',
+  premium: 'Premium',
+  premium_frequency: 'Premium frequency',
+  renewal_date: 'Policy renewal date',
+  lender: 'Lender',
+  principal: 'Loan principal',
+  interest_rate: 'Loan interest rate (%)',
+  tenure_months: 'Loan tenure in months',
+  emi: 'EMI amount',
+  disbursal_date: 'Loan disbursal date',
+  fund_name: 'SIP fund',
+  folio_number: 'SIP folio number',
+  monthly_amount: 'SIP amount',
+  start_date: 'SIP start date',
+  sip_day: 'SIP debit day of month',
+};
+const TEMPLATE_VARIABLES = { ...CUSTOMER_VARIABLES, ...PRODUCT_VARIABLES };
+
+const DATE_FIELDS = ['next_followup_date', 'renewal_date', 'disbursal_date', 'start_date'];
+const MONEY_FIELDS = ['sum_assured', 'premium', 'principal', 'emi', 'monthly_amount'];
+
+// ₹12,000 for whole amounts, ₹12,000.50 otherwise
+function formatMoney(value) {
+  const amount = Number(value);
+  const digits = Number.isInteger(amount) ? 0 : 2;
+  return `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+}
+
+function formatValue(key, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (DATE_FIELDS.includes(key)) return formatCommentDate(toDateString(value));
+  if (MONEY_FIELDS.includes(key)) return formatMoney(value);
+  return String(value);
+}
+
+/**
+ * Placeholder names used in a template body, in order of first use.
+ */
+function templatePlaceholders(body) {
+  return [...new Set([...String(body).matchAll(PLACEHOLDER_RE)].map((m) => m[1]))];
+}
+
+/**
+ * @returns {{ text: string, missing: string[] }}
+ */
+function renderTemplate(body, values) {
+  const missing = new Set();
+  const text = String(body).replace(PLACEHOLDER_RE, (match, key) => {
+    const value = values[key];
+    if (value === null || value === undefined || value === '') {
+      missing.add(key);
+      return match;
+    }
+    return String(value);
+  });
+  return { text, missing: [...missing] };
+}
+
+/**
+ * Validate a template body.
+ * @returns {string|null} error message
+ */
+function validateTemplateBody(body) {
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'body is required';
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    return `body must be at most ${MAX_BODY_LENGTH} characters`;
+  }
+  const unbalanced = body.replace(PLACEHOLDER_RE, '');
+  if (unbalanced.includes('{{') || unbalanced.includes('}}')) {
+    return 'body has a malformed placeholder; use {{variable_name}}';
+  }
+  return null;
+}
+
+/**
+ * Built-in variable values for a customer (and optionally one of their products), plus caller variables.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {{ customerId: string, productId?: string, variables?: Record<string, unknown> }} input
+ * @returns {Promise<{ values?: Record<string, string>, error?: string, status?: number }>}
+ */
+async function templateValues(db, { customerId, productId, variables }) {
+  if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+    return { status: 400, error: 'variables must be an object of name → value' };
+  }
+
+  const customer = await db.query(
+    `SELECT c.name, c.phone, c.city, c.status, c.next_followup_date, u.email AS assigned_to_email
+     FROM customers c
+     LEFT JOIN users u ON u.id = c.assigned_to
+     WHERE c.id = $1`,
+    [customerId]
+  );
+  if (customer.rows.length === 0) {
+    return { status: 404, error: 'Customer not found' };
+  }
+  const row = { ...customer.rows[0], first_name: customer.rows[0].name.trim().split(/\s+/)[0] };
+
+  if (productId !== undefined && productId !== null) {
+    if (!UUID_RE.test(String(productId))) {
+      return { status: 400, error: 'product_id must be a product id' };
+    }
+    const product = await db.query(
+      `SELECT ${Object.keys(PRODUCT_VARIABLES).join(', ')}
+       FROM customer_products WHERE id = $1 AND customer_id = $2`,
+      [productId, customerId]
+    );
+    if (product.rows.length === 0) {
+      return { status: 404, error: 'Product not found for this customer' };
+    }
+    Object.assign(row, product.rows[0]);
+  }
+
+  const values = {};
+  for (const [key, value] of Object.entries(row)) {
+    const formatted = formatValue(key, value);
+    if (formatted !== null) values[key] = formatted;
+  }
+  for (const [key, value] of Object.entries(variables || {})) {
+    if (value !== null && value !== undefined) values[key] = String(value);
+  }
+  return { values };
+}
+
+/**
+ * Load a template and render it for a customer.
+ * @param {{ templateId: string, customerId: string, productId?: string, variables?: object }} input
+ * @returns {Promise<{ template?: object, text?: string, missing?: string[], error?: string, status?: number }>}
+ */
+async function renderTemplateForCustomer(db, { templateId, customerId, productId, variables }) {
+  if (!UUID_RE.test(String(templateId))) {
+    return { status: 404, error: 'Template not found' };
+  }
+  const template = await db.query(
+    'SELECT id, name, channel, body, active FROM message_templates WHERE id = $1',
+    [templateId]
+  );
+  if (template.rows.length === 0) {
+    return { status: 404, error: 'Template not found' };
+  }
+
+  const { values, error, status } = await templateValues(db, { customerId, productId, variables });
+  if (error) {
+    return { error, status };
+  }
+  return { template: template.rows[0], ...renderTemplate(template.rows[0].body, values) };
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  templatePlaceholders,
+  renderTemplate,
+  validateTemplateBody,
+  templateValues,
+  renderTemplateForCustomer,
+};
@@ -1,3 +1,5 @@
+-- Core CRM tables: customers, comments, message logs and products.
+
 CREATE EXTENSION IF NOT EXISTS pgcrypto;
 
 CREATE TABLE IF NOT EXISTS customers (
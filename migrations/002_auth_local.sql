@@ -1,5 +1,4 @@
 -- Local auth: users table for email + password login
--- Run after customers.sql (depends on customers table)
 
 CREATE EXTENSION IF NOT EXISTS pgcrypto;
 
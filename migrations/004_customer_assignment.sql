@@ -0,0 +1,6 @@
+-- Customer ownership: each customer can be assigned to a staff (or admin) user.
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS assigned_to uuid REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS customers_assigned_to_idx ON customers(assigned_to);
+CREATE INDEX IF NOT EXISTS customers_next_followup_date_idx ON customers(next_followup_date);
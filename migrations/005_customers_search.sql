@@ -0,0 +1,13 @@
+-- Indexes for GET /customers filtering, search and sorting.
+-- Requires the pg_trgm extension (available on Railway/standard Postgres).
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS customers_created_at_idx ON customers(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS customers_status_idx ON customers(status);
+CREATE INDEX IF NOT EXISTS customers_city_lower_idx ON customers(lower(city));
+CREATE INDEX IF NOT EXISTS customers_name_lower_idx ON customers(lower(name), id);
+CREATE INDEX IF NOT EXISTS customers_name_trgm_idx ON customers USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS customers_phone_digits_trgm_idx
+  ON customers USING gin ((regexp_replace(phone, '\D', '', 'g')) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS customer_products_customer_type_idx ON customer_products(customer_id, product_type);
@@ -0,0 +1,10 @@
+-- Google sign-in: link users to an external identity.
+-- Google-only users have no password_hash.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oauth_provider text;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oauth_provider_id text;
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_oauth_identity_idx
+  ON users(oauth_provider, oauth_provider_id)
+  WHERE oauth_provider_id IS NOT NULL;
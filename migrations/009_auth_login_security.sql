@@ -0,0 +1,23 @@
+-- Login brute-force protection (LOGIN_LIMITER_STORE=postgres) and login audit trail.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  key text PRIMARY KEY,
+  failures integer NOT NULL DEFAULT 0,
+  last_failure_at timestamptz NOT NULL DEFAULT now(),
+  locked_until timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS login_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  email text NOT NULL,
+  ip text,
+  user_agent text,
+  success boolean NOT NULL,
+  reason text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS login_events_created_at_idx ON login_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS login_events_email_idx ON login_events(email, created_at DESC);
+CREATE INDEX IF NOT EXISTS login_events_ip_idx ON login_events(ip, created_at DESC);
@@ -0,0 +1,5 @@
+-- Phone-based duplicate detection: index on the last 10 digits of customers.phone.
+-- Must match PHONE_KEY_SQL in customers/phone.js.
+
+CREATE INDEX IF NOT EXISTS customers_phone_key_idx
+  ON customers ((right(regexp_replace(phone, '\D', '', 'g'), 10)));
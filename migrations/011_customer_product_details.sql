@@ -0,0 +1,35 @@
+-- Type-specific details for customer_products (validated per type in customers/products.js).
+-- Columns of the other product types stay NULL.
+
+-- Insurance
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS insurer text;
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS policy_number text;
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS sum_assured numeric(14, 2) CHECK (sum_assured > 0);
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS premium numeric(12, 2) CHECK (premium > 0);
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS premium_frequency text
+  CHECK (premium_frequency IN ('monthly', 'quarterly', 'half_yearly', 'yearly', 'single'));
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS renewal_date date;
+
+-- Loan
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS lender text;
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS principal numeric(14, 2) CHECK (principal > 0);
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS interest_rate numeric(5, 2) CHECK (interest_rate >= 0 AND interest_rate <= 100);
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS tenure_months integer CHECK (tenure_months > 0);
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS emi numeric(12, 2) CHECK (emi > 0);
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS disbursal_date date;
+
+-- SIP
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS fund_name text;
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS folio_number text;
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS monthly_amount numeric(12, 2) CHECK (monthly_amount > 0);
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS start_date date;
+-- Day of the month the instalment is debited
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS sip_day smallint CHECK (sip_day BETWEEN 1 AND 31);
+
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS closed_at timestamptz;
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS customer_products_renewal_date_idx
+  ON customer_products(renewal_date) WHERE product_type = 'insurance' AND status = 'active';
+CREATE UNIQUE INDEX IF NOT EXISTS customer_products_policy_number_idx
+  ON customer_products(lower(insurer), policy_number) WHERE policy_number IS NOT NULL;
@@ -0,0 +1,15 @@
+-- Reminders created by the product reminder job (jobs/reminders.js).
+-- One row per product and due date: the unique key makes reruns and restarts idempotent.
+
+CREATE TABLE IF NOT EXISTS product_reminders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id uuid NOT NULL REFERENCES customer_products(id) ON DELETE CASCADE,
+  customer_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('renewal', 'emi', 'sip')),
+  due_date date NOT NULL,
+  followup_date date NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT product_reminders_product_due_key UNIQUE (product_id, due_date)
+);
+
+CREATE INDEX IF NOT EXISTS product_reminders_customer_id_idx ON product_reminders(customer_id);
@@ -0,0 +1,28 @@
+-- Outbound WhatsApp/SMS sending and inbound replies (messaging/).
+-- Outbound messages are queued and sent by the message worker; providers report delivery status
+-- and customer replies through POST /webhooks/messaging/:provider.
+-- Existing rows were only recorded, never sent: they become status 'logged'.
+
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS direction text NOT NULL DEFAULT 'outbound'
+  CHECK (direction IN ('outbound', 'inbound'));
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'logged'
+  CHECK (status IN ('logged', 'queued', 'sending', 'sent', 'delivered', 'read', 'failed', 'received'));
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS phone text;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS provider text;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS provider_message_id text;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS next_attempt_at timestamptz;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS last_error text;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS sent_by uuid REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS sent_at timestamptz;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS delivered_at timestamptz;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS read_at timestamptz;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS failed_at timestamptz;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS message_logs_customer_id_idx ON message_logs(customer_id, created_at);
+CREATE INDEX IF NOT EXISTS message_logs_queue_idx
+  ON message_logs(next_attempt_at) WHERE status IN ('queued', 'sending');
+-- Status webhooks look messages up by the provider's id; also dedupes redelivered inbound webhooks
+CREATE UNIQUE INDEX IF NOT EXISTS message_logs_provider_message_idx
+  ON message_logs(provider, provider_message_id) WHERE provider_message_id IS NOT NULL;
@@ -0,0 +1,15 @@
+-- Admin-managed message templates with {{placeholders}} (messaging/templates.js).
+
+CREATE TABLE IF NOT EXISTS message_templates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL UNIQUE,
+  channel text NOT NULL CHECK (channel IN ('whatsapp', 'sms')),
+  body text NOT NULL,
+  active boolean NOT NULL DEFAULT true,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Which template a message was rendered from (null for free text)
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS template_id uuid REFERENCES message_templates(id) ON DELETE SET NULL;
@@ -0,0 +1,14 @@
+-- Data for pipeline analytics (analytics/metrics.js).
+
+-- When a customer became 'converted' (time-to-conversion). Unknown for customers converted before this
+-- migration, so they are left out of conversion-time figures.
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS converted_at timestamptz;
+
+-- Who wrote a comment (null for system comments and older rows), for per-staff activity
+ALTER TABLE customer_comments ADD COLUMN IF NOT EXISTS author_id uuid REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS customers_converted_at_idx ON customers(converted_at) WHERE converted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS customer_comments_author_idx ON customer_comments(author_id, created_at)
+  WHERE author_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS message_logs_sent_by_idx ON message_logs(sent_by, created_at) WHERE sent_by IS NOT NULL;
+CREATE INDEX IF NOT EXISTS customer_products_created_at_idx ON customer_products(created_at);
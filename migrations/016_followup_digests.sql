@@ -0,0 +1,11 @@
+-- Daily follow-up digests sent by jobs/digest.js: one row per user and business day, so each user gets
+-- at most one digest a day however often (and on however many instances) the job runs.
+
+CREATE TABLE IF NOT EXISTS followup_digests (
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  digest_date date NOT NULL,
+  today_count integer NOT NULL,
+  overdue_count integer NOT NULL,
+  sent_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, digest_date)
+);
@@ -0,0 +1,38 @@
+-- Lead status workflow (customers/statusWorkflow.js): lost reasons and a history of every status change.
+
+CREATE TABLE IF NOT EXISTS lost_reasons (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  label text NOT NULL,
+  active boolean NOT NULL DEFAULT true,
+  sort_order integer NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS lost_reasons_label_idx ON lost_reasons(lower(label));
+
+-- Starting list; admins manage it through /lost-reasons
+INSERT INTO lost_reasons (label, sort_order) VALUES
+  ('Not interested', 10),
+  ('Chose another advisor', 20),
+  ('Not reachable', 30),
+  ('Not eligible', 40),
+  ('Cannot afford it now', 50)
+ON CONFLICT DO NOTHING;
+
+-- Why a lost customer was lost (cleared when they leave 'lost')
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS lost_reason_id uuid REFERENCES lost_reasons(id);
+
+-- from_status is null for the status a customer was created with
+CREATE TABLE IF NOT EXISTS customer_status_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  from_status text,
+  to_status text NOT NULL,
+  lost_reason_id uuid REFERENCES lost_reasons(id),
+  note text,
+  changed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  changed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS customer_status_history_customer_idx ON customer_status_history(customer_id, changed_at);
@@ -0,0 +1,36 @@
+-- Follow-up tasks (customers/followupTasks.js): many per customer, each with a type, due date/time,
+-- assignee, priority and, once done, an outcome. customers.next_followup_date is kept as the earliest
+-- open task's due date so the follow-up queues and older clients keep working.
+
+CREATE TABLE IF NOT EXISTS followup_tasks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  type text NOT NULL CHECK (type IN ('call', 'visit', 'whatsapp', 'document_collection')),
+  due_date date NOT NULL,
+  due_time time,
+  assigned_to uuid REFERENCES users(id) ON DELETE SET NULL,
+  priority text NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+  notes text,
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'done', 'cancelled')),
+  outcome text,
+  completed_at timestamptz,
+  completed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  next_task_id uuid REFERENCES followup_tasks(id) ON DELETE SET NULL,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS followup_tasks_customer_idx ON followup_tasks(customer_id, status, due_date);
+CREATE INDEX IF NOT EXISTS followup_tasks_open_due_idx ON followup_tasks(due_date, assigned_to) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS followup_tasks_completed_idx ON followup_tasks(completed_at) WHERE status = 'done';
+
+-- Existing follow-up dates become open call tasks for the customer's assignee
+INSERT INTO followup_tasks (customer_id, type, due_date, assigned_to)
+SELECT c.id, 'call', c.next_followup_date, c.assigned_to
+FROM customers c
+WHERE c.next_followup_date IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM followup_tasks t WHERE t.customer_id = c.id);
+
+-- The task a product reminder created (jobs/reminders.js)
+ALTER TABLE product_reminders ADD COLUMN IF NOT EXISTS task_id uuid REFERENCES followup_tasks(id) ON DELETE SET NULL;
@@ -0,0 +1,48 @@
+-- Comment types, visibility and edit/delete history (customers/comments.js).
+
+-- system: written by the app (follow-ups, assignment, reminders, imports); note: staff/admin;
+-- customer: written by the customer. Customers only ever see 'customer' visibility.
+ALTER TABLE customer_comments ADD COLUMN IF NOT EXISTS type text NOT NULL DEFAULT 'system'
+  CHECK (type IN ('system', 'note', 'customer'));
+ALTER TABLE customer_comments ADD COLUMN IF NOT EXISTS visibility text NOT NULL DEFAULT 'internal'
+  CHECK (visibility IN ('internal', 'customer'));
+ALTER TABLE customer_comments ADD COLUMN IF NOT EXISTS edited_at timestamptz;
+ALTER TABLE customer_comments ADD COLUMN IF NOT EXISTS edited_by uuid REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE customer_comments ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+ALTER TABLE customer_comments ADD COLUMN IF NOT EXISTS deleted_by uuid REFERENCES users(id) ON DELETE SET NULL;
+
+-- Existing rows: authored comments are the author's (customer comments stay visible to the customer),
+-- except the "marked as done" comment. Comments from before authors were recorded are notes unless they
+-- are one of the app's own messages.
+UPDATE customer_comments cc
+SET type = 'customer', visibility = 'customer'
+FROM users u
+WHERE u.id = cc.author_id AND u.role = 'customer';
+
+UPDATE customer_comments
+SET type = 'note'
+WHERE type = 'system'
+  AND comment <> 'Follow-up marked as done.'
+  AND (
+    author_id IS NOT NULL
+    OR NOT (
+      comment LIKE 'Follow-up %'
+      OR comment LIKE 'Reminder: %'
+      OR comment LIKE 'Assigned to %'
+      OR comment IN ('Unassigned.', 'Imported from CSV.')
+    )
+  );
+
+-- The previous content of a comment, kept each time it is edited or deleted
+CREATE TABLE IF NOT EXISTS customer_comment_revisions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  comment_id uuid NOT NULL REFERENCES customer_comments(id) ON DELETE CASCADE,
+  action text NOT NULL CHECK (action IN ('edit', 'delete')),
+  comment text NOT NULL,
+  visibility text NOT NULL,
+  changed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  changed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS customer_comment_revisions_comment_idx ON customer_comment_revisions(comment_id, changed_at);
+CREATE INDEX IF NOT EXISTS customer_comments_customer_idx ON customer_comments(customer_id, created_at);
@@ -0,0 +1,23 @@
+-- Customer documents (documents/index.js): metadata for files kept in the storage backend.
+
+CREATE TABLE IF NOT EXISTS customer_documents (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  -- Optional link to the policy, loan or SIP the document belongs to
+  product_id uuid REFERENCES customer_products(id) ON DELETE SET NULL,
+  doc_type text NOT NULL CHECK (doc_type IN (
+    'pan', 'aadhaar', 'address_proof', 'bank_statement', 'photo', 'policy', 'loan_sanction', 'other'
+  )),
+  file_name text NOT NULL,
+  mime_type text NOT NULL,
+  size_bytes integer NOT NULL,
+  sha256 text NOT NULL,
+  -- Backend name (DOCUMENT_STORAGE) and key the file was stored under
+  storage_backend text NOT NULL,
+  storage_key text NOT NULL UNIQUE,
+  uploaded_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS customer_documents_customer_idx ON customer_documents(customer_id, created_at);
+CREATE INDEX IF NOT EXISTS customer_documents_product_idx ON customer_documents(product_id) WHERE product_id IS NOT NULL;
@@ -0,0 +1,17 @@
+-- Requests customers make through the self-service API (/me, customers/requests.js): callbacks and
+-- interest in a new product. Each one creates a follow-up task for the customer's advisor.
+
+CREATE TABLE IF NOT EXISTS customer_requests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('callback', 'product_interest')),
+  -- The product the customer is interested in (product_interest only)
+  product_type text CHECK (product_type IN ('insurance', 'loan', 'sip')),
+  note text,
+  task_id uuid REFERENCES followup_tasks(id) ON DELETE SET NULL,
+  requested_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT customer_requests_product_check CHECK ((kind = 'product_interest') = (product_type IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS customer_requests_customer_idx ON customer_requests(customer_id, created_at);
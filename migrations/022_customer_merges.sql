@@ -0,0 +1,16 @@
+-- Audit trail of duplicate customers merged into another record (customers/duplicates.js).
+-- The merged customer is deleted, so its id is not a foreign key; merged_customer keeps its row as it was.
+
+CREATE TABLE IF NOT EXISTS customer_merges (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  survivor_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  merged_customer_id uuid NOT NULL,
+  merged_customer jsonb NOT NULL,
+  -- Rows moved to the survivor, per table
+  moved jsonb NOT NULL,
+  merged_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  merged_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS customer_merges_survivor_idx ON customer_merges(survivor_id, merged_at);
+CREATE INDEX IF NOT EXISTS customer_merges_merged_idx ON customer_merges(merged_customer_id);
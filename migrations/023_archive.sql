@@ -0,0 +1,21 @@
+-- Soft delete (customers/archive.js): archived customers and products stay in the database, hidden from
+-- lists, follow-up queues, reminders and analytics until restored. A purged customer has had its
+-- personal data erased in place, so rows that refer to it stay valid; it cannot be restored.
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS archived_at timestamptz;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS purged_at timestamptz;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS purged_by uuid REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS archived_at timestamptz;
+ALTER TABLE customer_products ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES users(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'customers_purged_archived_check') THEN
+    ALTER TABLE customers ADD CONSTRAINT customers_purged_archived_check
+      CHECK (purged_at IS NULL OR archived_at IS NOT NULL);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS customers_archived_at_idx ON customers(archived_at) WHERE archived_at IS NOT NULL;
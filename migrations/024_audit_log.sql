@@ -0,0 +1,55 @@
+-- Append-only audit log of changes made through the API (audit/index.js).
+-- user_id and entity ids are not foreign keys: entries must outlive the users and records they mention.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id bigserial PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  user_id uuid,
+  user_role text,
+  action text NOT NULL,
+  entity_type text NOT NULL,
+  entity_id uuid,
+  -- The customer the entity belongs to, so a customer's whole history can be found (and redacted on purge)
+  customer_id uuid,
+  before jsonb,
+  after jsonb,
+  ip text,
+  request_id text,
+  -- Set when before/after were blanked because the customer's personal data was purged
+  redacted_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log(entity_type, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_user_idx ON audit_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_customer_idx ON audit_log(customer_id) WHERE customer_id IS NOT NULL;
+
+-- Entries cannot be changed or deleted. The one exception is redaction on purge: with app.audit_redaction
+-- set for the transaction, before/after may be cleared (and redacted_at set) and nothing else.
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND current_setting('app.audit_redaction', true) = 'on'
+     AND NEW.before IS NULL AND NEW.after IS NULL AND NEW.redacted_at IS NOT NULL
+     AND (NEW.id, NEW.created_at, NEW.user_id, NEW.user_role, NEW.action, NEW.entity_type, NEW.entity_id,
+          NEW.customer_id, NEW.ip, NEW.request_id)
+         IS NOT DISTINCT FROM
+         (OLD.id, OLD.created_at, OLD.user_id, OLD.user_role, OLD.action, OLD.entity_type, OLD.entity_id,
+          OLD.customer_id, OLD.ip, OLD.request_id)
+  THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+-- TRUNCATE skips row triggers
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
@@ -0,0 +1,56 @@
+-- Outgoing webhooks (webhooks/index.js): admin-managed subscriptions to CRM events, and a delivery queue.
+-- Each event is queued once per matching subscription in the same transaction as the change, then posted
+-- by the webhook worker with retries; every attempt is logged.
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  url text NOT NULL,
+  description text,
+  -- Event names (WEBHOOK_EVENTS), or '*' for all
+  events text[] NOT NULL CHECK (cardinality(events) > 0),
+  -- HMAC-SHA256 key for the X-Webhook-Signature header; kept in plain text because signing needs it
+  secret text NOT NULL,
+  active boolean NOT NULL DEFAULT true,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id uuid NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  -- Shared by the deliveries of one event to several subscriptions; receivers use it to drop duplicates
+  event_id uuid NOT NULL,
+  event text NOT NULL,
+  -- The customer the event is about, so a purge can erase the payloads
+  customer_id uuid REFERENCES customers(id) ON DELETE SET NULL,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivering', 'delivered', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz,
+  last_status_code integer,
+  last_error text,
+  delivered_at timestamptz,
+  failed_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_queue_idx
+  ON webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'delivering');
+CREATE INDEX IF NOT EXISTS webhook_deliveries_subscription_idx ON webhook_deliveries(subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_customer_idx ON webhook_deliveries(customer_id) WHERE customer_id IS NOT NULL;
+
+-- Delivery log: one row per POST to the subscriber
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+  id bigserial PRIMARY KEY,
+  delivery_id uuid NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  attempted_at timestamptz NOT NULL DEFAULT now(),
+  status_code integer,
+  error text,
+  -- Start of the response body, for debugging the subscriber
+  response_body text,
+  duration_ms integer NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS webhook_delivery_attempts_delivery_idx ON webhook_delivery_attempts(delivery_id, attempted_at);
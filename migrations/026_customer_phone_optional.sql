@@ -0,0 +1,6 @@
+-- Customers provisioned by Google sign-in (auth/google.js) have no phone number until they or staff add one.
+-- A missing phone is NULL, never '', so it has no phone key (PHONE_KEY_SQL) and matches no other customer.
+
+ALTER TABLE customers ALTER COLUMN phone DROP NOT NULL;
+
+UPDATE customers SET phone = NULL WHERE phone = '';
@@ -0,0 +1,75 @@
+/**
+ * Notifications to staff/admin users (e.g. the daily follow-up digest) through a pluggable notifier.
+ * NOTIFIER: "email" (default) sends through mail/index.js (so MAIL_TRANSPORT applies); "file" writes one
+ * .json file per notification to NOTIFICATIONS_DIR (default ./tmp/notifications), including the
+ * structured data, for development. Others (Slack, push) can be plugged in with setNotifier.
+ *
+ * A notifier is any object with `async notify({ to, subject, text, data })`, where `to` is
+ * { id, email } of the user.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sendMail } = require('../mail');
+
+function createEmailNotifier() {
+  return {
+    name: 'email',
+    async notify({ to, subject, text }) {
+      await sendMail({ to: to.email, subject, text });
+    },
+  };
+}
+
+function createFileNotifier(dir = process.env.NOTIFICATIONS_DIR || path.resolve(__dirname, '../tmp/notifications')) {
+  return {
+    name: 'file',
+    async notify(notification) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...notification, sentAt: new Date().toISOString() }, null, 2));
+    },
+  };
+}
+
+const NOTIFIERS = {
+  email: createEmailNotifier,
+  file: createFileNotifier,
+};
+
+let notifier = null;
+
+function getNotifier() {
+  if (!notifier) {
+    const name = process.env.NOTIFIER || 'email';
+    const create = NOTIFIERS[name];
+    if (!create) {
+      throw new Error(`Unknown NOTIFIER "${name}"`);
+    }
+    notifier = create();
+  }
+  return notifier;
+}
+
+/**
+ * Replace the notifier (e.g. a recorder in tests).
+ * @param {{ notify: (notification: { to: { id: string, email: string }, subject: string, text: string, data?: object }) => Promise<void> }} next
+ */
+function setNotifier(next) {
+  notifier = next;
+}
+
+/**
+ * @param {{ to: { id: string, email: string }, subject: string, text: string, data?: object }} notification
+ */
+function notify(notification) {
+  return getNotifier().notify(notification);
+}
+
+module.exports = {
+  notify,
+  setNotifier,
+  createEmailNotifier,
+  createFileNotifier,
+};
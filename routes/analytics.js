@@ -0,0 +1,69 @@
+/**
+ * Pipeline analytics (mounted at /analytics) — admin, staff. See analytics/metrics.js for the filters
+ * (?from, ?to, ?city, ?assigned_to) and what each figure counts. Every response includes the range used.
+ * GET /analytics/dashboard  → all of the below in one response
+ * GET /analytics/pipeline   → customers by status, conversion rate and time to conversion
+ * GET /analytics/followups  → follow-ups due, overdue and completed
+ * GET /analytics/products   → products added per month and product_type
+ * GET /analytics/staff      → comments, completed follow-ups and messages per staff/admin user
+ */
+
+const express = require('express');
+const pool = require('../db');
+const { authenticate, requireStaffOrAdmin } = require('../auth/middleware');
+const {
+  parseAnalyticsFilters,
+  pipelineSummary,
+  conversionTime,
+  followupSummary,
+  productsByMonth,
+  staffActivity,
+} = require('../analytics/metrics');
+
+const router = express.Router();
+
+router.use(authenticate, requireStaffOrAdmin);
+
+async function pipeline(db, filters) {
+  const [summary, time] = await Promise.all([pipelineSummary(db, filters), conversionTime(db, filters)]);
+  return { ...summary, time_to_conversion: time };
+}
+
+const REPORTS = {
+  pipeline,
+  followups: followupSummary,
+  products: productsByMonth,
+  staff: staffActivity,
+};
+
+/**
+ * Route handler for one report (or all, for the dashboard).
+ */
+function reportHandler(names, label) {
+  return async (req, res) => {
+    const { filters, error, status } = parseAnalyticsFilters(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    try {
+      const results = await Promise.all(names.map((name) => REPORTS[name](pool, filters)));
+      const body = { range: { from: filters.from, to: filters.to } };
+      names.forEach((name, i) => {
+        body[name] = results[i];
+      });
+      res.json(body);
+    } catch (err) {
+      console.error(`Error fetching ${label}:`, err);
+      res.status(500).json({ error: `Failed to fetch ${label}` });
+    }
+  };
+}
+
+router.get('/dashboard', reportHandler(Object.keys(REPORTS), 'analytics dashboard'));
+router.get('/pipeline', reportHandler(['pipeline'], 'pipeline analytics'));
+router.get('/followups', reportHandler(['followups'], 'follow-up analytics'));
+router.get('/products', reportHandler(['products'], 'product analytics'));
+router.get('/staff', reportHandler(['staff'], 'staff activity'));
+
+module.exports = router;
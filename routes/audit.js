@@ -0,0 +1,85 @@
+/**
+ * Audit log (mounted at /audit-log) — admin only. Entries are written by the routes themselves, see audit/index.js.
+ * GET /audit-log → newest first: ?entity_type, ?entity_id, ?customer_id (entries about the customer and
+ *                  everything that belongs to them), ?user_id, ?action, ?request_id, ?from, ?to (timestamps),
+ *                  ?before_id (next page: the id of the last entry seen), ?limit=100 (max 1000)
+ */
+
+const express = require('express');
+const pool = require('../db');
+const { authenticate, requireAdmin } = require('../auth/middleware');
+const { UUID_RE } = require('../customers/assignment');
+const { AUDIT_ENTITY_TYPES } = require('../audit');
+
+const router = express.Router();
+
+router.use(authenticate, requireAdmin);
+
+// GET /audit-log
+router.get('/', async (req, res) => {
+  const { entity_type, action, request_id, from, to, before_id } = req.query;
+  const conditions = [];
+  const values = [];
+
+  if (entity_type) {
+    if (!AUDIT_ENTITY_TYPES.includes(entity_type)) {
+      return res.status(400).json({ error: `entity_type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}` });
+    }
+    values.push(entity_type);
+    conditions.push(`a.entity_type = $${values.length}`);
+  }
+  for (const field of ['entity_id', 'customer_id', 'user_id']) {
+    const value = req.query[field];
+    if (!value) continue;
+    if (!UUID_RE.test(String(value))) {
+      return res.status(400).json({ error: `${field} must be an id` });
+    }
+    values.push(value);
+    conditions.push(`a.${field} = $${values.length}`);
+  }
+  for (const [field, value] of [['action', action], ['request_id', request_id]]) {
+    if (!value) continue;
+    values.push(String(value));
+    conditions.push(`a.${field} = $${values.length}`);
+  }
+  for (const [value, op] of [[from, '>='], [to, '<']]) {
+    if (!value) continue;
+    if (Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+    values.push(value);
+    conditions.push(`a.created_at ${op} $${values.length}::timestamptz`);
+  }
+  if (before_id !== undefined) {
+    if (!/^\d{1,18}$/.test(String(before_id))) {
+      return res.status(400).json({ error: 'before_id must be an audit entry id' });
+    }
+    values.push(before_id);
+    conditions.push(`a.id < $${values.length}`);
+  }
+
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+  }
+  values.push(limit);
+
+  try {
+    const result = await pool.query(
+      `SELECT a.id, a.created_at, a.user_id, u.email AS user_email, a.user_role, a.action,
+              a.entity_type, a.entity_id, a.customer_id, a.before, a.after, a.ip, a.request_id, a.redacted_at
+       FROM audit_log a
+       LEFT JOIN users u ON u.id = a.user_id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY a.id DESC
+       LIMIT $${values.length}`,
+      values
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,74 @@
 /**
- * Local auth routes: email + password login, logout (client-side discard).
- * POST /auth/login  → email, password → JWT + role + customer_id
- * POST /auth/logout → 200 OK (client discards token)
+ * Auth routes: email + password login, Google sign-in, logout (client-side discard).
+ * POST /auth/login            → email, password → JWT + role + customer_id
+ * GET  /auth/google           → redirect to Google consent (404 unless configured, see auth/google.js);
+ *                               ?link=<token from /auth/google/link> links the Google account chosen instead
+ * GET  /auth/google/callback  → same JSON as /auth/login, or redirect to GOOGLE_SUCCESS_REDIRECT#accessToken=...
+ * POST /auth/google/link      → (authenticated) { url }: open it in the browser to link a Google account (10 minutes)
+ * POST /auth/refresh          → rotate refresh cookie → new access token (same JSON as /auth/login)
+ * POST /auth/logout           → revoke this session's refresh token, clear cookie
+ * POST /auth/logout-all       → (authenticated) revoke every session of the current user
+ * POST /auth/password/forgot  → email → emails a single-use reset token (1 hour); always 200
+ * POST /auth/password/reset   → token (from the email), password → sets password
+ * POST /auth/password/set     → token (invite or admin reset, see routes/users.js), password → sets password
+ * POST /auth/password/change  → (authenticated) current_password, new_password
+ * Setting or changing a password revokes all existing sessions (see auth/sessions.js).
+ * Logins (successful or not), logouts and password changes are recorded in the audit log (audit/index.js).
+ * Login responses also set the httpOnly refresh_token cookie (see auth/sessions.js). /auth/refresh and /auth/logout
+ * only accept browser requests from a FRONTEND_URL origin (403 otherwise).
  * JWT_SECRET must come from env (see auth/tokens.js). Do not log tokens.
  */
 
 const express = require('express');
 const bcrypt = require('bcrypt');
+const passport = require('passport');
 const pool = require('../db');
-const { createAccessToken } = require('../auth/tokens');
+const { STRATEGY_NAME: GOOGLE, isGoogleAuthEnabled } = require('../auth/google');
+const { createOAuthLinkToken, verifyOAuthLinkToken } = require('../auth/tokens');
+const {
+  startSession,
+  refreshSession,
+  endSession,
+  revokeAllSessions,
+  clearRefreshCookie,
+  isTrustedOrigin,
+} = require('../auth/sessions');
+const { authenticate } = require('../auth/middleware');
+const { createUserToken, consumeUserToken, passwordSetupUrl } = require('../auth/userTokens');
+const { validatePassword, hashPassword } = require('../auth/passwords');
+const { sendMail } = require('../mail');
+const {
+  beginLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordLoginEvent,
+} = require('../auth/loginLimiter');
+const { recordAudit } = require('../audit');
 
 const router = express.Router();
 
-// POST /auth/login
+/**
+ * Audit entry for an auth event outside a transaction. There is usually no req.user yet, so the user
+ * is the account involved (if known). Never throws: auditing must not block login.
+ * @param {{ action: string, user?: { id: string, role: string, customer_id?: string|null }|null, after?: object }} event
+ */
+async function recordAuthEvent(req, { action, user = null, after = null }) {
+  try {
+    await recordAudit(pool, req, {
+      action,
+      entityType: 'user',
+      entityId: user ? user.id : null,
+      customerId: user ? user.customer_id : null,
+      userId: user ? user.id : null,
+      role: user ? user.role : null,
+      after,
+    });
+  } catch (err) {
+    console.error('Failed to record auth event:', err.message || err);
+  }
+}
+
+// POST /auth/login — rate limited per account and per IP (see auth/loginLimiter.js); 429 + Retry-After when throttled
 router.post('/login', async (req, res) => {
   const { email, password } = req.body;
 
@@ -20,44 +76,343 @@ router.post('/login', async (req, res) => {
     return res.status(400).json({ error: 'email and password are required' });
   }
 
+  const normalizedEmail = String(email).trim().toLowerCase();
+  const event = { email: normalizedEmail, ip: req.ip, userAgent: req.get('user-agent') };
+
   try {
+    const limit = await beginLoginAttempt(normalizedEmail, req.ip);
+    if (!limit.allowed) {
+      const reason = limit.locked ? 'locked' : 'throttled';
+      await recordLoginEvent({ ...event, success: false, reason });
+      await recordAuthEvent(req, { action: 'login_failed', after: { email: normalizedEmail, reason } });
+      res.set('Retry-After', String(limit.retryAfterSeconds));
+      return res.status(429).json({
+        error: limit.locked
+          ? 'Too many failed attempts; account temporarily locked'
+          : 'Too many failed attempts; try again later',
+        retryAfterSeconds: limit.retryAfterSeconds,
+      });
+    }
+
     const result = await pool.query(
-      `SELECT id, email, password_hash, role, customer_id
+      `SELECT id, email, password_hash, role, customer_id, token_version, disabled_at
        FROM users
        WHERE email = $1 AND auth_provider = 'local'`,
-      [email.trim().toLowerCase()]
+      [normalizedEmail]
     );
 
     const user = result.rows[0];
-    if (!user) {
+    const match = user && user.password_hash ? await bcrypt.compare(password, user.password_hash) : false;
+    if (!match) {
+      await recordLoginFailure(normalizedEmail, req.ip);
+      await recordLoginEvent({
+        ...event,
+        userId: user ? user.id : null,
+        success: false,
+        reason: user ? 'invalid_password' : 'unknown_user',
+      });
+      await recordAuthEvent(req, {
+        action: 'login_failed',
+        user,
+        after: { email: normalizedEmail, reason: user ? 'invalid_password' : 'unknown_user' },
+      });
       return res.status(401).json({ error: 'Invalid email or password' });
     }
+    if (user.disabled_at) {
+      await recordLoginEvent({ ...event, userId: user.id, success: false, reason: 'disabled' });
+      await recordAuthEvent(req, { action: 'login_failed', user, after: { email: normalizedEmail, reason: 'disabled' } });
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
 
-    const match = await bcrypt.compare(password, user.password_hash);
-    if (!match) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    await recordLoginSuccess(normalizedEmail, req.ip);
+    await recordLoginEvent({ ...event, userId: user.id, success: true, reason: 'password' });
+    await recordAuthEvent(req, { action: 'login', user, after: { email: normalizedEmail, method: 'password' } });
+    res.json(await startSession(req, res, user));
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+function requireGoogleAuth(req, res, next) {
+  if (!isGoogleAuthEnabled()) {
+    return res.status(404).json({ error: 'Google sign-in is not configured' });
+  }
+  next();
+}
+
+// GET /auth/google — start Google OAuth (redirects to Google); ?link to link the account (see /auth/google/link)
+router.get(
+  '/google',
+  requireGoogleAuth,
+  (req, res, next) => {
+    if (req.query.link !== undefined && !verifyOAuthLinkToken(req.query.link)) {
+      return res.status(401).json({ error: 'Invalid or expired link token' });
     }
+    next();
+  },
+  passport.authenticate(GOOGLE, { session: false, scope: ['profile', 'email'] })
+);
+
+// POST /auth/google/link — URL that links the signed-in user to the Google account they choose
+router.post('/google/link', requireGoogleAuth, authenticate, (req, res) => {
+  const token = createOAuthLinkToken(req.user.userId);
+  res.json({ url: `${req.baseUrl}/google?${new URLSearchParams({ link: token })}` });
+});
 
-    const accessToken = createAccessToken({
-      userId: user.id,
-      role: user.role,
-      customerId: user.customer_id ?? null,
+// GET /auth/google/callback — Google redirects here with ?code & ?state
+router.get('/google/callback', requireGoogleAuth, (req, res, next) => {
+  passport.authenticate(GOOGLE, { session: false }, async (err, user, info) => {
+    if (err) {
+      console.error('Google login error:', err.message || err);
+      return res.status(500).json({ error: 'Google login failed' });
+    }
+    if (!user) {
+      return res.status(401).json({ error: (info && info.message) || 'Google login failed' });
+    }
+
+    let body;
+    try {
+      body = await startSession(req, res, user);
+      await recordLoginEvent({
+        userId: user.id,
+        email: user.email,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        success: true,
+        reason: 'google',
+      });
+      if (info && info.linked) {
+        await recordAuthEvent(req, { action: 'link_google', user, after: { email: user.email } });
+      }
+      await recordAuthEvent(req, { action: 'login', user, after: { email: user.email, method: 'google' } });
+    } catch (sessionErr) {
+      console.error('Google login error:', sessionErr);
+      return res.status(500).json({ error: 'Google login failed' });
+    }
+
+    // Browser flow: hand the token to the frontend in the URL fragment (never sent to servers/logs)
+    const redirectTo = process.env.GOOGLE_SUCCESS_REDIRECT;
+    if (redirectTo) {
+      const fragment = new URLSearchParams({
+        accessToken: body.accessToken,
+        role: body.role,
+        customerId: body.customerId ?? '',
+      });
+      return res.redirect(`${redirectTo}#${fragment}`);
+    }
+
+    res.json(body);
+  })(req, res, next);
+});
+
+/**
+ * CSRF guard for the routes that act on the refresh cookie.
+ */
+function requireTrustedOrigin(req, res, next) {
+  if (!isTrustedOrigin(req)) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+  next();
+}
+
+// POST /auth/refresh — exchange the refresh cookie for a new access token (cookie is rotated)
+router.post('/refresh', requireTrustedOrigin, async (req, res) => {
+  try {
+    const { body, error } = await refreshSession(req, res);
+    if (error) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ error });
+    }
+    res.json(body);
+  } catch (err) {
+    console.error('Refresh error:', err);
+    res.status(500).json({ error: 'Refresh failed' });
+  }
+});
+
+// POST /auth/logout — revoke this device's refresh token; the short-lived access token simply expires
+router.post('/logout', requireTrustedOrigin, async (req, res) => {
+  try {
+    const ended = await endSession(req, res);
+    if (ended) {
+      await recordAuthEvent(req, {
+        action: 'logout',
+        user: { id: ended.userId, role: ended.role, customer_id: ended.customerId },
+      });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// POST /auth/logout-all — revoke every session (all devices) of the current user
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+    clearRefreshCookie(res);
+    await recordAuthEvent(req, {
+      action: 'logout_all',
+      user: { id: req.user.userId, role: req.user.role, customer_id: req.user.customerId },
     });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Logout-all error:', err);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+/**
+ * Redeem a one-time token and set the password; signs out every existing session.
+ * The token is only consumed if the password passes the policy.
+ */
+async function redeemPasswordToken(req, res, purposes) {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({ error: 'token and password are required' });
+  }
 
-    res.json({
-      accessToken,
-      role: user.role,
-      customerId: user.customer_id ?? null,
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const redeemed = await consumeUserToken(client, token, purposes);
+    if (!redeemed) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+    const user = await client.query('SELECT id, email, role, customer_id FROM users WHERE id = $1', [redeemed.userId]);
+    const invalid = validatePassword(password, { email: user.rows[0].email });
+    if (invalid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: invalid });
+    }
+
+    await client.query(
+      `UPDATE users SET password_hash = $1, auth_provider = 'local' WHERE id = $2`,
+      [await hashPassword(password), redeemed.userId]
+    );
+    await revokeAllSessions(redeemed.userId, client);
+    await recordAudit(client, req, {
+      action: redeemed.purpose === 'invite' ? 'password_set' : 'password_reset',
+      entityType: 'user',
+      entityId: redeemed.userId,
+      customerId: user.rows[0].customer_id,
+      userId: redeemed.userId,
+      role: user.rows[0].role,
     });
+    await client.query('COMMIT');
+    res.json({ ok: true });
   } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).json({ error: 'Login failed' });
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Set password error:', err);
+    res.status(500).json({ error: 'Failed to set password' });
+  } finally {
+    client.release();
+  }
+}
+
+// POST /auth/password/forgot — always 200 so the response does not reveal whether the email exists
+router.post('/password/forgot', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'email is required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, email, role, customer_id FROM users WHERE email = $1 AND disabled_at IS NULL',
+      [String(email).trim().toLowerCase()]
+    );
+    const user = result.rows[0];
+    if (user) {
+      const { token, expiresAt } = await createUserToken(pool, {
+        userId: user.id,
+        purpose: 'password_reset',
+        ttlMinutes: RESET_TOKEN_TTL_MINUTES,
+      });
+      const link = passwordSetupUrl(token);
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your MoneyCure password',
+        text: [
+          'We received a request to reset your password.',
+          link ? `Reset it here: ${link}` : `Your reset code: ${token}`,
+          `This link expires at ${expiresAt.toISOString()} and can be used once.`,
+          'If you did not ask for this, you can ignore this email.',
+        ].join('\n\n'),
+      });
+      await recordAuthEvent(req, { action: 'password_reset_requested', user });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ error: 'Failed to start password reset' });
   }
 });
 
-// POST /auth/logout — client discards JWT; no server-side session
-router.post('/logout', (req, res) => {
-  res.json({ ok: true });
+// POST /auth/password/reset — token from the reset email
+router.post('/password/reset', (req, res) => redeemPasswordToken(req, res, ['password_reset']));
+
+// POST /auth/password/set — invite or admin-issued reset token (see routes/users.js)
+router.post('/password/set', (req, res) => redeemPasswordToken(req, res, ['invite', 'password_reset']));
+
+// POST /auth/password/change — signs out every other session; this device gets a fresh session
+router.post('/password/change', authenticate, async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  if (!current_password || !new_password) {
+    return res.status(400).json({ error: 'current_password and new_password are required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, email, password_hash, role, customer_id FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+    const user = result.rows[0];
+    const match = user && user.password_hash
+      ? await bcrypt.compare(current_password, user.password_hash)
+      : false;
+    if (!match) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    if (current_password === new_password) {
+      return res.status(400).json({ error: 'new_password must differ from the current password' });
+    }
+    const invalid = validatePassword(new_password, { email: user.email });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [
+        await hashPassword(new_password),
+        user.id,
+      ]);
+      await revokeAllSessions(user.id, client);
+      await recordAudit(client, req, { action: 'password_change', entityType: 'user', entityId: user.id, customerId: user.customer_id });
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const version = await pool.query('SELECT token_version FROM users WHERE id = $1', [user.id]);
+    res.json(await startSession(req, res, { ...user, token_version: version.rows[0].token_version }));
+  } catch (err) {
+    console.error('Change password error:', err);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
 });
 
 module.exports = router;
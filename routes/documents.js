@@ -0,0 +1,50 @@
+/**
+ * Signed document downloads (mounted at /documents). No JWT: the link itself is the authorization,
+ * issued by GET /customers/:id/documents/:documentId/url after the usual customer access check
+ * (see documents/index.js).
+ * GET /documents/:id/download?expires&signature → the file, as an attachment
+ */
+
+const express = require('express');
+const pool = require('../db');
+const { UUID_RE } = require('../customers/assignment');
+const { verifyDocumentSignature, openDocument } = require('../documents');
+
+const router = express.Router();
+
+router.get('/:id/download', async (req, res) => {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  const { error } = verifyDocumentSignature(id, req.query.expires, req.query.signature);
+  if (error) {
+    return res.status(403).json({ error });
+  }
+
+  try {
+    const opened = await openDocument(pool, id);
+    if (!opened) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const { document, stream } = opened;
+    const asciiName = document.file_name.replace(/[^\x20-\x7e]/g, '_');
+    res.set({
+      'Content-Type': document.mime_type,
+      'Content-Length': String(document.size_bytes),
+      'Content-Disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(document.file_name)}`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    stream.on('error', (err) => {
+      console.error('Error streaming document:', err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error('Error downloading document:', err);
+    res.status(500).json({ error: 'Failed to download document' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,208 @@
+/**
+ * Spreadsheet exports (mounted at /exports) — admin, staff. Streamed; see exports/stream.js.
+ * Common query params: format=csv|xlsx (default csv), columns=comma-separated keys (default all).
+ * GET /exports/customers  → same filters and sort as GET /customers (see customers/listQuery.js)
+ * GET /exports/followups  → upcoming follow-ups (?days=30, max 365); scoped like /customers/followups/upcoming,
+ *                           by the open tasks' assignee; the date is the earliest such task's due date
+ * GET /exports/products   → customer_products (?product_type, ?status=active|closed)
+ * Archived customers and products are left out unless include_archived=true.
+ */
+
+const express = require('express');
+const { authenticate, requireStaffOrAdmin } = require('../auth/middleware');
+const { parseAssigneeFilter } = require('../customers/assignment');
+const { openTaskJoin } = require('../customers/followupTasks');
+const { archivedCondition, buildCustomerFilters, parsePagination, PRODUCT_TYPES } = require('../customers/listQuery');
+const { businessTodaySql } = require('../customers/businessDay');
+const { selectColumns, parseFormat, streamExport } = require('../exports/stream');
+
+const router = express.Router();
+
+router.use(authenticate, requireStaffOrAdmin);
+
+const DATE = (expr) => `to_char(${expr}, 'YYYY-MM-DD')`;
+const TIMESTAMP = (expr) => `to_char(${expr} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS"Z"')`;
+
+const CUSTOMER_EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', sql: 'c.id' },
+  { key: 'name', header: 'Name', sql: 'c.name' },
+  { key: 'phone', header: 'Phone', sql: 'c.phone' },
+  { key: 'city', header: 'City', sql: 'c.city' },
+  { key: 'status', header: 'Status', sql: 'c.status' },
+  { key: 'next_followup_date', header: 'Next follow-up', sql: DATE('c.next_followup_date') },
+  { key: 'assigned_to', header: 'Assigned to', sql: 'u.email' },
+  { key: 'created_at', header: 'Created at', sql: TIMESTAMP('c.created_at') },
+];
+
+const FOLLOWUP_EXPORT_COLUMNS = [
+  { key: 'due_date', header: 'Follow-up date', sql: DATE('task_due.due_date') },
+  { key: 'customer_id', header: 'Customer ID', sql: 'c.id' },
+  { key: 'customer_name', header: 'Customer', sql: 'c.name' },
+  { key: 'phone', header: 'Phone', sql: 'c.phone' },
+  { key: 'city', header: 'City', sql: 'c.city' },
+  { key: 'status', header: 'Status', sql: 'c.status' },
+  { key: 'assigned_to', header: 'Assigned to', sql: 'u.email' },
+];
+
+const PRODUCT_EXPORT_COLUMNS = [
+  { key: 'id', header: 'Product ID', sql: 'p.id' },
+  { key: 'customer_id', header: 'Customer ID', sql: 'p.customer_id' },
+  { key: 'customer_name', header: 'Customer', sql: 'c.name' },
+  { key: 'customer_phone', header: 'Phone', sql: 'c.phone' },
+  { key: 'product_type', header: 'Type', sql: 'p.product_type' },
+  { key: 'product_name', header: 'Product', sql: 'p.product_name' },
+  { key: 'status', header: 'Status', sql: 'p.status' },
+  { key: 'insurer', header: 'Insurer', sql: 'p.insurer' },
+  { key: 'policy_number', header: 'Policy number', sql: 'p.policy_number' },
+  { key: 'sum_assured', header: 'Sum assured', sql: 'p.sum_assured' },
+  { key: 'premium', header: 'Premium', sql: 'p.premium' },
+  { key: 'premium_frequency', header: 'Premium frequency', sql: 'p.premium_frequency' },
+  { key: 'renewal_date', header: 'Renewal date', sql: DATE('p.renewal_date') },
+  { key: 'lender', header: 'Lender', sql: 'p.lender' },
+  { key: 'principal', header: 'Principal', sql: 'p.principal' },
+  { key: 'interest_rate', header: 'Interest rate (%)', sql: 'p.interest_rate' },
+  { key: 'tenure_months', header: 'Tenure (months)', sql: 'p.tenure_months' },
+  { key: 'emi', header: 'EMI', sql: 'p.emi' },
+  { key: 'disbursal_date', header: 'Disbursal date', sql: DATE('p.disbursal_date') },
+  { key: 'fund_name', header: 'Fund', sql: 'p.fund_name' },
+  { key: 'folio_number', header: 'Folio number', sql: 'p.folio_number' },
+  { key: 'monthly_amount', header: 'Monthly amount', sql: 'p.monthly_amount' },
+  { key: 'start_date', header: 'SIP start date', sql: DATE('p.start_date') },
+  { key: 'sip_day', header: 'SIP day', sql: 'p.sip_day' },
+  { key: 'closed_at', header: 'Closed at', sql: TIMESTAMP('p.closed_at') },
+  { key: 'created_at', header: 'Created at', sql: TIMESTAMP('p.created_at') },
+];
+
+function selectList(columns) {
+  return columns.map((c) => `${c.sql} AS "${c.key}"`).join(', ');
+}
+
+function exportFilename(name) {
+  return `${name}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Parse format + columns; sends a 400 and returns null on error.
+ */
+function parseExportOptions(req, res, available) {
+  const { format, error: formatError } = parseFormat(req.query.format);
+  if (formatError) {
+    res.status(400).json({ error: formatError });
+    return null;
+  }
+  const { columns, error: columnsError } = selectColumns(req.query.columns, available);
+  if (columnsError) {
+    res.status(400).json({ error: columnsError });
+    return null;
+  }
+  return { format, columns };
+}
+
+// GET /exports/customers
+router.get('/customers', async (req, res) => {
+  const options = parseExportOptions(req, res, CUSTOMER_EXPORT_COLUMNS);
+  if (!options) return;
+
+  const filters = buildCustomerFilters(req);
+  if (filters.error) {
+    return res.status(filters.status).json({ error: filters.error });
+  }
+  const { sort, order, error } = parsePagination({ sort: req.query.sort, order: req.query.order });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await streamExport(res, {
+      ...options,
+      filename: exportFilename('customers'),
+      values: filters.values,
+      sql: `SELECT ${selectList(options.columns)}
+            FROM customers c
+            LEFT JOIN users u ON u.id = c.assigned_to
+            ${filters.conditions.length > 0 ? `WHERE ${filters.conditions.join(' AND ')}` : ''}
+            ORDER BY ${sort.expr} ${order}, c.id ${order}`,
+    });
+  } catch (err) {
+    console.error('Error exporting customers:', err);
+    res.status(500).json({ error: 'Failed to export customers' });
+  }
+});
+
+// GET /exports/followups
+router.get('/followups', async (req, res) => {
+  const options = parseExportOptions(req, res, FOLLOWUP_EXPORT_COLUMNS);
+  if (!options) return;
+
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 0 || days > 365) {
+    return res.status(400).json({ error: 'days must be an integer between 0 and 365' });
+  }
+  const { filter, error, status } = parseAssigneeFilter(req, { staffQueue: true });
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const today = businessTodaySql();
+  const values = [days];
+  const tasks = openTaskJoin(filter, values, `t.due_date BETWEEN ${today} AND ${today} + $1::int`, 'c');
+  const archived = archivedCondition(req.query);
+
+  try {
+    await streamExport(res, {
+      ...options,
+      filename: exportFilename('followups'),
+      values,
+      sql: `SELECT ${selectList(options.columns)}
+            FROM customers c
+            ${tasks}
+            LEFT JOIN users u ON u.id = c.assigned_to
+            ${archived ? `WHERE ${archived}` : ''}
+            ORDER BY task_due.due_date ASC, c.id`,
+    });
+  } catch (err) {
+    console.error('Error exporting follow-ups:', err);
+    res.status(500).json({ error: 'Failed to export follow-ups' });
+  }
+});
+
+// GET /exports/products
+router.get('/products', async (req, res) => {
+  const options = parseExportOptions(req, res, PRODUCT_EXPORT_COLUMNS);
+  if (!options) return;
+
+  const conditions = [archivedCondition(req.query, 'p.archived_at'), archivedCondition(req.query)].filter(Boolean);
+  const values = [];
+  if (req.query.product_type) {
+    if (!PRODUCT_TYPES.includes(req.query.product_type)) {
+      return res.status(400).json({ error: `product_type must be one of: ${PRODUCT_TYPES.join(', ')}` });
+    }
+    values.push(req.query.product_type);
+    conditions.push(`p.product_type = $${values.length}`);
+  }
+  if (req.query.status) {
+    if (req.query.status !== 'active' && req.query.status !== 'closed') {
+      return res.status(400).json({ error: 'status must be active or closed' });
+    }
+    values.push(req.query.status);
+    conditions.push(`p.status = $${values.length}`);
+  }
+
+  try {
+    await streamExport(res, {
+      ...options,
+      filename: exportFilename('products'),
+      values,
+      sql: `SELECT ${selectList(options.columns)}
+            FROM customer_products p
+            JOIN customers c ON c.id = p.customer_id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY p.created_at DESC, p.id`,
+    });
+  } catch (err) {
+    console.error('Error exporting products:', err);
+    res.status(500).json({ error: 'Failed to export products' });
+  }
+});
+
+module.exports = router;
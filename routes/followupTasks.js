@@ -0,0 +1,255 @@
+/**
+ * Follow-up tasks (mounted at /followup-tasks) — admin, staff. See customers/followupTasks.js.
+ * Tasks are listed and created per customer at /customers/:id/followup-tasks.
+ * GET  /followup-tasks               → task queue by task assignee (?assigned_to as for /customers/followups/today,
+ *                                      ?status=open (default)|done|cancelled, ?due=today|overdue|upcoming,
+ *                                      ?from, ?to (due_date), ?type, ?priority, ?limit=100 (max 500),
+ *                                      ?include_archived=true for tasks of archived customers)
+ * GET  /followup-tasks/:id
+ * PATCH /followup-tasks/:id          → { type?, due_date?, due_time?, assigned_to?, priority?, notes? } (open tasks only)
+ * POST /followup-tasks/:id/complete  → { outcome, next_task?: { type, due_date, ... } } → { task, next_task }
+ * POST /followup-tasks/:id/cancel    → { reason? }
+ * Changing a finished (done or cancelled) task is a 409.
+ */
+
+const express = require('express');
+const pool = require('../db');
+const { authenticate, requireStaffOrAdmin } = require('../auth/middleware');
+const { UUID_RE, parseAssigneeFilter, assigneeCondition } = require('../customers/assignment');
+const { addSystemComment, taskComment } = require('../customers/followups');
+const { businessTodaySql } = require('../customers/businessDay');
+const { archivedCondition } = require('../customers/listQuery');
+const { recordAudit } = require('../audit');
+const { queueWebhookEvent, kickWebhookQueue } = require('../webhooks');
+const {
+  TASK_TYPES,
+  TASK_PRIORITIES,
+  TASK_STATUSES,
+  TASK_COLUMNS,
+  validateTask,
+  updateTask,
+  completeTask,
+  cancelTask,
+} = require('../customers/followupTasks');
+
+const router = express.Router();
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const MAX_OUTCOME_LENGTH = 2000;
+
+router.use(authenticate, requireStaffOrAdmin);
+
+router.param('id', (req, res, next, id) => {
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  next();
+});
+
+/**
+ * Audit entry for a task change (result from updateTask, completeTask or cancelTask).
+ */
+function auditTask(client, req, action, { task, previous }) {
+  return recordAudit(client, req, {
+    action,
+    entityType: 'followup_task',
+    entityId: task.id,
+    customerId: task.customer_id,
+    before: previous,
+    after: task,
+  });
+}
+
+/**
+ * Run a task change in a transaction and answer with its result (or error). result.webhooks: outgoing
+ * webhook deliveries the change queued, posted once it is committed.
+ */
+async function inTransaction(res, label, change) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await change(client);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ error: result.error });
+    }
+    await client.query('COMMIT');
+    if (result.webhooks > 0) kickWebhookQueue();
+    res.json(result.body);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`Error trying to ${label} follow-up task:`, err);
+    res.status(500).json({ error: `Failed to ${label} follow-up task` });
+  } finally {
+    client.release();
+  }
+}
+
+// GET /followup-tasks
+router.get('/', async (req, res) => {
+  const { query } = req;
+  const { filter, error, status } = parseAssigneeFilter(req, { staffQueue: true });
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const values = [];
+  const conditions = [];
+  const assignee = assigneeCondition(filter, values, 'assigned_to');
+  if (assignee) conditions.push(assignee);
+
+  const taskStatus = query.status || 'open';
+  if (!TASK_STATUSES.includes(taskStatus)) {
+    return res.status(400).json({ error: `status must be one of: ${TASK_STATUSES.join(', ')}` });
+  }
+  values.push(taskStatus);
+  conditions.push(`status = $${values.length}`);
+
+  const today = businessTodaySql();
+  const DUE = {
+    today: `due_date = ${today}`,
+    overdue: `due_date < ${today}`,
+    upcoming: `due_date BETWEEN ${today} AND ${today} + 30`,
+  };
+  if (query.due !== undefined) {
+    if (!DUE[query.due]) {
+      return res.status(400).json({ error: `due must be one of: ${Object.keys(DUE).join(', ')}` });
+    }
+    conditions.push(DUE[query.due]);
+  }
+  for (const [param, op] of [['from', '>='], ['to', '<=']]) {
+    if (query[param] === undefined) continue;
+    if (!DATE_RE.test(query[param]) || Number.isNaN(new Date(`${query[param]}T00:00:00.000Z`).getTime())) {
+      return res.status(400).json({ error: `${param} must be YYYY-MM-DD` });
+    }
+    values.push(query[param]);
+    conditions.push(`due_date ${op} $${values.length}::date`);
+  }
+  for (const [param, allowed] of [['type', TASK_TYPES], ['priority', TASK_PRIORITIES]]) {
+    if (query[param] === undefined) continue;
+    if (!allowed.includes(query[param])) {
+      return res.status(400).json({ error: `${param} must be one of: ${allowed.join(', ')}` });
+    }
+    values.push(query[param]);
+    conditions.push(`${param} = $${values.length}`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+  }
+  values.push(limit);
+  const archived = archivedCondition(query);
+
+  try {
+    // due_date comes back as YYYY-MM-DD text, which sorts as the date does
+    const result = await pool.query(
+      `SELECT t.*, c.name AS customer_name, c.phone AS customer_phone
+       FROM (SELECT ${TASK_COLUMNS} FROM followup_tasks WHERE ${conditions.join(' AND ')}) t
+       JOIN customers c ON c.id = t.customer_id
+       ${archived ? `WHERE ${archived}` : ''}
+       ORDER BY t.due_date, t.due_time NULLS LAST,
+                array_position(ARRAY['urgent', 'high', 'normal', 'low'], t.priority), t.created_at
+       LIMIT $${values.length}`,
+      values
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching follow-up tasks:', err);
+    res.status(500).json({ error: 'Failed to fetch follow-up tasks' });
+  }
+});
+
+// GET /followup-tasks/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${TASK_COLUMNS} FROM followup_tasks WHERE id = $1`, [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching follow-up task:', err);
+    res.status(500).json({ error: 'Failed to fetch follow-up task' });
+  }
+});
+
+// PATCH /followup-tasks/:id
+router.patch('/:id', async (req, res) => {
+  const { data, error } = validateTask(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  await inTransaction(res, 'update', async (client) => {
+    const result = await updateTask(client, req.params.id, data);
+    if (result.error) return result;
+    await auditTask(client, req, 'update', result);
+    return { body: result.task };
+  });
+});
+
+// POST /followup-tasks/:id/complete
+router.post('/:id/complete', async (req, res) => {
+  const { outcome, next_task } = req.body;
+  if (typeof outcome !== 'string' || !outcome.trim() || outcome.length > MAX_OUTCOME_LENGTH) {
+    return res.status(400).json({ error: `outcome is required (at most ${MAX_OUTCOME_LENGTH} characters)` });
+  }
+  let nextTask = null;
+  if (next_task !== undefined && next_task !== null) {
+    const { data, error } = validateTask(next_task, { partial: false });
+    if (error) {
+      return res.status(400).json({ error: `next_task: ${error}` });
+    }
+    nextTask = data;
+  }
+
+  await inTransaction(res, 'complete', async (client) => {
+    const result = await completeTask(client, req.params.id, {
+      outcome: outcome.trim(),
+      userId: req.user.userId,
+      nextTask,
+    });
+    if (result.error) return result;
+
+    const { task } = result;
+    await addSystemComment(client, task.customer_id, taskComment(task, 'done'));
+    let webhooks = await queueWebhookEvent(client, 'followup.done', { customer_id: task.customer_id, task });
+    if (result.nextTask) {
+      await addSystemComment(client, task.customer_id, taskComment(result.nextTask, 'scheduled'));
+      await recordAudit(client, req, {
+        action: 'create',
+        entityType: 'followup_task',
+        entityId: result.nextTask.id,
+        customerId: task.customer_id,
+        after: result.nextTask,
+      });
+      webhooks += await queueWebhookEvent(client, 'followup.scheduled', {
+        customer_id: task.customer_id,
+        task: result.nextTask,
+      });
+    }
+    await auditTask(client, req, 'complete', result);
+    return { body: { task, next_task: result.nextTask }, webhooks };
+  });
+});
+
+// POST /followup-tasks/:id/cancel
+router.post('/:id/cancel', async (req, res) => {
+  const { reason } = req.body;
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_OUTCOME_LENGTH)) {
+    return res.status(400).json({ error: `reason must be text of at most ${MAX_OUTCOME_LENGTH} characters` });
+  }
+
+  await inTransaction(res, 'cancel', async (client) => {
+    const result = await cancelTask(client, req.params.id, { reason: (reason && reason.trim()) || null });
+    if (result.error) return result;
+    await addSystemComment(client, result.task.customer_id, taskComment(result.task, 'cancelled'));
+    await auditTask(client, req, 'cancel', result);
+    return { body: result.task };
+  });
+});
+
+module.exports = router;
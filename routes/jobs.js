@@ -0,0 +1,88 @@
+/**
+ * Background job controls (mounted at /jobs) — admin only.
+ * GET  /jobs/reminders/preview  → dry run: reminders that are due (?date=YYYY-MM-DD to look at another day)
+ * POST /jobs/reminders/run      → run the product reminder job now (see jobs/reminders.js)
+ * GET  /jobs/digest/preview     → dry run: each user's follow-up digest with its text (?date=YYYY-MM-DD)
+ * POST /jobs/digest/run         → send today's digests now to users who have not had one (see jobs/digest.js)
+ */
+
+const express = require('express');
+const pool = require('../db');
+const { authenticate, requireAdmin } = require('../auth/middleware');
+const { runReminderJob } = require('../jobs/reminders');
+const { runDigestJob } = require('../jobs/digest');
+const { recordAudit } = require('../audit');
+
+const router = express.Router();
+
+router.use(authenticate, requireAdmin);
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00.000Z`).getTime());
+}
+
+router.get('/reminders/preview', async (req, res) => {
+  const { date } = req.query;
+  if (date !== undefined && !isDate(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+
+  try {
+    res.json(await runReminderJob(pool, { dryRun: true, today: date }));
+  } catch (err) {
+    console.error('Error previewing reminders:', err);
+    res.status(500).json({ error: 'Failed to preview reminders' });
+  }
+});
+
+router.post('/reminders/run', async (req, res) => {
+  try {
+    const result = await runReminderJob(pool);
+    if (result.skipped) {
+      return res.status(409).json({ error: 'Reminder job is already running' });
+    }
+    await recordAudit(pool, req, {
+      action: 'run_reminders',
+      entityType: 'job',
+      after: { today: result.today, created: result.created },
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error running reminder job:', err);
+    res.status(500).json({ error: 'Failed to run reminder job' });
+  }
+});
+
+router.get('/digest/preview', async (req, res) => {
+  const { date } = req.query;
+  if (date !== undefined && !isDate(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+
+  try {
+    res.json(await runDigestJob(pool, { dryRun: true, date }));
+  } catch (err) {
+    console.error('Error previewing follow-up digest:', err);
+    res.status(500).json({ error: 'Failed to preview follow-up digest' });
+  }
+});
+
+router.post('/digest/run', async (req, res) => {
+  try {
+    const result = await runDigestJob(pool);
+    if (result.skipped) {
+      return res.status(409).json({ error: 'Digest job is already running' });
+    }
+    await recordAudit(pool, req, {
+      action: 'run_digest',
+      entityType: 'job',
+      after: { date: result.date, sent: result.sent, failed: result.failed },
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error running digest job:', err);
+    res.status(500).json({ error: 'Failed to run digest job' });
+  }
+});
+
+module.exports = router;
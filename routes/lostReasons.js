@@ -0,0 +1,164 @@
+/**
+ * Reasons a lead was lost (mounted at /lost-reasons), required when a customer's status moves to 'lost'
+ * (see customers/statusWorkflow.js).
+ * GET   /lost-reasons       → list, in display order (?active=true|false) — admin, staff
+ * POST  /lost-reasons       → { label, sort_order?, active? } — admin
+ * PATCH /lost-reasons/:id   → { label?, sort_order?, active? } — admin
+ * Reasons are deactivated rather than deleted, since customers and status history refer to them.
+ */
+
+const express = require('express');
+const pool = require('../db');
+const { authenticate, requireAdmin, requireStaffOrAdmin } = require('../auth/middleware');
+const { UUID_RE } = require('../customers/assignment');
+const { recordAudit, withTransaction } = require('../audit');
+
+const router = express.Router();
+
+const REASON_COLUMNS = 'id, label, active, sort_order, created_at, updated_at';
+
+router.use(authenticate, requireStaffOrAdmin);
+
+router.param('id', (req, res, next, id) => {
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Lost reason not found' });
+  }
+  next();
+});
+
+/**
+ * Validate lost reason fields; `partial` for PATCH.
+ * @returns {{ data?: object, error?: string }}
+ */
+function validateReason(body, { partial }) {
+  const data = {};
+  if (body.label !== undefined || !partial) {
+    const label = typeof body.label === 'string' ? body.label.trim() : '';
+    if (!label || label.length > 100) {
+      return { error: 'label is required (at most 100 characters)' };
+    }
+    data.label = label;
+  }
+  if (body.sort_order !== undefined) {
+    if (!Number.isInteger(body.sort_order)) {
+      return { error: 'sort_order must be an integer' };
+    }
+    data.sort_order = body.sort_order;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    data.active = body.active;
+  }
+  if (Object.keys(data).length === 0) {
+    return { error: 'No fields to update' };
+  }
+  return { data };
+}
+
+function dbErrorResponse(res, err, fallback) {
+  if (err.code === '23505') {
+    return res.status(409).json({ error: 'A lost reason with this label already exists' });
+  }
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ error: fallback });
+}
+
+// GET /lost-reasons
+router.get('/', async (req, res) => {
+  const values = [];
+  let condition = '';
+  if (req.query.active !== undefined) {
+    if (req.query.active !== 'true' && req.query.active !== 'false') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+    values.push(req.query.active === 'true');
+    condition = 'WHERE active = $1';
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ${REASON_COLUMNS} FROM lost_reasons ${condition} ORDER BY sort_order, lower(label)`,
+      values
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching lost reasons:', err);
+    res.status(500).json({ error: 'Failed to fetch lost reasons' });
+  }
+});
+
+// POST /lost-reasons
+router.post('/', requireAdmin, async (req, res) => {
+  const { data, error } = validateReason(req.body, { partial: false });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const reason = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO lost_reasons (label, sort_order, active)
+         VALUES ($1, $2, $3)
+         RETURNING ${REASON_COLUMNS}`,
+        [data.label, data.sort_order ?? 0, data.active ?? true]
+      );
+      await recordAudit(client, req, {
+        action: 'create',
+        entityType: 'lost_reason',
+        entityId: result.rows[0].id,
+        after: result.rows[0],
+      });
+      return result.rows[0];
+    });
+    res.status(201).json(reason);
+  } catch (err) {
+    dbErrorResponse(res, err, 'Failed to create lost reason');
+  }
+});
+
+// PATCH /lost-reasons/:id
+router.patch('/:id', requireAdmin, async (req, res) => {
+  const { data, error } = validateReason(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const values = [req.params.id];
+  const updates = Object.keys(data).map((field) => {
+    values.push(data[field]);
+    return `${field} = $${values.length}`;
+  });
+
+  try {
+    const reason = await withTransaction(async (client) => {
+      const current = await client.query(`SELECT ${REASON_COLUMNS} FROM lost_reasons WHERE id = $1 FOR UPDATE`, [
+        req.params.id,
+      ]);
+      if (current.rows.length === 0) return null;
+      const result = await client.query(
+        `UPDATE lost_reasons SET ${updates.join(', ')}, updated_at = now()
+         WHERE id = $1
+         RETURNING ${REASON_COLUMNS}`,
+        values
+      );
+      await recordAudit(client, req, {
+        action: 'update',
+        entityType: 'lost_reason',
+        entityId: req.params.id,
+        before: current.rows[0],
+        after: result.rows[0],
+      });
+      return result.rows[0];
+    });
+    if (!reason) {
+      return res.status(404).json({ error: 'Lost reason not found' });
+    }
+    res.json(reason);
+  } catch (err) {
+    dbErrorResponse(res, err, 'Failed to update lost reason');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+/**
+ * Customer self-service (mounted at /me) — customer logins only; the customer is req.user.customerId.
+ * GET   /me                     → profile: name, phone, city, login email, advisor
+ * PATCH /me                     → { phone?, city? } contact details (phone normalised to +91…)
+ * GET   /me/products            → active products with their key dates (next renewal, EMI or SIP instalment)
+ * GET   /me/comments            → customer-visible comments (post with POST /customers/:id/comments)
+ * GET   /me/requests            → callback and product interest requests with their status
+ * POST  /me/callback-requests   → { preferred_date?, preferred_time?, note? } — follow-up for the advisor
+ * POST  /me/product-interests   → { product_type, note? } — follow-up for the advisor
+ * See customers/requests.js for how requests become follow-up tasks.
+ */
+
+const express = require('express');
+const pool = require('../db');
+const { authenticate, requireCustomer } = require('../auth/middleware');
+const { PHONE_KEY_SQL, normalizeIndianPhone, phoneKey } = require('../customers/phone');
+const { addSystemComment } = require('../customers/followups');
+const { listComments } = require('../customers/comments');
+const { businessToday } = require('../customers/businessDay');
+const {
+  validateCallbackRequest,
+  validateInterestRequest,
+  createCustomerRequest,
+  listCustomerRequests,
+} = require('../customers/requests');
+const { nextDueDate } = require('../jobs/reminders');
+const { recordAudit } = require('../audit');
+const { queueWebhookEvent, kickWebhookQueue } = require('../webhooks');
+
+const router = express.Router();
+
+const MAX_CITY_LENGTH = 100;
+const NEXT_DUE_KIND = { insurance: 'renewal', loan: 'emi', sip: 'sip_instalment' };
+
+router.use(authenticate, requireCustomer);
+
+async function findProfile(db, customerId, userId) {
+  const result = await db.query(
+    `SELECT c.id, c.name, c.phone, c.city, c.created_at, me.email, a.email AS advisor_email
+     FROM customers c
+     JOIN users me ON me.id = $2
+     LEFT JOIN users a ON a.id = c.assigned_to
+     WHERE c.id = $1`,
+    [customerId, userId]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  const { advisor_email, ...profile } = row;
+  return { ...profile, advisor: advisor_email ? { email: advisor_email } : null };
+}
+
+// GET /me
+router.get('/', async (req, res) => {
+  try {
+    const profile = await findProfile(pool, req.user.customerId, req.user.userId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(profile);
+  } catch (err) {
+    console.error('Error fetching profile:', err);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// PATCH /me
+router.patch('/', async (req, res) => {
+  const { phone, city } = req.body;
+  const updates = {};
+  if (phone !== undefined) {
+    const normalized = normalizeIndianPhone(phone);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+    updates.phone = normalized.phone;
+  }
+  if (city !== undefined) {
+    if (city !== null && (typeof city !== 'string' || city.trim().length > MAX_CITY_LENGTH)) {
+      return res.status(400).json({ error: `city must be text of at most ${MAX_CITY_LENGTH} characters` });
+    }
+    updates.city = (city && city.trim()) || null;
+  }
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const { customerId, userId } = req.user;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT phone, city FROM customers WHERE id = $1 FOR UPDATE', [customerId]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    if (updates.phone) {
+      const taken = await client.query(
+        `SELECT 1 FROM customers WHERE ${PHONE_KEY_SQL} = $1 AND id <> $2 LIMIT 1`,
+        [phoneKey(updates.phone), customerId]
+      );
+      if (taken.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'This phone number belongs to another customer; please contact your advisor' });
+      }
+    }
+
+    const changes = Object.keys(updates)
+      .filter((field) => (current.rows[0][field] ?? null) !== updates[field])
+      .map((field) => `${field} ${current.rows[0][field] || '(none)'} → ${updates[field] || '(none)'}`);
+    if (changes.length > 0) {
+      const values = [customerId];
+      const sets = Object.keys(updates).map((field) => {
+        values.push(updates[field]);
+        return `${field} = $${values.length}`;
+      });
+      await client.query(`UPDATE customers SET ${sets.join(', ')} WHERE id = $1`, values);
+      await addSystemComment(client, customerId, `Contact details updated by the customer: ${changes.join(', ')}.`, userId);
+      await recordAudit(client, req, {
+        action: 'update',
+        entityType: 'customer',
+        entityId: customerId,
+        before: current.rows[0],
+        after: { ...current.rows[0], ...updates },
+      });
+    }
+    const profile = await findProfile(client, customerId, userId);
+    await client.query('COMMIT');
+
+    res.json(profile);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating profile:', err);
+    res.status(500).json({ error: 'Failed to update profile' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /me/products
+router.get('/products', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, product_type, product_name,
+              insurer, policy_number, sum_assured, premium, premium_frequency,
+              to_char(renewal_date, 'YYYY-MM-DD') AS renewal_date,
+              lender, principal, interest_rate, tenure_months, emi,
+              to_char(disbursal_date, 'YYYY-MM-DD') AS disbursal_date,
+              fund_name, folio_number, monthly_amount, sip_day,
+              to_char(start_date, 'YYYY-MM-DD') AS start_date,
+              created_at
+       FROM customer_products
+       WHERE customer_id = $1 AND status = 'active' AND archived_at IS NULL
+       ORDER BY created_at`,
+      [req.user.customerId]
+    );
+
+    const today = businessToday();
+    res.json(result.rows.map((product) => {
+      const due = nextDueDate(product, today);
+      return { ...product, next_due_kind: due ? NEXT_DUE_KIND[product.product_type] : null, next_due_date: due };
+    }));
+  } catch (err) {
+    console.error('Error fetching products:', err);
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+// GET /me/comments
+router.get('/comments', async (req, res) => {
+  try {
+    res.json(await listComments(pool, req.user.customerId, req.user));
+  } catch (err) {
+    console.error('Error fetching comments:', err);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// GET /me/requests
+router.get('/requests', async (req, res) => {
+  try {
+    res.json(await listCustomerRequests(pool, req.user.customerId));
+  } catch (err) {
+    console.error('Error fetching requests:', err);
+    res.status(500).json({ error: 'Failed to fetch requests' });
+  }
+});
+
+/**
+ * Handler creating a callback or product interest request from the validated body.
+ */
+function requestHandler(kind, validate, label) {
+  return async (req, res) => {
+    const { data, error } = validate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await createCustomerRequest(client, req.user.customerId, kind, data, { userId: req.user.userId });
+      if (result.error) {
+        await client.query('ROLLBACK');
+        return res.status(result.status).json({ error: result.error });
+      }
+      await recordAudit(client, req, {
+        action: 'create',
+        entityType: 'customer_request',
+        entityId: result.request.id,
+        customerId: req.user.customerId,
+        after: result.request,
+      });
+      const webhooks = await queueWebhookEvent(client, 'followup.scheduled', {
+        customer_id: req.user.customerId,
+        task: result.task,
+      });
+      await client.query('COMMIT');
+
+      if (webhooks > 0) kickWebhookQueue();
+      res.status(201).json(result.request);
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error(`Error creating ${label}:`, err);
+      res.status(500).json({ error: `Failed to create ${label}` });
+    } finally {
+      client.release();
+    }
+  };
+}
+
+// POST /me/callback-requests
+router.post('/callback-requests', requestHandler('callback', validateCallbackRequest, 'callback request'));
+
+// POST /me/product-interests
+router.post('/product-interests', requestHandler('product_interest', validateInterestRequest, 'product interest'));
+
+module.exports = router;
@@ -0,0 +1,264 @@
+/**
+ * Message templates (mounted at /message-templates). See messaging/templates.js for placeholders.
+ * GET    /message-templates            → list (?channel=whatsapp|sms, ?active=true|false) — admin, staff
+ * GET    /message-templates/variables  → built-in {{variables}} and what they contain — admin, staff
+ * GET    /message-templates/:id        → one template, with the placeholders it uses — admin, staff
+ * POST   /message-templates/:id/preview → { customer_id, product_id?, variables? } → { text, missing } — admin, staff
+ * POST   /message-templates            → { name, channel, body, active? } — admin
+ * PATCH  /message-templates/:id        → { name?, channel?, body?, active? } — admin
+ * DELETE /message-templates/:id        → messages already sent keep their text — admin
+ * Send with a template through POST /customers/:id/message-logs { template_id, product_id?, variables? }.
+ */
+
+const express = require('express');
+const pool = require('../db');
+const { authenticate, requireAdmin, requireStaffOrAdmin } = require('../auth/middleware');
+const { UUID_RE } = require('../customers/assignment');
+const { CHANNELS } = require('../messaging');
+const { recordAudit, withTransaction } = require('../audit');
+const {
+  TEMPLATE_VARIABLES,
+  templatePlaceholders,
+  validateTemplateBody,
+  renderTemplateForCustomer,
+} = require('../messaging/templates');
+
+const router = express.Router();
+
+const TEMPLATE_COLUMNS = 'id, name, channel, body, active, created_by, created_at, updated_at';
+
+router.use(authenticate, requireStaffOrAdmin);
+
+router.param('id', (req, res, next, id) => {
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  next();
+});
+
+function withPlaceholders(template) {
+  return { ...template, placeholders: templatePlaceholders(template.body) };
+}
+
+/**
+ * Validate template fields; `partial` for PATCH.
+ * @returns {{ data?: object, error?: string }}
+ */
+function validateTemplate(body, { partial }) {
+  const data = {};
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return { error: 'name is required (at most 100 characters)' };
+    }
+    data.name = name;
+  }
+  if (body.channel !== undefined || !partial) {
+    if (!CHANNELS.includes(body.channel)) {
+      return { error: `channel must be one of: ${CHANNELS.join(', ')}` };
+    }
+    data.channel = body.channel;
+  }
+  if (body.body !== undefined || !partial) {
+    const error = validateTemplateBody(body.body);
+    if (error) return { error };
+    data.body = body.body;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    data.active = body.active;
+  }
+  if (Object.keys(data).length === 0) {
+    return { error: 'No fields to update' };
+  }
+  return { data };
+}
+
+function dbErrorResponse(res, err, fallback) {
+  if (err.code === '23505') {
+    return res.status(409).json({ error: 'A template with this name already exists' });
+  }
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ error: fallback });
+}
+
+// GET /message-templates
+router.get('/', async (req, res) => {
+  const conditions = [];
+  const values = [];
+  if (req.query.channel) {
+    if (!CHANNELS.includes(req.query.channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${CHANNELS.join(', ')}` });
+    }
+    values.push(req.query.channel);
+    conditions.push(`channel = $${values.length}`);
+  }
+  if (req.query.active !== undefined) {
+    if (req.query.active !== 'true' && req.query.active !== 'false') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+    values.push(req.query.active === 'true');
+    conditions.push(`active = $${values.length}`);
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ${TEMPLATE_COLUMNS}
+       FROM message_templates
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY name`,
+      values
+    );
+    res.json(result.rows.map(withPlaceholders));
+  } catch (err) {
+    console.error('Error fetching message templates:', err);
+    res.status(500).json({ error: 'Failed to fetch message templates' });
+  }
+});
+
+// GET /message-templates/variables
+router.get('/variables', (req, res) => {
+  res.json(Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => ({ name, description })));
+});
+
+// GET /message-templates/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${TEMPLATE_COLUMNS} FROM message_templates WHERE id = $1`, [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(withPlaceholders(result.rows[0]));
+  } catch (err) {
+    console.error('Error fetching message template:', err);
+    res.status(500).json({ error: 'Failed to fetch message template' });
+  }
+});
+
+// POST /message-templates/:id/preview
+router.post('/:id/preview', async (req, res) => {
+  const { customer_id, product_id, variables } = req.body;
+  if (!UUID_RE.test(String(customer_id))) {
+    return res.status(400).json({ error: 'customer_id is required' });
+  }
+
+  try {
+    const { template, text, missing, error, status } = await renderTemplateForCustomer(pool, {
+      templateId: req.params.id,
+      customerId: customer_id,
+      productId: product_id,
+      variables,
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json({ template_id: template.id, channel: template.channel, active: template.active, text, missing });
+  } catch (err) {
+    console.error('Error previewing message template:', err);
+    res.status(500).json({ error: 'Failed to preview message template' });
+  }
+});
+
+// POST /message-templates
+router.post('/', requireAdmin, async (req, res) => {
+  const { data, error } = validateTemplate(req.body, { partial: false });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const template = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO message_templates (name, channel, body, active, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${TEMPLATE_COLUMNS}`,
+        [data.name, data.channel, data.body, data.active ?? true, req.user.userId]
+      );
+      await recordAudit(client, req, {
+        action: 'create',
+        entityType: 'message_template',
+        entityId: result.rows[0].id,
+        after: result.rows[0],
+      });
+      return result.rows[0];
+    });
+    res.status(201).json(withPlaceholders(template));
+  } catch (err) {
+    dbErrorResponse(res, err, 'Failed to create message template');
+  }
+});
+
+// PATCH /message-templates/:id
+router.patch('/:id', requireAdmin, async (req, res) => {
+  const { data, error } = validateTemplate(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const values = [req.params.id];
+  const updates = Object.keys(data).map((field) => {
+    values.push(data[field]);
+    return `${field} = $${values.length}`;
+  });
+
+  try {
+    const template = await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT ${TEMPLATE_COLUMNS} FROM message_templates WHERE id = $1 FOR UPDATE`,
+        [req.params.id]
+      );
+      if (current.rows.length === 0) return null;
+      const result = await client.query(
+        `UPDATE message_templates SET ${updates.join(', ')}, updated_at = now()
+         WHERE id = $1
+         RETURNING ${TEMPLATE_COLUMNS}`,
+        values
+      );
+      await recordAudit(client, req, {
+        action: 'update',
+        entityType: 'message_template',
+        entityId: req.params.id,
+        before: current.rows[0],
+        after: result.rows[0],
+      });
+      return result.rows[0];
+    });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(withPlaceholders(template));
+  } catch (err) {
+    dbErrorResponse(res, err, 'Failed to update message template');
+  }
+});
+
+// DELETE /message-templates/:id
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM message_templates WHERE id = $1 RETURNING ${TEMPLATE_COLUMNS}`,
+        [req.params.id]
+      );
+      if (result.rows.length === 0) return null;
+      await recordAudit(client, req, {
+        action: 'delete',
+        entityType: 'message_template',
+        entityId: req.params.id,
+        before: result.rows[0],
+      });
+      return result.rows[0];
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting message template:', err);
+    res.status(500).json({ error: 'Failed to delete message template' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,489 @@
+/**
+ * Admin user management routes (mounted at /users). Admin only.
+ * GET    /users                      → list users (?role=admin|staff|customer, ?q=email search)
+ * GET    /users/login-events         → login history (?email, ?ip, ?user_id, ?success=true|false, ?from, ?to, ?limit)
+ * POST   /users                      → invite: { email, role, customer_id? } → user + one-time invite token
+ * GET    /users/:id                  → one user
+ * PATCH  /users/:id                  → { email?, role?, customer_id? } (role/customer_id must satisfy users_customer_role_check)
+ * DELETE /users/:id                  → delete login (customer record is kept)
+ * POST   /users/:id/invite           → re-issue invite token (user has not set a password yet)
+ * POST   /users/:id/reset-password   → clear password, sign out everywhere, issue set-password token
+ * POST   /users/:id/disable          → block login and sign out everywhere
+ * POST   /users/:id/enable
+ * POST   /users/:id/revoke-sessions  → sign the user out everywhere (refresh tokens + access tokens)
+ * POST   /users/:id/unlock           → clear login lockout for the account ({ ip? } also clears that IP)
+ * Tokens are redeemed with POST /auth/password/set. Raw tokens are returned once and never stored.
+ */
+
+const express = require('express');
+const pool = require('../db');
+const { authenticate, requireAdmin } = require('../auth/middleware');
+const { revokeAllSessions } = require('../auth/sessions');
+const { createUserToken, passwordSetupUrl } = require('../auth/userTokens');
+const { unlockLogin } = require('../auth/loginLimiter');
+const { UUID_RE } = require('../customers/assignment');
+const { recordAudit, withTransaction } = require('../audit');
+
+const router = express.Router();
+
+const ROLES = ['admin', 'staff', 'customer'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INVITE_TTL_MINUTES = 7 * 24 * 60;
+const RESET_TTL_MINUTES = 24 * 60;
+
+const USER_COLUMNS = `id, email, role, customer_id, auth_provider, disabled_at,
+  (password_hash IS NOT NULL) AS has_password, created_at`;
+
+router.use(authenticate, requireAdmin);
+
+router.param('id', (req, res, next, id) => {
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  next();
+});
+
+/**
+ * Validate a role / customer_id pair against users_customer_role_check and the customers table.
+ * @returns {Promise<string|null>} error message
+ */
+async function validateRoleAndCustomer(db, role, customerId) {
+  if (!ROLES.includes(role)) {
+    return `role must be one of: ${ROLES.join(', ')}`;
+  }
+  if (role === 'customer') {
+    if (!customerId) {
+      return 'customer_id is required for customer logins';
+    }
+    if (!UUID_RE.test(String(customerId))) {
+      return 'customer_id must be a customer id';
+    }
+    const customer = await db.query('SELECT 1 FROM customers WHERE id = $1', [customerId]);
+    if (customer.rows.length === 0) {
+      return 'Customer not found';
+    }
+  } else if (customerId) {
+    return 'customer_id is only allowed for customer logins';
+  }
+  return null;
+}
+
+/**
+ * Audit entry for a change to a login. Customer logins are filed under their customer too.
+ */
+function auditUser(db, req, action, user, { before = null, after = user } = {}) {
+  return recordAudit(db, req, {
+    action,
+    entityType: 'user',
+    entityId: user.id,
+    customerId: user.customer_id || (before && before.customer_id) || null,
+    before,
+    after,
+  });
+}
+
+function tokenResponse({ token, expiresAt }) {
+  return { token, expiresAt, url: passwordSetupUrl(token) };
+}
+
+function dbErrorResponse(res, err, fallback) {
+  if (err.code === '23505') {
+    return res.status(409).json({ error: 'A user with this email already exists' });
+  }
+  if (err.code === '23514') {
+    return res.status(400).json({ error: 'role and customer_id do not match' });
+  }
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ error: fallback });
+}
+
+// GET /users
+router.get('/', async (req, res) => {
+  const conditions = [];
+  const values = [];
+
+  if (req.query.role) {
+    if (!ROLES.includes(req.query.role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    values.push(req.query.role);
+    conditions.push(`role = $${values.length}`);
+  }
+  if (typeof req.query.q === 'string' && req.query.q.trim()) {
+    values.push(`%${req.query.q.trim().toLowerCase()}%`);
+    conditions.push(`email LIKE $${values.length}`);
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS}
+       FROM users
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY email`,
+      values
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching users:', err);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// GET /users/login-events — newest first
+router.get('/login-events', async (req, res) => {
+  const { email, ip, user_id, success, from, to } = req.query;
+  const conditions = [];
+  const values = [];
+
+  if (email) {
+    values.push(String(email).trim().toLowerCase());
+    conditions.push(`email = $${values.length}`);
+  }
+  if (ip) {
+    values.push(String(ip));
+    conditions.push(`ip = $${values.length}`);
+  }
+  if (user_id) {
+    if (!UUID_RE.test(String(user_id))) {
+      return res.status(400).json({ error: 'user_id must be a user id' });
+    }
+    values.push(user_id);
+    conditions.push(`user_id = $${values.length}`);
+  }
+  if (success !== undefined) {
+    if (success !== 'true' && success !== 'false') {
+      return res.status(400).json({ error: 'success must be true or false' });
+    }
+    values.push(success === 'true');
+    conditions.push(`success = $${values.length}`);
+  }
+  for (const [value, op] of [[from, '>='], [to, '<']]) {
+    if (!value) continue;
+    if (Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+    values.push(value);
+    conditions.push(`created_at ${op} $${values.length}::timestamptz`);
+  }
+
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+  }
+  values.push(limit);
+
+  try {
+    const result = await pool.query(
+      `SELECT id, user_id, email, ip, user_agent, success, reason, created_at
+       FROM login_events
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC
+       LIMIT $${values.length}`,
+      values
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching login events:', err);
+    res.status(500).json({ error: 'Failed to fetch login events' });
+  }
+});
+
+// POST /users — create a login without a password and return a one-time invite token
+router.post('/', async (req, res) => {
+  const { email, role, customer_id } = req.body;
+
+  if (!email || !role) {
+    return res.status(400).json({ error: 'email and role are required' });
+  }
+  const normalizedEmail = String(email).trim().toLowerCase();
+  if (!EMAIL_RE.test(normalizedEmail)) {
+    return res.status(400).json({ error: 'email is not valid' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const invalid = await validateRoleAndCustomer(client, role, customer_id);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO users (email, password_hash, role, customer_id, auth_provider)
+       VALUES ($1, NULL, $2, $3, 'local')
+       RETURNING ${USER_COLUMNS}`,
+      [normalizedEmail, role, role === 'customer' ? customer_id : null]
+    );
+    const user = result.rows[0];
+    const invite = await createUserToken(client, {
+      userId: user.id,
+      purpose: 'invite',
+      ttlMinutes: INVITE_TTL_MINUTES,
+      createdBy: req.user.userId,
+    });
+    await auditUser(client, req, 'create', user);
+    await client.query('COMMIT');
+
+    res.status(201).json({ user, invite: tokenResponse(invite) });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    dbErrorResponse(res, err, 'Failed to create user');
+  } finally {
+    client.release();
+  }
+});
+
+// GET /users/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching user:', err);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// PATCH /users/:id — role changes sign the user out (the role is baked into their access token)
+router.patch('/:id', async (req, res) => {
+  const { id } = req.params;
+  const { email, role, customer_id } = req.body;
+
+  if (email === undefined && role === undefined && customer_id === undefined) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+  if (id === req.user.userId && role !== undefined && role !== 'admin') {
+    return res.status(400).json({ error: 'You cannot remove your own admin role' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const next = { ...current.rows[0] };
+    if (email !== undefined) {
+      next.email = String(email).trim().toLowerCase();
+      if (!EMAIL_RE.test(next.email)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'email is not valid' });
+      }
+    }
+    if (role !== undefined) {
+      next.role = role;
+      // Moving to staff/admin drops the customer link unless one is explicitly given (and rejected below)
+      if (role !== 'customer' && customer_id === undefined) next.customer_id = null;
+    }
+    if (customer_id !== undefined) next.customer_id = customer_id;
+
+    const invalid = await validateRoleAndCustomer(client, next.role, next.customer_id);
+    if (invalid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await client.query(
+      `UPDATE users SET email = $1, role = $2, customer_id = $3 WHERE id = $4
+       RETURNING ${USER_COLUMNS}`,
+      [next.email, next.role, next.customer_id || null, id]
+    );
+    const prev = current.rows[0];
+    if (prev.role !== next.role || (prev.customer_id ?? null) !== (next.customer_id || null)) {
+      await revokeAllSessions(id, client);
+    }
+    await auditUser(client, req, 'update', result.rows[0], { before: prev });
+    await client.query('COMMIT');
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    dbErrorResponse(res, err, 'Failed to update user');
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /users/:id
+router.delete('/:id', async (req, res) => {
+  if (req.params.id === req.user.userId) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+  try {
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(`DELETE FROM users WHERE id = $1 RETURNING ${USER_COLUMNS}`, [req.params.id]);
+      if (result.rows.length === 0) return null;
+      await auditUser(client, req, 'delete', result.rows[0], { before: result.rows[0], after: null });
+      return result.rows[0];
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting user:', err);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// POST /users/:id/invite — new invite token for a user who has not set a password yet
+router.post('/:id/invite', async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const found = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [req.params.id]);
+      if (found.rows.length === 0) {
+        return { status: 404, error: 'User not found' };
+      }
+      if (found.rows[0].has_password) {
+        return { status: 409, error: 'User has already set a password; use reset-password instead' };
+      }
+      const invite = await createUserToken(client, {
+        userId: req.params.id,
+        purpose: 'invite',
+        ttlMinutes: INVITE_TTL_MINUTES,
+        createdBy: req.user.userId,
+      });
+      await auditUser(client, req, 'invite', found.rows[0], { after: { invite_expires_at: invite.expiresAt } });
+      return { invite };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ invite: tokenResponse(result.invite) });
+  } catch (err) {
+    console.error('Error re-issuing invite:', err);
+    res.status(500).json({ error: 'Failed to issue invite' });
+  }
+});
+
+// POST /users/:id/reset-password — force a reset: old password stops working immediately
+router.post('/:id/reset-password', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE users SET password_hash = NULL WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+      [req.params.id]
+    );
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await revokeAllSessions(req.params.id, client);
+    const reset = await createUserToken(client, {
+      userId: req.params.id,
+      purpose: 'password_reset',
+      ttlMinutes: RESET_TTL_MINUTES,
+      createdBy: req.user.userId,
+    });
+    await auditUser(client, req, 'reset_password', result.rows[0], { after: { reset_expires_at: reset.expiresAt } });
+    await client.query('COMMIT');
+    res.json({ reset: tokenResponse(reset) });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error forcing password reset:', err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /users/:id/disable
+router.post('/:id/disable', async (req, res) => {
+  if (req.params.id === req.user.userId) {
+    return res.status(400).json({ error: 'You cannot disable your own account' });
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE users SET disabled_at = COALESCE(disabled_at, now()) WHERE id = $1
+       RETURNING ${USER_COLUMNS}`,
+      [req.params.id]
+    );
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await revokeAllSessions(req.params.id, client);
+    await auditUser(client, req, 'disable', result.rows[0]);
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error disabling user:', err);
+    res.status(500).json({ error: 'Failed to disable user' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /users/:id/enable
+router.post('/:id/enable', async (req, res) => {
+  try {
+    const user = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users SET disabled_at = NULL WHERE id = $1
+         RETURNING ${USER_COLUMNS}`,
+        [req.params.id]
+      );
+      if (result.rows.length === 0) return null;
+      await auditUser(client, req, 'enable', result.rows[0]);
+      return result.rows[0];
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (err) {
+    console.error('Error enabling user:', err);
+    res.status(500).json({ error: 'Failed to enable user' });
+  }
+});
+
+// POST /users/:id/revoke-sessions
+router.post('/:id/revoke-sessions', async (req, res) => {
+  try {
+    const found = await withTransaction(async (client) => {
+      if (!(await revokeAllSessions(req.params.id, client))) return false;
+      const user = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [req.params.id]);
+      await auditUser(client, req, 'revoke_sessions', user.rows[0], { after: null });
+      return true;
+    });
+    if (!found) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Revoke sessions error:', err);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// POST /users/:id/unlock
+router.post('/:id/unlock', async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const ip = (req.body && req.body.ip) || null;
+    await unlockLogin({ email: result.rows[0].email, ip });
+    await auditUser(pool, req, 'unlock', result.rows[0], { after: { ip } });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Unlock error:', err);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,365 @@
+/**
+ * Outgoing webhook subscriptions (mounted at /webhook-subscriptions) — admin only. See webhooks/index.js for
+ * the events, the request format and signing.
+ * GET    /webhook-subscriptions                 → list
+ * GET    /webhook-subscriptions/events          → event names a subscription can filter on ('*' for all)
+ * POST   /webhook-subscriptions                 → { url, events, description?, active? } → subscription + secret
+ * GET    /webhook-subscriptions/:id             → one subscription, with delivery counts by status
+ * PATCH  /webhook-subscriptions/:id             → { url?, events?, description?, active? }
+ * DELETE /webhook-subscriptions/:id             → also deletes its deliveries
+ * POST   /webhook-subscriptions/:id/rotate-secret → { secret }; signing uses the new secret from now on
+ * GET    /webhook-subscriptions/:id/deliveries  → delivery log, newest first (?status, ?event, ?limit=100 (max 500))
+ * GET    /webhook-subscriptions/:id/deliveries/:deliveryId → delivery with its payload and every attempt
+ * POST   /webhook-subscriptions/:id/deliveries/:deliveryId/redeliver → queue a delivered or failed delivery again
+ * The secret is only returned on create and rotate-secret. The url must resolve to a public address (webhooks/targets.js).
+ */
+
+const express = require('express');
+const pool = require('../db');
+const { authenticate, requireAdmin } = require('../auth/middleware');
+const { UUID_RE } = require('../customers/assignment');
+const { recordAudit, withTransaction } = require('../audit');
+const {
+  WEBHOOK_EVENTS,
+  ALL_EVENTS,
+  DELIVERY_COLUMNS,
+  generateWebhookSecret,
+  kickWebhookQueue,
+  redeliverWebhook,
+} = require('../webhooks');
+const { checkWebhookTarget } = require('../webhooks/targets');
+
+const router = express.Router();
+
+const SUBSCRIPTION_COLUMNS = 'id, url, description, events, active, created_by, created_at, updated_at';
+const DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'failed'];
+const MAX_URL_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+router.use(authenticate, requireAdmin);
+
+router.param('id', (req, res, next, id) => {
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Webhook subscription not found' });
+  }
+  next();
+});
+
+router.param('deliveryId', (req, res, next, id) => {
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  next();
+});
+
+// Plain http only outside production (local receivers)
+function validateUrl(value) {
+  if (typeof value !== 'string' || !value.trim() || value.length > MAX_URL_LENGTH) {
+    return { error: `url is required (at most ${MAX_URL_LENGTH} characters)` };
+  }
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (err) {
+    return { error: 'url is not valid' };
+  }
+  const protocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+  if (!protocols.includes(url.protocol)) {
+    return { error: `url must use ${protocols.map((p) => p.slice(0, -1)).join(' or ')}` };
+  }
+  return { url: url.toString() };
+}
+
+/**
+ * Validate subscription fields; `partial` for PATCH.
+ * @returns {{ data?: object, error?: string }}
+ */
+function validateSubscription(body, { partial }) {
+  const data = {};
+  if (body.url !== undefined || !partial) {
+    const { url, error } = validateUrl(body.url);
+    if (error) return { error };
+    data.url = url;
+  }
+  if (body.events !== undefined || !partial) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    const allowed = [ALL_EVENTS, ...WEBHOOK_EVENTS];
+    if (events.length === 0 || events.some((event) => !allowed.includes(event))) {
+      return { error: `events must be a list of: ${allowed.join(', ')}` };
+    }
+    data.events = events.includes(ALL_EVENTS) ? [ALL_EVENTS] : events;
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null
+      && (typeof body.description !== 'string' || body.description.trim().length > MAX_DESCRIPTION_LENGTH)) {
+      return { error: `description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    data.description = (body.description && body.description.trim()) || null;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    data.active = body.active;
+  }
+  if (Object.keys(data).length === 0) {
+    return { error: 'No fields to update' };
+  }
+  return { data };
+}
+
+function auditSubscription(client, req, action, { id, before = null, after = null }) {
+  return recordAudit(client, req, { action, entityType: 'webhook_subscription', entityId: id, before, after });
+}
+
+// GET /webhook-subscriptions
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions ORDER BY created_at`);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching webhook subscriptions:', err);
+    res.status(500).json({ error: 'Failed to fetch webhook subscriptions' });
+  }
+});
+
+// GET /webhook-subscriptions/events
+router.get('/events', (req, res) => {
+  res.json(WEBHOOK_EVENTS);
+});
+
+// POST /webhook-subscriptions
+router.post('/', async (req, res) => {
+  const { data, error } = validateSubscription(req.body, { partial: false });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const targetError = await checkWebhookTarget(data.url);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    const subscription = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO webhook_subscriptions (url, description, events, secret, active, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${SUBSCRIPTION_COLUMNS}, secret`,
+        [data.url, data.description || null, data.events, generateWebhookSecret(), data.active ?? true, req.user.userId]
+      );
+      await auditSubscription(client, req, 'create', { id: result.rows[0].id, after: result.rows[0] });
+      return result.rows[0];
+    });
+    res.status(201).json(subscription);
+  } catch (err) {
+    console.error('Error creating webhook subscription:', err);
+    res.status(500).json({ error: 'Failed to create webhook subscription' });
+  }
+});
+
+// GET /webhook-subscriptions/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${SUBSCRIPTION_COLUMNS},
+              (SELECT COALESCE(jsonb_object_agg(status, count), '{}'::jsonb)
+               FROM (SELECT status, COUNT(*)::int AS count FROM webhook_deliveries
+                     WHERE subscription_id = s.id GROUP BY status) counts) AS deliveries
+       FROM webhook_subscriptions s
+       WHERE id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching webhook subscription:', err);
+    res.status(500).json({ error: 'Failed to fetch webhook subscription' });
+  }
+});
+
+// PATCH /webhook-subscriptions/:id
+router.patch('/:id', async (req, res) => {
+  const { data, error } = validateSubscription(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const values = [req.params.id];
+  const updates = Object.keys(data).map((field) => {
+    values.push(data[field]);
+    return `${field} = $${values.length}`;
+  });
+
+  try {
+    const targetError = data.url && await checkWebhookTarget(data.url);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    const subscription = await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = $1 FOR UPDATE`,
+        [req.params.id]
+      );
+      if (current.rows.length === 0) return null;
+      const result = await client.query(
+        `UPDATE webhook_subscriptions SET ${updates.join(', ')}, updated_at = now()
+         WHERE id = $1
+         RETURNING ${SUBSCRIPTION_COLUMNS}`,
+        values
+      );
+      await auditSubscription(client, req, 'update', { id: req.params.id, before: current.rows[0], after: result.rows[0] });
+      return result.rows[0];
+    });
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    // Re-activating releases the deliveries that waited
+    if (data.active) kickWebhookQueue();
+    res.json(subscription);
+  } catch (err) {
+    console.error('Error updating webhook subscription:', err);
+    res.status(500).json({ error: 'Failed to update webhook subscription' });
+  }
+});
+
+// DELETE /webhook-subscriptions/:id
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING ${SUBSCRIPTION_COLUMNS}`,
+        [req.params.id]
+      );
+      if (result.rows.length === 0) return null;
+      await auditSubscription(client, req, 'delete', { id: req.params.id, before: result.rows[0] });
+      return result.rows[0];
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting webhook subscription:', err);
+    res.status(500).json({ error: 'Failed to delete webhook subscription' });
+  }
+});
+
+// POST /webhook-subscriptions/:id/rotate-secret
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const secret = await withTransaction(async (client) => {
+      const result = await client.query(
+        'UPDATE webhook_subscriptions SET secret = $2, updated_at = now() WHERE id = $1 RETURNING secret',
+        [req.params.id, generateWebhookSecret()]
+      );
+      if (result.rows.length === 0) return null;
+      await auditSubscription(client, req, 'rotate_secret', { id: req.params.id });
+      return result.rows[0].secret;
+    });
+    if (!secret) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    res.json({ secret });
+  } catch (err) {
+    console.error('Error rotating webhook secret:', err);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// GET /webhook-subscriptions/:id/deliveries
+router.get('/:id/deliveries', async (req, res) => {
+  const { status, event } = req.query;
+  const values = [req.params.id];
+  const conditions = ['subscription_id = $1'];
+
+  if (status) {
+    if (!DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    values.push(status);
+    conditions.push(`status = $${values.length}`);
+  }
+  if (event) {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      return res.status(400).json({ error: `event must be one of: ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+    values.push(event);
+    conditions.push(`event = $${values.length}`);
+  }
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+  }
+  values.push(limit);
+
+  try {
+    const found = await pool.query('SELECT 1 FROM webhook_subscriptions WHERE id = $1', [req.params.id]);
+    if (found.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    const result = await pool.query(
+      `SELECT ${DELIVERY_COLUMNS}
+       FROM webhook_deliveries
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC, id
+       LIMIT $${values.length}`,
+      values
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching webhook deliveries:', err);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// GET /webhook-subscriptions/:id/deliveries/:deliveryId
+router.get('/:id/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${DELIVERY_COLUMNS}, payload FROM webhook_deliveries WHERE id = $1 AND subscription_id = $2`,
+      [req.params.deliveryId, req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    const attempts = await pool.query(
+      `SELECT id, attempted_at, status_code, error, response_body, duration_ms
+       FROM webhook_delivery_attempts
+       WHERE delivery_id = $1
+       ORDER BY attempted_at, id`,
+      [req.params.deliveryId]
+    );
+    res.json({ ...result.rows[0], attempt_log: attempts.rows });
+  } catch (err) {
+    console.error('Error fetching webhook delivery:', err);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+// POST /webhook-subscriptions/:id/deliveries/:deliveryId/redeliver
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const redelivered = await redeliverWebhook(client, req.params.id, req.params.deliveryId);
+      if (redelivered.delivery) {
+        await auditSubscription(client, req, 'redeliver', {
+          id: req.params.id,
+          after: { delivery_id: redelivered.delivery.id, event: redelivered.delivery.event },
+        });
+      }
+      return redelivered;
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    kickWebhookQueue();
+    res.json(result.delivery);
+  } catch (err) {
+    console.error('Error redelivering webhook:', err);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * Inbound webhooks from external services (mounted at /webhooks). No JWT: each provider authenticates
+ * its own calls (signature or shared secret, see messaging/providers.js).
+ * GET  /webhooks/messaging/whatsapp_cloud  → Meta subscription check (hub.verify_token = WHATSAPP_VERIFY_TOKEN)
+ * POST /webhooks/messaging/:provider       → delivery status updates and customer replies
+ */
+
+const express = require('express');
+const pool = require('../db');
+const { findProvider, handleWebhookEvents } = require('../messaging');
+
+const router = express.Router();
+
+router.get('/messaging/whatsapp_cloud', (req, res) => {
+  const verifyToken = process.env.WHATSAPP_VERIFY_TOKEN;
+  if (verifyToken && req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === verifyToken) {
+    return res.status(200).send(String(req.query['hub.challenge'] || ''));
+  }
+  res.status(403).json({ error: 'Verification failed' });
+});
+
+router.post('/messaging/:provider', async (req, res) => {
+  const found = findProvider(req.params.provider);
+  if (!found) {
+    return res.status(404).json({ error: 'Unknown messaging provider' });
+  }
+  if (!found.provider.verifyWebhook(req)) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  try {
+    const events = found.provider.parseWebhook(req.body);
+    const summary = await handleWebhookEvents(pool, found, events);
+    res.json({ ok: true, ...summary });
+  } catch (err) {
+    // 5xx makes the provider redeliver; handling is idempotent
+    console.error('Error handling messaging webhook:', err);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+module.exports = router;
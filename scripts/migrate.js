@@ -0,0 +1,52 @@
+/**
+ * Database migrations (files in migrations/, tracked in schema_migrations).
+ *
+ * Run from backend:
+ *   node scripts/migrate.js up       Apply pending migrations (npm run migrate)
+ *   node scripts/migrate.js status   List applied / pending migrations (npm run migrate:status)
+ * Requires: DATABASE_URL (from .env or env).
+ *
+ * Production: set AUTO_MIGRATE=true to apply pending migrations when the server starts instead.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const pool = require('../db');
+const { runMigrations, migrationStatus } = require('./runMigrations');
+
+async function up() {
+  const { applied } = await runMigrations(pool, { log: (message) => console.log(message) });
+  console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+}
+
+async function status() {
+  const rows = await migrationStatus(pool);
+  rows.forEach((r) => {
+    const appliedAt = r.applied_at ? r.applied_at.toISOString() : '';
+    console.log(`${r.state.padEnd(8)} ${r.name.padEnd(40)} ${appliedAt}`);
+  });
+  const pending = rows.filter((r) => r.state === 'pending').length;
+  const changed = rows.filter((r) => r.state === 'changed').length;
+  console.log(`${pending} pending, ${changed} changed.`);
+  if (changed > 0) process.exitCode = 1;
+}
+
+const COMMANDS = { up, status };
+
+async function main() {
+  const command = COMMANDS[process.argv[2]];
+  if (!command) {
+    console.error('Usage: node scripts/migrate.js <up|status>');
+    process.exitCode = 1;
+    await pool.end();
+    return;
+  }
+  await command();
+  await pool.end();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+/**
+ * Shared migration logic: run with a pg pool. Used by scripts/migrate.js and AUTO_MIGRATE on server start.
+ *
+ * Migrations are migrations/NNN_name.sql, applied in filename order, each in its own transaction, and
+ * recorded in schema_migrations with a sha256 checksum. A session-level advisory lock makes concurrent
+ * runners (e.g. several instances starting at once) wait for each other. Editing an applied migration
+ * is an error: add a new one instead.
+ *
+ * The first migrations are the former sql/*.sql files and are idempotent, so a database that was set up
+ * by hand is adopted by simply running `up`.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '../migrations');
+const MIGRATION_FILE_RE = /^(\d{3,})_[a-z0-9_]+\.sql$/;
+// Arbitrary constant; any other pg_advisory_lock user must pick a different key
+const ADVISORY_LOCK_KEY = 7234001;
+
+/**
+ * @returns {{ version: string, name: string, sql: string, checksum: string }[]}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith('.sql')).sort();
+  const seen = new Set();
+  return files.map((file) => {
+    const match = file.match(MIGRATION_FILE_RE);
+    if (!match) {
+      throw new Error(`Invalid migration file name "${file}" (expected NNN_name.sql)`);
+    }
+    if (seen.has(match[1])) {
+      throw new Error(`Duplicate migration version ${match[1]}`);
+    }
+    seen.add(match[1]);
+    const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+    return {
+      version: match[1],
+      name: file,
+      sql,
+      checksum: crypto.createHash('sha256').update(sql).digest('hex'),
+    };
+  });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version text PRIMARY KEY,
+      name text NOT NULL,
+      checksum text NOT NULL,
+      applied_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+/**
+ * Compare files with schema_migrations.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @returns {Promise<{ version: string, name: string, state: 'applied'|'pending'|'changed'|'missing', applied_at: Date|null }[]>}
+ */
+async function migrationStatus(db, migrations = loadMigrations()) {
+  await ensureMigrationsTable(db);
+  const result = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+  const applied = new Map(result.rows.map((r) => [r.version, r]));
+
+  const status = migrations.map((m) => {
+    const row = applied.get(m.version);
+    applied.delete(m.version);
+    if (!row) return { version: m.version, name: m.name, state: 'pending', applied_at: null };
+    return {
+      version: m.version,
+      name: m.name,
+      state: row.checksum === m.checksum ? 'applied' : 'changed',
+      applied_at: row.applied_at,
+    };
+  });
+  // Recorded in the database but the file is gone (e.g. running an older build)
+  for (const row of applied.values()) {
+    status.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at });
+  }
+  return status.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+/**
+ * Apply all pending migrations. Refuses to run if an applied migration's file has changed.
+ * @param {import('pg').Pool} pool
+ * @param {{ log?: (message: string) => void }} [options]
+ * @returns {Promise<{ applied: string[] }>}
+ */
+async function runMigrations(pool, { log = () => {} } = {}) {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+    try {
+      // Read status only once the lock is held: another runner may just have applied some
+      const status = await migrationStatus(client, migrations);
+      const changed = status.filter((s) => s.state === 'changed');
+      if (changed.length > 0) {
+        throw new Error(`Applied migrations have been modified: ${changed.map((s) => s.name).join(', ')}`);
+      }
+
+      const pending = new Set(status.filter((s) => s.state === 'pending').map((s) => s.version));
+      const applied = [];
+      for (const m of migrations.filter((m) => pending.has(m.version))) {
+        log(`Applying ${m.name}`);
+        try {
+          await client.query('BEGIN');
+          await client.query(m.sql);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [m.version, m.name, m.checksum]
+          );
+          await client.query('COMMIT');
+        } catch (err) {
+          await client.query('ROLLBACK').catch(() => {});
+          err.message = `Migration ${m.name} failed: ${err.message}`;
+          throw err;
+        }
+        applied.push(m.name);
+      }
+      return { applied };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { runMigrations, migrationStatus, loadMigrations };
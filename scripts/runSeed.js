@@ -1,5 +1,6 @@
 /**
  * Shared seed logic: run with a pg pool. Used by scripts/seed-dummy-users.js and POST /seed.
+ * Expects the schema from migrations/ (npm run migrate).
  * @param {import('pg').Pool} pool
  * @returns {Promise<{ seeded: { email: string, role: string }[], localUsers: { email: string, role: string }[] }>}
  */
@@ -30,23 +31,15 @@ async function runSeed(pool) {
   }
   DUMMY_USERS[2].customer_id = customerId;
 
-  const hasOauthCols = await pool.query(
-    `SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'oauth_provider' LIMIT 1`
-  ).then((r) => r.rows.length > 0);
-
-  const cols = hasOauthCols
-    ? '(email, password_hash, role, customer_id, auth_provider, oauth_provider, oauth_provider_id)'
-    : '(email, password_hash, role, customer_id, auth_provider)';
-  const vals = hasOauthCols ? '($1, $2, $3, $4, \'local\', \'local\', $1)' : '($1, $2, $3, $4, \'local\')';
-  const conflictSet = hasOauthCols
-    ? `password_hash = EXCLUDED.password_hash, role = EXCLUDED.role, customer_id = EXCLUDED.customer_id, auth_provider = 'local', oauth_provider = 'local', oauth_provider_id = EXCLUDED.email`
-    : `password_hash = EXCLUDED.password_hash, role = EXCLUDED.role, customer_id = EXCLUDED.customer_id, auth_provider = 'local'`;
-
   const seeded = [];
   for (const u of DUMMY_USERS) {
     const email = u.email.toLowerCase();
     await pool.query(
-      `INSERT INTO users ${cols} VALUES ${vals} ON CONFLICT (email) DO UPDATE SET ${conflictSet}`,
+      `INSERT INTO users (email, password_hash, role, customer_id, auth_provider, oauth_provider, oauth_provider_id)
+       VALUES ($1, $2, $3, $4, 'local', 'local', $1)
+       ON CONFLICT (email) DO UPDATE SET
+         password_hash = EXCLUDED.password_hash, role = EXCLUDED.role, customer_id = EXCLUDED.customer_id,
+         auth_provider = 'local', oauth_provider = 'local', oauth_provider_id = EXCLUDED.email`,
       [email, hash, u.role, u.customer_id]
     );
     seeded.push({ email, role: u.role });
@@ -2,7 +2,7 @@
  * Seed dummy login users (admin, staff, customer) with password 123456.
  *
  * Run from backend: node scripts/seed-dummy-users.js
- * Requires: DATABASE_URL (from .env or env), users + customers tables.
+ * Requires: DATABASE_URL (from .env or env), migrated database (node scripts/migrate.js up).
  *
  * Production (Render, no Shell): Set SEED_SECRET in the backend service env, then call:
  *   curl -X POST -H "X-Seed-Secret: YOUR_SEED_SECRET" https://your-backend.onrender.com/seed
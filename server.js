@@ -6,16 +6,101 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const passport = require('passport');
+const multer = require('multer');
 const pool = require('./db');
+const { runMigrations } = require('./scripts/runMigrations');
+const { startScheduledJobs } = require('./jobs/scheduler');
 const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const exportsRouter = require('./routes/exports');
+const jobsRouter = require('./routes/jobs');
+const webhooksRouter = require('./routes/webhooks');
+const templatesRouter = require('./routes/templates');
+const analyticsRouter = require('./routes/analytics');
+const lostReasonsRouter = require('./routes/lostReasons');
+const followupTasksRouter = require('./routes/followupTasks');
+const documentsRouter = require('./routes/documents');
+const meRouter = require('./routes/me');
+const auditRouter = require('./routes/audit');
+const webhookSubscriptionsRouter = require('./routes/webhookSubscriptions');
+const { configureGoogleAuth } = require('./auth/google');
+const { frontendOrigins } = require('./auth/sessions');
 const { authenticate, requireAdmin, requireStaffOrAdmin, requireCustomerSelf } = require('./auth/middleware');
+const { UUID_RE, parseAssigneeFilter, assigneeCondition, findAssignableUser } = require('./customers/assignment');
+const {
+  archivedCondition,
+  buildCustomerFilters,
+  parsePagination,
+  cursorCondition,
+  encodeCursor,
+} = require('./customers/listQuery');
+const { importCustomers } = require('./customers/import');
+const { normalizeIndianPhone } = require('./customers/phone');
+const { findDuplicateCandidates, describeCustomer, mergeCustomers } = require('./customers/duplicates');
+const { assignRequestId, recordAudit, auditFor, withTransaction } = require('./audit');
+const { queueWebhookEvent, kickWebhookQueue } = require('./webhooks');
+const {
+  archiveCustomer,
+  restoreCustomer,
+  archiveProduct,
+  restoreProduct,
+  purgeCustomer,
+} = require('./customers/archive');
+const {
+  addSystemComment,
+  taskComment,
+  parseFollowupDateInput,
+  setFollowupDate,
+  markFollowupDone,
+} = require('./customers/followups');
+const {
+  TASK_COLUMNS,
+  TASK_STATUSES,
+  validateTask,
+  createTask,
+  syncNextFollowup,
+  openTaskJoin,
+} = require('./customers/followupTasks');
+const {
+  COMMENT_TYPES,
+  COMMENT_COLUMNS,
+  validateComment,
+  listComments,
+  createComment,
+  editComment,
+  deleteComment,
+  listRevisions,
+} = require('./customers/comments');
+const { businessTimeZone, businessTodaySql } = require('./customers/businessDay');
+const { INITIAL_STATUSES, statusTransitions, changeCustomerStatus, recordStatusChange } = require('./customers/statusWorkflow');
+const { CHANNELS: MESSAGE_CHANNELS, MESSAGE_COLUMNS, queueMessage, processMessageQueue } = require('./messaging');
+const { renderTemplateForCustomer } = require('./messaging/templates');
+const { PRODUCT_COLUMNS, validateNewProduct, validateProductUpdate } = require('./customers/products');
+const {
+  DOCUMENT_TYPES,
+  DOCUMENT_COLUMNS,
+  maxDocumentBytes,
+  validateDocumentFields,
+  saveDocument,
+  deleteDocument,
+  signDocumentUrl,
+} = require('./documents');
 
 const app = express();
 
-const allowedOrigins = (process.env.FRONTEND_URL || '')
-  .split(',')
-  .map((o) => o.trim().replace(/\/+$/, ''))
-  .filter(Boolean);
+// Proxies in front of the app whose X-Forwarded-For is believed, so req.ip is the client address (login rate
+// limiting, audit log). Off unless TRUST_PROXY is set: otherwise any client could pick its own IP.
+// TRUST_PROXY: a hop count (1 on Railway), "true", or addresses/subnets as Express accepts them
+function trustProxySetting(raw = process.env.TRUST_PROXY) {
+  if (!raw || raw === 'false') return false;
+  if (raw === 'true') return true;
+  return /^\d+$/.test(raw) ? Number(raw) : raw;
+}
+app.set('trust proxy', trustProxySetting());
+
+const allowedOrigins = frontendOrigins();
 
 const corsOptions = {
   origin: function (origin, callback) {
@@ -32,17 +117,32 @@ const corsOptions = {
     return callback(null, false);
   },
   credentials: true,
+  exposedHeaders: ['X-Request-Id'],
   optionsSuccessStatus: 204,
 };
 
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
-app.use(express.json());
+// CSV imports can be sent as JSON { csv }: parsed with the import's own limit before the default (100kb)
+// parser below, which then leaves the body alone
+const IMPORT_BODY_LIMIT = '5mb';
+app.post('/customers/import', express.json({ limit: IMPORT_BODY_LIMIT }));
+
+// Keep the raw body for webhook signature checks (routes/webhooks.js)
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+app.use(cookieParser());
+app.use(passport.initialize());
+
+// Google sign-in is enabled only when GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET are set
+configureGoogleAuth();
 
-// Log each request so Railway logs show traffic (method + path only)
+// Request id (X-Request-Id) for the audit log and for matching log lines to a request
+app.use(assignRequestId);
+
+// Log each request so Railway logs show traffic (method + path + request id only)
 app.use((req, res, next) => {
-  console.log(`${req.method} ${req.path}`);
+  console.log(`${req.method} ${req.path} ${req.id}`);
   next();
 });
 
@@ -83,203 +183,354 @@ app.post('/seed', async (req, res) => {
   }
 });
 
-// Local auth: POST /auth/login, POST /auth/logout
+// Auth: POST /auth/login, GET /auth/google(/callback), POST /auth/refresh, POST /auth/logout(-all)
 app.use('/auth', authRouter);
 
+// Admin user management
+app.use('/users', usersRouter);
+
+// Customer self-service: own profile, products, comments and requests — customer logins
+app.use('/me', meRouter);
+
+// CSV/XLSX exports — staff and admin
+app.use('/exports', exportsRouter);
+
+// WhatsApp/SMS message templates — staff read and preview, admin manages
+app.use('/message-templates', templatesRouter);
+
+// Lost reasons for the status workflow — staff read, admin manages
+app.use('/lost-reasons', lostReasonsRouter);
+
+// Follow-up task queue, updates, completion — admin, staff (per-customer lists under /customers/:id)
+app.use('/followup-tasks', followupTasksRouter);
+
+// Pipeline analytics and dashboard — admin, staff
+app.use('/analytics', analyticsRouter);
+
+// Background jobs: manual run / preview — admin only
+app.use('/jobs', jobsRouter);
+
+// Audit log of changes made through the API — admin only
+app.use('/audit-log', auditRouter);
+
+// Outgoing webhooks: subscriptions to CRM events, delivery log, redelivery — admin only
+app.use('/webhook-subscriptions', webhookSubscriptionsRouter);
+
+// Signed document downloads — the link is the authorization, not a JWT
+app.use('/documents', documentsRouter);
+
+// Provider callbacks (messaging delivery status, replies) — authenticated per provider, not by JWT
+app.use('/webhooks', webhooksRouter);
+
+// Columns returned for a customer row by every customer endpoint
+const CUSTOMER_COLUMNS =
+  'id, name, phone, city, status, lost_reason_id, next_followup_date, assigned_to, archived_at, purged_at, created_at';
+
+// A customer row as it is before a change (the audit log's "before"); undefined when there is none
+async function findCustomer(db, id) {
+  const result = await db.query(`SELECT ${CUSTOMER_COLUMNS} FROM customers WHERE id = $1`, [id]);
+  return result.rows[0];
+}
+
 // Create a new customer — admin only
+// status may be 'new' (default) or 'followup'; later changes go through the workflow (customers/statusWorkflow.js)
+// phone is normalised to +91…; a likely duplicate (same phone, or similar name in the same city) is a 409 with
+// the candidates unless allow_duplicate is true — see customers/duplicates.js
 app.post('/customers', authenticate, requireAdmin, async (req, res) => {
-  const { name, phone, city, status, next_followup_date } = req.body;
+  const { name, phone: rawPhone, city, status, next_followup_date, assigned_to, allow_duplicate } = req.body;
 
-  if (!name || !phone) {
+  if (!name || !rawPhone) {
     return res.status(400).json({ error: 'name and phone are required' });
   }
+  const { phone, error: phoneError } = normalizeIndianPhone(rawPhone);
+  if (phoneError) {
+    return res.status(400).json({ error: phoneError });
+  }
+  if (status !== undefined && status !== null && !INITIAL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `New customers start as ${INITIAL_STATUSES.join(' or ')}` });
+  }
+  const followup = parseFollowupDateInput(next_followup_date || null);
+  if (followup.error) {
+    return res.status(400).json({ error: followup.error });
+  }
 
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      `INSERT INTO customers (name, phone, city, status, next_followup_date)
+    if (assigned_to !== undefined && assigned_to !== null) {
+      const { error } = await findAssignableUser(client, assigned_to);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+    }
+
+    const candidates = await findDuplicateCandidates(client, { name, phone, city });
+    if (candidates.length > 0 && allow_duplicate !== true) {
+      return res.status(409).json({
+        error: 'This customer may already exist; resend with allow_duplicate: true to create it anyway',
+        candidates,
+      });
+    }
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO customers (name, phone, city, status, assigned_to)
        VALUES ($1, $2, $3, COALESCE($4, 'new'), $5)
-       RETURNING id, name, phone, city, status, next_followup_date, created_at`,
-      [name, phone, city || null, status || null, next_followup_date || null]
+       RETURNING ${CUSTOMER_COLUMNS}`,
+      [name, phone, city || null, status || null, assigned_to || null]
     );
+    let customer = result.rows[0];
+    await recordStatusChange(client, { customerId: customer.id, from: null, to: customer.status, userId: req.user.userId });
+    if (candidates.length > 0) {
+      const names = candidates.map(describeCustomer).join(', ');
+      await addSystemComment(client, customer.id, `Created despite possible duplicates: ${names}.`, req.user.userId);
+    }
+    let task = null;
+    if (followup.date) {
+      ({ task } = await createTask(client, customer.id, { type: 'call', due_date: followup.date }, { userId: req.user.userId }));
+      customer = await syncNextFollowup(client, customer.id, CUSTOMER_COLUMNS);
+    }
+    await recordAudit(client, req, { action: 'create', entityType: 'customer', entityId: customer.id, after: customer });
+    let webhooks = await queueWebhookEvent(client, 'customer.created', { customer_id: customer.id, customer });
+    if (task) {
+      webhooks += await queueWebhookEvent(client, 'followup.scheduled', { customer_id: customer.id, task });
+    }
+    await client.query('COMMIT');
 
-    res.status(201).json(result.rows[0]);
+    if (webhooks > 0) kickWebhookQueue();
+    res.status(201).json(customer);
   } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error('Error creating customer:', error);
     res.status(500).json({ error: 'Failed to create customer' });
+  } finally {
+    client.release();
   }
 });
 
-// Update a customer (only provided fields: status, next_followup_date) — admin, staff
+// Update a customer (only provided fields) — admin, staff
+// Body: { status?, lost_reason_id?, status_note?, next_followup_date? } — next_followup_date as in PUT /customers/:id/followup
+// Status changes follow the workflow in customers/statusWorkflow.js: 409 for a transition that is not
+// allowed (or 'converted' without an active product), 400 for 'lost' without an active lost_reason_id.
 app.patch('/customers/:id', authenticate, requireStaffOrAdmin, async (req, res) => {
   const { id } = req.params;
-  const { status, next_followup_date } = req.body;
-
-  const updates = [];
-  const values = [];
-  let paramIndex = 1;
+  const { status, lost_reason_id, status_note, next_followup_date } = req.body;
 
-  if (status !== undefined) {
-    updates.push(`status = $${paramIndex}`);
-    values.push(status);
-    paramIndex += 1;
+  if (status === undefined && next_followup_date === undefined) {
+    return res.status(400).json({ error: 'No fields to update' });
   }
-  if (next_followup_date !== undefined) {
-    updates.push(`next_followup_date = $${paramIndex}`);
-    values.push(next_followup_date);
-    paramIndex += 1;
+  if (status === undefined && (lost_reason_id !== undefined || status_note !== undefined)) {
+    return res.status(400).json({ error: 'lost_reason_id and status_note are only used with status' });
   }
-
-  if (updates.length === 0) {
-    return res.status(400).json({ error: 'No fields to update' });
+  const followup = parseFollowupDateInput(next_followup_date);
+  if (followup.error) {
+    return res.status(400).json({ error: followup.error });
   }
 
+  const client = await pool.connect();
   try {
-    values.push(id);
-    const setClause = updates.join(', ');
-    const result = await pool.query(
-      `UPDATE customers SET ${setClause} WHERE id = $${paramIndex}
-       RETURNING id, name, phone, city, status, next_followup_date, created_at`,
-      values
-    );
-
-    if (result.rowCount === 0) {
+    await client.query('BEGIN');
+    const before = await findCustomer(client, id);
+    if (!before) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Customer not found' });
     }
 
-    res.json(result.rows[0]);
+    if (status !== undefined) {
+      const { error, status: code } = await changeCustomerStatus(client, {
+        customerId: id,
+        status,
+        lostReasonId: lost_reason_id,
+        note: status_note,
+        userId: req.user.userId,
+      });
+      if (error) {
+        await client.query('ROLLBACK');
+        return res.status(code).json({ error });
+      }
+    }
+    if (next_followup_date !== undefined) {
+      const { error, status: code } = await setFollowupDate(client, id, followup.date, 'id', { userId: req.user.userId });
+      if (error) {
+        await client.query('ROLLBACK');
+        return res.status(code).json({ error });
+      }
+    }
+
+    const customer = await findCustomer(client, id);
+    await recordAudit(client, req, { action: 'update', entityType: 'customer', entityId: id, before, after: customer });
+    let webhooks = 0;
+    if (customer.status !== before.status) {
+      webhooks += await queueWebhookEvent(client, 'customer.status_changed', {
+        customer_id: id,
+        from: before.status,
+        to: customer.status,
+        customer,
+      });
+    }
+    if (next_followup_date !== undefined && followup.date) {
+      webhooks += await queueWebhookEvent(client, 'followup.scheduled', { customer_id: id, customer });
+    }
+    await client.query('COMMIT');
+
+    if (webhooks > 0) kickWebhookQueue();
+    res.json(customer);
   } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error('Error updating customer:', error);
     res.status(500).json({ error: 'Failed to update customer' });
+  } finally {
+    client.release();
   }
 });
 
-// Get all customers — admin, staff
+// List customers with filters, search, sorting and pagination — admin, staff
+// See customers/listQuery.js for query parameters. Response: { data, total, limit, next_cursor }
 app.get('/customers', authenticate, requireStaffOrAdmin, async (req, res) => {
-  try {
-    const result = await pool.query(
-      `SELECT id, name, phone, city, status, next_followup_date, created_at
-       FROM customers
-       ORDER BY created_at DESC`
-    );
+  const filters = buildCustomerFilters(req);
+  if (filters.error) {
+    return res.status(filters.status).json({ error: filters.error });
+  }
+  const paging = parsePagination(req.query);
+  if (paging.error) {
+    return res.status(400).json({ error: paging.error });
+  }
 
-    res.json(result.rows);
+  const { sort, order, limit, cursor, offset } = paging;
+  const where = filters.conditions.length > 0 ? `WHERE ${filters.conditions.join(' AND ')}` : '';
+
+  const pageValues = [...filters.values];
+  const pageConditions = [...filters.conditions];
+  if (cursor) {
+    pageConditions.push(cursorCondition(sort, order, cursor, pageValues));
+  }
+  pageValues.push(limit + 1);
+  const limitParam = `$${pageValues.length}`;
+  pageValues.push(offset);
+  const offsetParam = `$${pageValues.length}`;
+
+  try {
+    const [page, count] = await Promise.all([
+      pool.query(
+        `SELECT ${CUSTOMER_COLUMNS}, ${sort.expr}::text AS sort_value
+         FROM customers c
+         ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+         ORDER BY ${sort.expr} ${order}, c.id ${order}
+         LIMIT ${limitParam} OFFSET ${offsetParam}`,
+        pageValues
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM customers c ${where}`, filters.values),
+    ]);
+
+    const hasMore = page.rows.length > limit;
+    const rows = page.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    res.json({
+      data: rows.map(({ sort_value, ...customer }) => customer),
+      total: count.rows[0].total,
+      limit,
+      next_cursor: hasMore ? encodeCursor(last.sort_value, last.id) : null,
+    });
   } catch (error) {
     console.error('Error fetching customers:', error);
     res.status(500).json({ error: 'Failed to fetch customers' });
   }
 });
 
-// Format date for system comments: "15 Jun 2026"
-function formatCommentDate(dateStr) {
-  if (!dateStr) return null;
-  const d = new Date(dateStr + (dateStr.length === 10 ? 'T00:00:00.000Z' : ''));
-  if (Number.isNaN(d.getTime())) return null;
-  return d.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
-}
-
 // Update customer follow-up date — admin, staff only; full path so route is matched before router
+// Moves the earliest open follow-up task (or creates a call task); null cancels open tasks. 409 when another
+// open task is due before the date. See customers/followups.js
 app.put('/customers/:id/followup', authenticate, requireStaffOrAdmin, async (req, res) => {
   const { id } = req.params;
-  const { next_followup_date } = req.body;
-
-  if (next_followup_date !== null && next_followup_date !== undefined) {
-    const dateStr = String(next_followup_date).trim();
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-      return res.status(400).json({ error: 'next_followup_date must be YYYY-MM-DD or null' });
-    }
-    const d = new Date(dateStr + 'T00:00:00.000Z');
-    if (Number.isNaN(d.getTime())) {
-      return res.status(400).json({ error: 'next_followup_date is not a valid date' });
-    }
+  const { date, error } = parseFollowupDateInput(req.body.next_followup_date);
+  if (error) {
+    return res.status(400).json({ error });
   }
 
-  const value = next_followup_date === null || next_followup_date === undefined
-    ? null
-    : String(next_followup_date).trim();
-
+  const client = await pool.connect();
   try {
-    const prev = await pool.query(
-      'SELECT next_followup_date FROM customers WHERE id = $1',
-      [id]
-    );
-    if (prev.rows.length === 0) {
+    await client.query('BEGIN');
+    const before = await findCustomer(client, id);
+    if (!before) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Customer not found' });
     }
-    const previousDate = prev.rows[0].next_followup_date
-      ? String(prev.rows[0].next_followup_date).slice(0, 10)
-      : null;
-    const newDate = value;
-
-    const result = await pool.query(
-      `UPDATE customers SET next_followup_date = $1 WHERE id = $2
-       RETURNING id, name, phone, city, status, next_followup_date, created_at`,
-      [value, id]
-    );
-
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Customer not found' });
+    const { customer, error: followupError, status } = await setFollowupDate(client, id, date, CUSTOMER_COLUMNS, {
+      userId: req.user.userId,
+    });
+    if (followupError) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error: followupError });
     }
+    await recordAudit(client, req, { action: 'set_followup', entityType: 'customer', entityId: id, before, after: customer });
+    // Clearing the date cancels the open tasks: nothing is scheduled
+    const webhooks = date ? await queueWebhookEvent(client, 'followup.scheduled', { customer_id: id, customer }) : 0;
+    await client.query('COMMIT');
 
-    if (previousDate !== newDate) {
-      let commentText;
-      if (newDate === null || newDate === '') {
-        commentText = 'Follow-up cleared.';
-      } else if (previousDate === null || previousDate === '') {
-        commentText = `Follow-up scheduled for ${formatCommentDate(newDate)}.`;
-      } else {
-        commentText = `Follow-up date changed from ${formatCommentDate(previousDate)} to ${formatCommentDate(newDate)}.`;
-      }
-      await pool.query(
-        'INSERT INTO customer_comments (customer_id, comment) VALUES ($1, $2)',
-        [id, commentText]
-      );
-    }
-
-    res.json(result.rows[0]);
+    if (webhooks > 0) kickWebhookQueue();
+    res.json(customer);
   } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error('Error updating follow-up date:', error);
     res.status(500).json({ error: 'Failed to update follow-up date' });
+  } finally {
+    client.release();
   }
 });
 
-// Mark follow-up as done — admin, staff only; full path so route is matched before router
+// Mark follow-up as done (completes the earliest open follow-up task) — admin, staff only; full path so route is matched before router
 app.post('/customers/:id/followup/done', authenticate, requireStaffOrAdmin, async (req, res) => {
   const { id } = req.params;
 
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      `UPDATE customers SET next_followup_date = NULL WHERE id = $1
-       RETURNING id, name, phone, city, status, next_followup_date, created_at`,
-      [id]
-    );
-
-    if (result.rowCount === 0) {
+    await client.query('BEGIN');
+    const before = await findCustomer(client, id);
+    const customer = before && await markFollowupDone(client, id, CUSTOMER_COLUMNS, { userId: req.user.userId });
+    if (!customer) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Customer not found' });
     }
+    await recordAudit(client, req, { action: 'followup_done', entityType: 'customer', entityId: id, before, after: customer });
+    const webhooks = await queueWebhookEvent(client, 'followup.done', { customer_id: id, customer });
+    await client.query('COMMIT');
 
-    await pool.query(
-      'INSERT INTO customer_comments (customer_id, comment) VALUES ($1, $2)',
-      [id, 'Follow-up marked as done.']
-    );
-
-    res.json(result.rows[0]);
+    if (webhooks > 0) kickWebhookQueue();
+    res.json(customer);
   } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error('Error marking follow-up done:', error);
     res.status(500).json({ error: 'Failed to mark follow-up done' });
+  } finally {
+    client.release();
   }
 });
 
 // Customer sub-routes: literal paths first so /followups/upcoming is not matched as /:id/...
 const customersRouter = express.Router({ mergeParams: false });
 
-// Get customers with follow-ups scheduled for today — admin, staff
+// Get customers with follow-up tasks due today — admin, staff
+// Queues go by the open tasks' assignee (customers/followupTasks.js openTaskJoin), not the customer's.
+// Staff see their own queue by default (?assigned_to=me|unassigned); admins see all (or ?assigned_to=<user id>)
+// Archived customers are left out unless ?include_archived=true (all follow-up queues)
 customersRouter.get('/followups/today', authenticate, requireStaffOrAdmin, async (req, res) => {
+  const { filter, error, status } = parseAssigneeFilter(req, { staffQueue: true });
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const values = [];
+  const tasks = openTaskJoin(filter, values, `t.due_date = ${businessTodaySql()}`);
+  const archived = archivedCondition(req.query, 'archived_at');
+
   try {
     const result = await pool.query(
-      `SELECT id, name, phone, city, status, next_followup_date, created_at
+      `SELECT ${CUSTOMER_COLUMNS}
        FROM customers
-       WHERE next_followup_date = CURRENT_DATE
-       ORDER BY created_at DESC`
+       ${tasks}
+       ${archived ? `WHERE ${archived}` : ''}
+       ORDER BY created_at DESC`,
+      values
     );
 
     res.json(result.rows);
@@ -289,15 +540,28 @@ customersRouter.get('/followups/today', authenticate, requireStaffOrAdmin, async
   }
 });
 
-// Get upcoming follow-ups (next 30 days) — admin, staff
+// Get upcoming follow-ups (tasks due in the next 30 days) — admin, staff; scoped like /followups/today
+// due_date: the earliest of the customer's tasks in the queue
 customersRouter.get('/followups/upcoming', authenticate, requireStaffOrAdmin, async (req, res) => {
+  const { filter, error, status } = parseAssigneeFilter(req, { staffQueue: true });
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const today = businessTodaySql();
+  const values = [];
+  const tasks = openTaskJoin(filter, values, `t.due_date BETWEEN ${today} AND ${today} + 30`);
+  const archived = archivedCondition(req.query, 'archived_at');
+
   try {
     const result = await pool.query(
-      `SELECT id AS customer_id, name AS customer_name, phone, status, next_followup_date
+      `SELECT id AS customer_id, name AS customer_name, phone, status, next_followup_date, assigned_to,
+              to_char(task_due.due_date, 'YYYY-MM-DD') AS due_date
        FROM customers
-       WHERE next_followup_date IS NOT NULL
-         AND next_followup_date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '30 days'
-       ORDER BY next_followup_date ASC`
+       ${tasks}
+       ${archived ? `WHERE ${archived}` : ''}
+       ORDER BY task_due.due_date ASC`,
+      values
     );
 
     res.json(result.rows);
@@ -307,20 +571,561 @@ customersRouter.get('/followups/upcoming', authenticate, requireStaffOrAdmin, as
   }
 });
 
-// Get comments for a customer — admin, staff, or customer self
-customersRouter.get('/:id/comments', authenticate, requireCustomerSelf, async (req, res) => {
+// Get missed follow-ups (open tasks due before today), most overdue first, with days_overdue (from the
+// customer's oldest task in the queue) — admin, staff. Scoped like /followups/today
+customersRouter.get('/followups/overdue', authenticate, requireStaffOrAdmin, async (req, res) => {
+  const { filter, error, status } = parseAssigneeFilter(req, { staffQueue: true });
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const today = businessTodaySql();
+  const values = [];
+  const tasks = openTaskJoin(filter, values, `t.due_date < ${today}`);
+  const archived = archivedCondition(req.query, 'archived_at');
+
+  try {
+    const result = await pool.query(
+      `SELECT ${CUSTOMER_COLUMNS}, (${today} - task_due.due_date) AS days_overdue
+       FROM customers
+       ${tasks}
+       ${archived ? `WHERE ${archived}` : ''}
+       ORDER BY task_due.due_date ASC, created_at DESC`,
+      values
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching overdue follow-ups:', error);
+    res.status(500).json({ error: 'Failed to fetch overdue follow-ups' });
+  }
+});
+
+// Per-assignee breakdown of follow-up queues (customers with open tasks due today, in the next 30 days,
+// overdue — by task assignee as the queues are) and customers owned, archived customers left out — admin only
+customersRouter.get('/followups/by-assignee', authenticate, requireAdmin, async (req, res) => {
+  const today = businessTodaySql();
+
+  try {
+    const result = await pool.query(
+      `WITH tasks AS (
+         SELECT t.customer_id, t.assigned_to, t.due_date
+         FROM followup_tasks t
+         JOIN customers c ON c.id = t.customer_id AND c.archived_at IS NULL
+         WHERE t.status = 'open'
+       )
+       SELECT u.id AS user_id, u.email, u.role,
+              COUNT(DISTINCT t.customer_id) FILTER (WHERE t.due_date = ${today})::int AS today,
+              COUNT(DISTINCT t.customer_id) FILTER (
+                WHERE t.due_date BETWEEN ${today} AND ${today} + 30
+              )::int AS upcoming,
+              COUNT(DISTINCT t.customer_id) FILTER (WHERE t.due_date < ${today})::int AS overdue,
+              (SELECT COUNT(*) FROM customers c WHERE c.assigned_to = u.id AND c.archived_at IS NULL)::int
+                AS assigned_customers
+       FROM users u
+       LEFT JOIN tasks t ON t.assigned_to = u.id
+       WHERE u.role IN ('admin', 'staff')
+       GROUP BY u.id, u.email, u.role
+       UNION ALL
+       SELECT NULL, NULL, NULL,
+              COUNT(DISTINCT t.customer_id) FILTER (WHERE t.due_date = ${today})::int,
+              COUNT(DISTINCT t.customer_id) FILTER (
+                WHERE t.due_date BETWEEN ${today} AND ${today} + 30
+              )::int,
+              COUNT(DISTINCT t.customer_id) FILTER (WHERE t.due_date < ${today})::int,
+              (SELECT COUNT(*) FROM customers c WHERE c.assigned_to IS NULL AND c.archived_at IS NULL)::int
+       FROM tasks t
+       WHERE t.assigned_to IS NULL
+       ORDER BY email NULLS LAST`
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching follow-up breakdown:', error);
+    res.status(500).json({ error: 'Failed to fetch follow-up breakdown' });
+  }
+});
+
+// Status workflow for the frontend: allowed transitions and active lost reasons — admin, staff
+customersRouter.get('/status-workflow', authenticate, requireStaffOrAdmin, async (req, res) => {
+  try {
+    const reasons = await pool.query(
+      'SELECT id, label FROM lost_reasons WHERE active ORDER BY sort_order, lower(label)'
+    );
+    res.json({
+      transitions: statusTransitions(),
+      initial_statuses: INITIAL_STATUSES,
+      requirements: { lost: 'lost_reason_id', converted: 'an active product' },
+      lost_reasons: reasons.rows,
+    });
+  } catch (error) {
+    console.error('Error fetching status workflow:', error);
+    res.status(500).json({ error: 'Failed to fetch status workflow' });
+  }
+});
+
+// Bulk reassign customers — admin only
+// Body: { to_user_id: uuid|null, customer_ids?: uuid[], from_user_id?: uuid|null }
+// customer_ids selects specific customers; from_user_id moves everything owned by that user (null = unassigned).
+customersRouter.post('/reassign', authenticate, requireAdmin, async (req, res) => {
+  const { to_user_id, customer_ids, from_user_id } = req.body;
+
+  if (to_user_id === undefined) {
+    return res.status(400).json({ error: 'to_user_id is required (null to unassign)' });
+  }
+  if (customer_ids === undefined && from_user_id === undefined) {
+    return res.status(400).json({ error: 'customer_ids or from_user_id is required' });
+  }
+  if (customer_ids !== undefined
+    && (!Array.isArray(customer_ids) || customer_ids.length === 0 || !customer_ids.every((c) => UUID_RE.test(String(c))))) {
+    return res.status(400).json({ error: 'customer_ids must be a non-empty array of customer ids' });
+  }
+  if (from_user_id !== undefined && from_user_id !== null && !UUID_RE.test(String(from_user_id))) {
+    return res.status(400).json({ error: 'from_user_id must be a user id or null' });
+  }
+
+  const client = await pool.connect();
+  try {
+    let assignee = null;
+    if (to_user_id !== null) {
+      const { user, error } = await findAssignableUser(client, to_user_id);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      assignee = user;
+    }
+
+    const conditions = ['assigned_to IS DISTINCT FROM $1'];
+    const values = [assignee ? assignee.id : null];
+    if (customer_ids !== undefined) {
+      values.push(customer_ids);
+      conditions.push(`id = ANY($${values.length}::uuid[])`);
+    }
+    if (from_user_id !== undefined) {
+      conditions.push(assigneeCondition(from_user_id === null ? { unassigned: true } : { userId: from_user_id }, values));
+    }
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE customers c SET assigned_to = $1
+       FROM (SELECT id, assigned_to FROM customers WHERE ${conditions.join(' AND ')} FOR UPDATE) prev
+       WHERE c.id = prev.id
+       RETURNING c.id, prev.assigned_to AS previous_assigned_to`,
+      values
+    );
+    const updatedIds = result.rows.map((r) => r.id);
+    for (const row of result.rows) {
+      await recordAudit(client, req, {
+        action: 'assign',
+        entityType: 'customer',
+        entityId: row.id,
+        before: { assigned_to: row.previous_assigned_to },
+        after: { assigned_to: assignee ? assignee.id : null },
+      });
+    }
+
+    if (updatedIds.length > 0) {
+      await client.query(
+        `INSERT INTO customer_comments (customer_id, comment)
+         SELECT unnest($1::uuid[]), $2`,
+        [updatedIds, assignee ? `Assigned to ${assignee.email}.` : 'Unassigned.']
+      );
+    }
+    await client.query('COMMIT');
+
+    res.json({ updated: updatedIds.length, customer_ids: updatedIds });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error reassigning customers:', error);
+    res.status(500).json({ error: 'Failed to reassign customers' });
+  } finally {
+    client.release();
+  }
+});
+
+// Bulk import customers from CSV — admin only. See customers/import.js.
+// Body: text/csv (options in the query string) or JSON { csv, mapping?, dry_run?, skip_invalid?, on_duplicate? }
+// dry_run defaults to true; pass dry_run=false to insert.
+customersRouter.post(
+  '/import',
+  authenticate,
+  requireAdmin,
+  express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }),
+  async (req, res) => {
+    const isCsvBody = typeof req.body === 'string';
+    const options = isCsvBody ? req.query : req.body;
+    const csv = isCsvBody ? req.body : req.body.csv;
+    const flag = (value, fallback) => (value === undefined ? fallback : value === true || value === 'true');
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({ error: 'CSV content is required (text/csv body or JSON { csv })' });
+    }
+    let mapping = options.mapping || {};
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (e) {
+        return res.status(400).json({ error: 'mapping must be a JSON object' });
+      }
+    }
+    const onDuplicate = options.on_duplicate || 'error';
+    if (onDuplicate !== 'error' && onDuplicate !== 'skip') {
+      return res.status(400).json({ error: 'on_duplicate must be error or skip' });
+    }
+
+    try {
+      const { report, webhooks, error, status } = await importCustomers(pool, csv, {
+        mapping,
+        dryRun: flag(options.dry_run, true),
+        skipInvalid: flag(options.skip_invalid, false),
+        onDuplicate,
+        audit: auditFor(req),
+      });
+      if (error) {
+        return res.status(status).json({ error, ...(report && { report }) });
+      }
+      if (webhooks > 0) kickWebhookQueue();
+      res.status(report.dry_run ? 200 : 201).json(report);
+    } catch (error) {
+      console.error('Error importing customers:', error);
+      res.status(500).json({ error: 'Failed to import customers' });
+    }
+  }
+);
+
+// Assign, reassign or unassign a customer — admin only. Body: { assigned_to: uuid|null }
+customersRouter.put('/:id/assignee', authenticate, requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { assigned_to } = req.body;
+
+  if (assigned_to === undefined) {
+    return res.status(400).json({ error: 'assigned_to is required (null to unassign)' });
+  }
+
+  const client = await pool.connect();
+  try {
+    let assignee = null;
+    if (assigned_to !== null) {
+      const { user, error } = await findAssignableUser(client, assigned_to);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      assignee = user;
+    }
+
+    await client.query('BEGIN');
+    const before = await findCustomer(client, id);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const result = await client.query(
+      `UPDATE customers SET assigned_to = $1 WHERE id = $2
+       RETURNING ${CUSTOMER_COLUMNS}`,
+      [assignee ? assignee.id : null, id]
+    );
+
+    if ((before.assigned_to ?? null) !== (assignee ? assignee.id : null)) {
+      await client.query(
+        'INSERT INTO customer_comments (customer_id, comment) VALUES ($1, $2)',
+        [id, assignee ? `Assigned to ${assignee.email}.` : 'Unassigned.']
+      );
+    }
+    await recordAudit(client, req, { action: 'assign', entityType: 'customer', entityId: id, before, after: result.rows[0] });
+    await client.query('COMMIT');
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error assigning customer:', error);
+    res.status(500).json({ error: 'Failed to assign customer' });
+  } finally {
+    client.release();
+  }
+});
+
+// Likely duplicates of an existing customer (same phone, or similar name in the same city) — admin, staff
+customersRouter.get('/:id/duplicates', authenticate, requireStaffOrAdmin, async (req, res) => {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+
+  try {
+    const customer = await pool.query('SELECT name, phone, city FROM customers WHERE id = $1', [id]);
+    if (customer.rows.length === 0) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(await findDuplicateCandidates(pool, customer.rows[0], { excludeId: id }));
+  } catch (error) {
+    console.error('Error finding duplicate customers:', error);
+    res.status(500).json({ error: 'Failed to find duplicate customers' });
+  }
+});
+
+// Merge a duplicate into this customer — admin only. Body: { duplicate_id }
+// Everything of the duplicate moves here and the duplicate is deleted; see customers/duplicates.js
+customersRouter.post('/:id/merge', authenticate, requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { duplicate_id } = req.body;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  if (typeof duplicate_id !== 'string' || !UUID_RE.test(duplicate_id)) {
+    return res.status(400).json({ error: 'duplicate_id must be a customer id' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await findCustomer(client, id);
+    const { merge, error, status } = await mergeCustomers(client, id, duplicate_id, { userId: req.user.userId });
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+    const customer = await findCustomer(client, id);
+    await recordAudit(client, req, {
+      action: 'merge',
+      entityType: 'customer',
+      entityId: id,
+      before,
+      after: { ...customer, merged_customer_id: duplicate_id },
+    });
+    await recordAudit(client, req, {
+      action: 'merged_into',
+      entityType: 'customer',
+      entityId: duplicate_id,
+      before: merge.merged_customer,
+      after: { merged_into: id, moved: merge.moved },
+    });
+    const webhooks = customer.status !== before.status
+      ? await queueWebhookEvent(client, 'customer.status_changed', {
+        customer_id: id,
+        from: before.status,
+        to: customer.status,
+        customer,
+      })
+      : 0;
+    await client.query('COMMIT');
+
+    if (webhooks > 0) kickWebhookQueue();
+    res.json({ customer, merge });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error merging customers:', error);
+    res.status(500).json({ error: 'Failed to merge customers' });
+  } finally {
+    client.release();
+  }
+});
+
+// Archive, restore or purge in a transaction — see customers/archive.js
+// change(client) returns { [key]: row } or { error, status }; responds with the row
+async function archiveChange(res, label, key, change) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await change(client);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ error: result.error });
+    }
+    await client.query('COMMIT');
+    res.json(result[key]);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`Error trying to ${label}:`, error);
+    res.status(500).json({ error: `Failed to ${label}` });
+  } finally {
+    client.release();
+  }
+}
+
+// Archive (soft delete) a customer — admin only. Hidden from lists and follow-up queues until restored
+// (?include_archived=true shows them); queued messages to them are failed
+customersRouter.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  await archiveChange(res, 'archive customer', 'customer', (client) =>
+    archiveCustomer(client, id, CUSTOMER_COLUMNS, { userId: req.user.userId, audit: auditFor(req) }));
+});
+
+// Restore an archived customer — admin only (purged customers cannot be restored)
+customersRouter.post('/:id/restore', authenticate, requireAdmin, async (req, res) => {
   const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  await archiveChange(res, 'restore customer', 'customer', (client) =>
+    restoreCustomer(client, id, CUSTOMER_COLUMNS, { userId: req.user.userId, audit: auditFor(req) }));
+});
+
+// Erase an archived customer's personal data (data retention / right to erasure) — admin only; cannot be undone
+// The record and everything referring to it stay, anonymised. Response: { customer, erased: counts per kind }
+customersRouter.post('/:id/purge', authenticate, requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+
+  try {
+    const { customer, erased, error, status } = await purgeCustomer(pool, id, CUSTOMER_COLUMNS, {
+      userId: req.user.userId,
+      audit: auditFor(req),
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json({ customer, erased });
+  } catch (error) {
+    console.error('Error purging customer:', error);
+    res.status(500).json({ error: 'Failed to purge customer' });
+  }
+});
+
+// Customers merged into this one, oldest first, with each duplicate as it was — admin only
+customersRouter.get('/:id/merges', authenticate, requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
 
   try {
     const result = await pool.query(
-      `SELECT id, customer_id, comment, created_at
-       FROM customer_comments
-       WHERE customer_id = $1
-       ORDER BY created_at ASC`,
-      [id],
+      `SELECT id, survivor_id, merged_customer_id, merged_customer, moved, merged_by, merged_at
+       FROM customer_merges
+       WHERE survivor_id = $1
+       ORDER BY merged_at`,
+      [id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching customer merges:', error);
+    res.status(500).json({ error: 'Failed to fetch customer merges' });
+  }
+});
+
+// Status changes for a customer, oldest first, with lost reason and who made them — admin, staff
+customersRouter.get('/:id/status-history', authenticate, requireStaffOrAdmin, async (req, res) => {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+
+  try {
+    const customer = await pool.query('SELECT 1 FROM customers WHERE id = $1', [id]);
+    if (customer.rows.length === 0) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    const result = await pool.query(
+      `SELECT h.id, h.from_status, h.to_status, h.lost_reason_id, r.label AS lost_reason, h.note,
+              h.changed_by, u.email AS changed_by_email, h.changed_at
+       FROM customer_status_history h
+       LEFT JOIN lost_reasons r ON r.id = h.lost_reason_id
+       LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.customer_id = $1
+       ORDER BY h.changed_at ASC, h.id`,
+      [id]
     );
 
     res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    res.status(500).json({ error: 'Failed to fetch status history' });
+  }
+});
+
+// Follow-up tasks for a customer: open ones first by due date/time, then the rest newest first — admin, staff
+// ?status=open|done|cancelled. Task changes: routes/followupTasks.js
+customersRouter.get('/:id/followup-tasks', authenticate, requireStaffOrAdmin, async (req, res) => {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  const { status } = req.query;
+  if (status !== undefined && !TASK_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${TASK_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const customer = await pool.query('SELECT 1 FROM customers WHERE id = $1', [id]);
+    if (customer.rows.length === 0) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    const result = await pool.query(
+      `SELECT ${TASK_COLUMNS}
+       FROM followup_tasks
+       WHERE customer_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY (status = 'open') DESC,
+                CASE WHEN status = 'open' THEN due_date END ASC,
+                CASE WHEN status = 'open' THEN due_time END ASC NULLS LAST,
+                updated_at DESC`,
+      [id, status || null]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching follow-up tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch follow-up tasks' });
+  }
+});
+
+// Schedule a follow-up task — admin, staff
+// Body: { type: call|visit|whatsapp|document_collection, due_date, due_time?, assigned_to?, priority?, notes? }
+// assigned_to defaults to the customer's assignee; see customers/followupTasks.js
+customersRouter.post('/:id/followup-tasks', authenticate, requireStaffOrAdmin, async (req, res) => {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  const { data, error } = validateTask(req.body, { partial: false });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { task, error: createError, status } = await createTask(client, id, data, { userId: req.user.userId });
+    if (createError) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error: createError });
+    }
+    await addSystemComment(client, id, taskComment(task, 'scheduled'));
+    await recordAudit(client, req, { action: 'create', entityType: 'followup_task', entityId: task.id, customerId: id, after: task });
+    const webhooks = await queueWebhookEvent(client, 'followup.scheduled', { customer_id: id, task });
+    await client.query('COMMIT');
+
+    if (webhooks > 0) kickWebhookQueue();
+    res.status(201).json(task);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error creating follow-up task:', error);
+    res.status(500).json({ error: 'Failed to create follow-up task' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get comments for a customer, oldest first — admin, staff, or customer self (customer-visible comments only)
+// ?type=system|note|customer; ?include_deleted=true (admin) also returns deleted comments. See customers/comments.js
+customersRouter.get('/:id/comments', authenticate, requireCustomerSelf, async (req, res) => {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  const { type, include_deleted } = req.query;
+  if (type !== undefined && !COMMENT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${COMMENT_TYPES.join(', ')}` });
+  }
+
+  try {
+    const comments = await listComments(pool, id, req.user, { type, includeDeleted: include_deleted === 'true' });
+    res.json(comments);
   } catch (error) {
     console.error('Error fetching customer comments:', error);
     res.status(500).json({ error: 'Failed to fetch customer comments' });
@@ -328,88 +1133,268 @@ customersRouter.get('/:id/comments', authenticate, requireCustomerSelf, async (r
 });
 
 // Add a comment to a customer — admin, staff, or customer self
+// Body: { comment, visibility?: internal|customer } — staff notes default to internal; customers' comments
+// are always customer-visible
 customersRouter.post('/:id/comments', authenticate, requireCustomerSelf, async (req, res) => {
   const { id } = req.params;
-  const { comment } = req.body;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  const { data, error } = validateComment(req.body, req.user, { partial: false });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const comment = await createComment(client, id, req.user, data);
+    await recordAudit(client, req, { action: 'create', entityType: 'comment', entityId: comment.id, customerId: id, after: comment });
+    await client.query('COMMIT');
+    res.status(201).json(comment);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error adding customer comment:', error);
+    res.status(500).json({ error: 'Failed to add customer comment' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * Edit or delete a comment in a transaction and answer with the changed comment.
+ */
+async function changeComment(req, res, label, change) {
+  const { id, commentId } = req.params;
+  if (!UUID_RE.test(id) || !UUID_RE.test(commentId)) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await client.query(
+      `SELECT ${COMMENT_COLUMNS} FROM customer_comments WHERE id = $1 AND customer_id = $2 FOR UPDATE`,
+      [commentId, id]
+    );
+    const { comment, error, status } = await change(client, id, commentId);
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+    await recordAudit(client, req, {
+      action: label,
+      entityType: 'comment',
+      entityId: commentId,
+      customerId: id,
+      before: before.rows[0],
+      after: comment,
+    });
+    await client.query('COMMIT');
+    res.json(comment);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`Error trying to ${label} customer comment:`, error);
+    res.status(500).json({ error: `Failed to ${label} customer comment` });
+  } finally {
+    client.release();
+  }
+}
 
-  if (!comment) {
-    return res.status(400).json({ error: 'comment is required' });
+// Edit a comment — its author or an admin (system comments cannot be edited); the previous version is kept
+// Body: { comment?, visibility? }
+customersRouter.patch('/:id/comments/:commentId', authenticate, requireCustomerSelf, async (req, res) => {
+  const { data, error } = validateComment(req.body, req.user, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  await changeComment(req, res, 'edit', (client, id, commentId) => editComment(client, id, commentId, req.user, data));
+});
+
+// Delete (soft) a comment — its author or an admin; the content is kept in the revision history
+customersRouter.delete('/:id/comments/:commentId', authenticate, requireCustomerSelf, async (req, res) => {
+  await changeComment(req, res, 'delete', (client, id, commentId) => deleteComment(client, id, commentId, req.user));
+});
+
+// Earlier versions of a comment (each edit and the delete), oldest first — admin, staff
+customersRouter.get('/:id/comments/:commentId/revisions', authenticate, requireStaffOrAdmin, async (req, res) => {
+  const { id, commentId } = req.params;
+  if (!UUID_RE.test(id) || !UUID_RE.test(commentId)) {
+    return res.status(404).json({ error: 'Comment not found' });
   }
 
+  try {
+    const revisions = await listRevisions(pool, id, commentId);
+    if (!revisions) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    res.json(revisions);
+  } catch (error) {
+    console.error('Error fetching comment revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch comment revisions' });
+  }
+});
+
+// Messages with a customer (outbound and replies), oldest first — admin, staff, or customer self
+customersRouter.get('/:id/message-logs', authenticate, requireCustomerSelf, async (req, res) => {
+  const { id } = req.params;
+
   try {
     const result = await pool.query(
-      `INSERT INTO customer_comments (customer_id, comment)
-       VALUES ($1, $2)
-       RETURNING id, customer_id, comment, created_at`,
-      [id, comment],
+      `SELECT ${MESSAGE_COLUMNS}
+       FROM message_logs
+       WHERE customer_id = $1
+       ORDER BY created_at ASC`,
+      [id],
     );
 
-    res.status(201).json(result.rows[0]);
+    res.json(result.rows);
   } catch (error) {
-    console.error('Error adding customer comment:', error);
-    res.status(500).json({ error: 'Failed to add customer comment' });
+    console.error('Error fetching customer messages:', error);
+    res.status(500).json({ error: 'Failed to fetch customer messages' });
   }
 });
 
-// Log a message for a customer (e.g., WhatsApp) — admin, staff, or customer self
+// Send a WhatsApp/SMS message to a customer — admin, staff; see messaging/index.js
+// Body: { message, channel?: 'whatsapp' (default) | 'sms', log_only?: boolean }
+//   or  { template_id, product_id?, variables?, log_only? } — rendered with messaging/templates.js; channel from the template
+// The message is queued (status 'queued') and sent in the background. log_only records a message sent
+// outside the app without sending it (status 'logged'); customers can only log.
 customersRouter.post('/:id/message-logs', authenticate, requireCustomerSelf, async (req, res) => {
   const { id } = req.params;
-  const { message } = req.body;
+  const { message, template_id, product_id, variables, log_only } = req.body;
+  let { channel } = req.body;
 
-  if (!message) {
-    return res.status(400).json({ error: 'message is required' });
+  if (!message && !template_id) {
+    return res.status(400).json({ error: 'message or template_id is required' });
   }
+  if (message && template_id) {
+    return res.status(400).json({ error: 'Send either message or template_id, not both' });
+  }
+  if (channel !== undefined && !MESSAGE_CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `channel must be one of: ${MESSAGE_CHANNELS.join(', ')}` });
+  }
+  const logOnly = log_only === true || req.user.role === 'customer';
 
   try {
-    const result = await pool.query(
-      `INSERT INTO message_logs (customer_id, channel, message)
-       VALUES ($1, 'whatsapp', $2)
-       RETURNING id, customer_id, channel, message, created_at`,
-      [id, message],
-    );
+    let text = message;
+    if (template_id) {
+      const rendered = await renderTemplateForCustomer(pool, {
+        templateId: template_id,
+        customerId: id,
+        productId: product_id,
+        variables,
+      });
+      if (rendered.error) {
+        return res.status(rendered.status).json({ error: rendered.error });
+      }
+      if (!rendered.template.active) {
+        return res.status(400).json({ error: 'Template is inactive' });
+      }
+      if (channel !== undefined && channel !== rendered.template.channel) {
+        return res.status(400).json({ error: `Template is for ${rendered.template.channel} messages` });
+      }
+      if (rendered.missing.length > 0) {
+        return res.status(400).json({ error: `Missing template variables: ${rendered.missing.join(', ')}`, missing: rendered.missing });
+      }
+      text = rendered.text;
+      channel = rendered.template.channel;
+    }
 
-    res.status(201).json(result.rows[0]);
+    const { message: row, webhooks, error, status } = await withTransaction(async (client) => {
+      const queued = await queueMessage(client, {
+        customerId: id,
+        channel: channel || 'whatsapp',
+        text: String(text),
+        templateId: template_id || null,
+        sentBy: req.user.userId,
+        logOnly,
+      });
+      if (queued.message) {
+        await recordAudit(client, req, {
+          action: logOnly ? 'log' : 'send',
+          entityType: 'message',
+          entityId: queued.message.id,
+          customerId: id,
+          after: queued.message,
+        });
+        queued.webhooks = await queueWebhookEvent(client, 'message.logged', { customer_id: id, message: queued.message });
+      }
+      return queued;
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (!logOnly) {
+      processMessageQueue(pool).catch((err) => console.error('Error sending queued messages:', err.message || err));
+    }
+    if (webhooks > 0) kickWebhookQueue();
+    res.status(201).json(row);
   } catch (error) {
     console.error('Error logging customer message:', error);
     res.status(500).json({ error: 'Failed to log customer message' });
   }
 });
 
+// Duplicate policy number (customer_products_policy_number_idx) → 409, anything else → 500
+function productErrorResponse(res, error, action) {
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'A product with this insurer and policy number already exists' });
+  }
+  console.error(`Error trying to ${action} customer product:`, error);
+  return res.status(500).json({ error: `Failed to ${action} customer product` });
+}
+
 // Add a product for a customer — admin, staff, or customer self
+// Type-specific fields (insurer, principal, fund_name, …), all required: see customers/products.js
 customersRouter.post('/:id/products', authenticate, requireCustomerSelf, async (req, res) => {
   const { id } = req.params;
-  const { product_type, product_name, status } = req.body;
-
-  if (!product_type || !product_name || !status) {
-    return res
-      .status(400)
-      .json({ error: 'product_type, product_name and status are required' });
+  const { data, error } = validateNewProduct(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
   }
 
+  const fields = Object.keys(data);
   try {
-    const result = await pool.query(
-      `INSERT INTO customer_products (customer_id, product_type, product_name, status)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, customer_id, product_type, product_name, status, created_at`,
-      [id, product_type, product_name, status],
-    );
-
-    res.status(201).json(result.rows[0]);
+    const { product, webhooks } = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO customer_products (customer_id, ${fields.join(', ')}, closed_at)
+         VALUES ($1, ${fields.map((f, i) => `$${i + 2}`).join(', ')}, CASE WHEN $${fields.length + 2}::boolean THEN now() END)
+         RETURNING ${PRODUCT_COLUMNS}`,
+        [id, ...fields.map((f) => data[f]), data.status === 'closed'],
+      );
+      await recordAudit(client, req, {
+        action: 'create',
+        entityType: 'product',
+        entityId: result.rows[0].id,
+        customerId: id,
+        after: result.rows[0],
+      });
+      return {
+        product: result.rows[0],
+        webhooks: await queueWebhookEvent(client, 'product.added', { customer_id: id, product: result.rows[0] }),
+      };
+    });
+
+    if (webhooks > 0) kickWebhookQueue();
+    res.status(201).json(product);
   } catch (error) {
-    console.error('Error adding customer product:', error);
-    res.status(500).json({ error: 'Failed to add customer product' });
+    productErrorResponse(res, error, 'add');
   }
 });
 
 // Get products for a customer — admin, staff, or customer self
+// Archived products are left out; staff and admins can pass ?include_archived=true
 customersRouter.get('/:id/products', authenticate, requireCustomerSelf, async (req, res) => {
   const { id } = req.params;
+  const archived = archivedCondition(req.user.role === 'customer' ? {} : req.query, 'archived_at');
 
   try {
     const result = await pool.query(
-      `SELECT id, customer_id, product_type, product_name, status, created_at
+      `SELECT ${PRODUCT_COLUMNS}
        FROM customer_products
-       WHERE customer_id = $1
+       WHERE customer_id = $1 ${archived ? `AND ${archived}` : ''}
        ORDER BY created_at DESC`,
       [id],
     );
@@ -421,6 +1406,242 @@ customersRouter.get('/:id/products', authenticate, requireCustomerSelf, async (r
   }
 });
 
+// Update a product's name or type-specific fields — admin, staff, or customer self
+customersRouter.patch('/:id/products/:productId', authenticate, requireCustomerSelf, async (req, res) => {
+  const { id, productId } = req.params;
+  if (!UUID_RE.test(productId)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+
+  try {
+    const { product, error, status } = await withTransaction(async (client) => {
+      const existing = await client.query(
+        `SELECT ${PRODUCT_COLUMNS} FROM customer_products WHERE id = $1 AND customer_id = $2 FOR UPDATE`,
+        [productId, id],
+      );
+      if (existing.rowCount === 0) {
+        return { status: 404, error: 'Product not found' };
+      }
+      const before = existing.rows[0];
+
+      const validated = validateProductUpdate(before.product_type, req.body || {});
+      if (validated.error) {
+        return { status: 400, error: validated.error };
+      }
+
+      const values = [productId, id];
+      const updates = Object.keys(validated.data).map((field) => {
+        values.push(validated.data[field]);
+        return `${field} = $${values.length}`;
+      });
+      const result = await client.query(
+        `UPDATE customer_products SET ${updates.join(', ')}, updated_at = now()
+         WHERE id = $1 AND customer_id = $2
+         RETURNING ${PRODUCT_COLUMNS}`,
+        values,
+      );
+      await recordAudit(client, req, {
+        action: 'update',
+        entityType: 'product',
+        entityId: productId,
+        customerId: id,
+        before,
+        after: result.rows[0],
+      });
+      return { product: result.rows[0] };
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json(product);
+  } catch (error) {
+    productErrorResponse(res, error, 'update');
+  }
+});
+
+// Close an active product (policy lapsed/surrendered, loan repaid, SIP stopped) — admin, staff
+customersRouter.post('/:id/products/:productId/close', authenticate, requireStaffOrAdmin, async (req, res) => {
+  const { id, productId } = req.params;
+  if (!UUID_RE.test(productId)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+
+  try {
+    const { product, error, status } = await withTransaction(async (client) => {
+      const existing = await client.query(
+        `SELECT ${PRODUCT_COLUMNS} FROM customer_products WHERE id = $1 AND customer_id = $2 FOR UPDATE`,
+        [productId, id],
+      );
+      if (existing.rowCount === 0) {
+        return { status: 404, error: 'Product not found' };
+      }
+      if (existing.rows[0].status !== 'active') {
+        return { status: 409, error: 'Product is already closed' };
+      }
+      const result = await client.query(
+        `UPDATE customer_products SET status = 'closed', closed_at = now(), updated_at = now()
+         WHERE id = $1
+         RETURNING ${PRODUCT_COLUMNS}`,
+        [productId],
+      );
+      await recordAudit(client, req, {
+        action: 'close',
+        entityType: 'product',
+        entityId: productId,
+        customerId: id,
+        before: existing.rows[0],
+        after: result.rows[0],
+      });
+      return { product: result.rows[0] };
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json(product);
+  } catch (error) {
+    console.error('Error closing customer product:', error);
+    res.status(500).json({ error: 'Failed to close customer product' });
+  }
+});
+
+// Archive (soft delete) a product — admin only. Hidden from product lists (?include_archived=true shows it),
+// reminders and analytics until restored
+customersRouter.delete('/:id/products/:productId', authenticate, requireAdmin, async (req, res) => {
+  const { id, productId } = req.params;
+  if (!UUID_RE.test(productId)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  await archiveChange(res, 'archive customer product', 'product', (client) =>
+    archiveProduct(client, id, productId, { userId: req.user.userId, audit: auditFor(req) }));
+});
+
+// Restore an archived product — admin only
+customersRouter.post('/:id/products/:productId/restore', authenticate, requireAdmin, async (req, res) => {
+  const { id, productId } = req.params;
+  if (!UUID_RE.test(productId)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  await archiveChange(res, 'restore customer product', 'product', (client) =>
+    restoreProduct(client, id, productId, { userId: req.user.userId, audit: auditFor(req) }));
+});
+
+// Multipart uploads are held in memory (one file, at most DOCUMENT_MAX_MB) and then written to document storage
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxDocumentBytes(), files: 1, fields: 10 },
+  // Browsers send non-ASCII file names as raw UTF-8
+  defParamCharset: 'utf8',
+}).single('file');
+
+function uploadDocumentFile(req, res, next) {
+  documentUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return err.code === 'LIMIT_FILE_SIZE'
+        ? res.status(413).json({ error: `File is larger than ${+(maxDocumentBytes() / 1024 / 1024).toFixed(2)} MB` })
+        : res.status(400).json({ error: `Invalid upload: ${err.message}` });
+    }
+    next(err);
+  });
+}
+
+// Documents for a customer, newest first — admin, staff, or customer self
+// ?doc_type, ?product_id. Files are downloaded through GET .../documents/:documentId/url
+customersRouter.get('/:id/documents', authenticate, requireCustomerSelf, async (req, res) => {
+  const { id } = req.params;
+  const { doc_type, product_id } = req.query;
+  if (doc_type !== undefined && !DOCUMENT_TYPES.includes(doc_type)) {
+    return res.status(400).json({ error: `doc_type must be one of: ${DOCUMENT_TYPES.join(', ')}` });
+  }
+  if (product_id !== undefined && !UUID_RE.test(product_id)) {
+    return res.status(400).json({ error: 'product_id must be a product id' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ${DOCUMENT_COLUMNS}
+       FROM customer_documents
+       WHERE customer_id = $1 AND ($2::text IS NULL OR doc_type = $2) AND ($3::uuid IS NULL OR product_id = $3)
+       ORDER BY created_at DESC`,
+      [id, doc_type || null, product_id || null],
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching customer documents:', error);
+    res.status(500).json({ error: 'Failed to fetch customer documents' });
+  }
+});
+
+// Upload a document — admin, staff, or customer self
+// multipart/form-data: file (PDF, JPEG or PNG), doc_type, product_id? — see documents/index.js
+customersRouter.post('/:id/documents', authenticate, requireCustomerSelf, uploadDocumentFile, async (req, res) => {
+  const { id } = req.params;
+  if (!req.file) {
+    return res.status(400).json({ error: 'file is required (multipart/form-data)' });
+  }
+  const { data, error } = validateDocumentFields(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { document, error: saveError, status } = await saveDocument(pool, id, req.file, data, {
+      userId: req.user.userId,
+      audit: auditFor(req),
+    });
+    if (saveError) {
+      return res.status(status).json({ error: saveError });
+    }
+    res.status(201).json(document);
+  } catch (error) {
+    console.error('Error uploading customer document:', error);
+    res.status(500).json({ error: 'Failed to upload customer document' });
+  }
+});
+
+// Short-lived signed download link for a document — admin, staff, or customer self
+customersRouter.get('/:id/documents/:documentId/url', authenticate, requireCustomerSelf, async (req, res) => {
+  const { id, documentId } = req.params;
+  if (!UUID_RE.test(documentId)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  try {
+    const result = await pool.query('SELECT 1 FROM customer_documents WHERE id = $1 AND customer_id = $2', [
+      documentId,
+      id,
+    ]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json(signDocumentUrl(documentId));
+  } catch (error) {
+    console.error('Error creating document link:', error);
+    res.status(500).json({ error: 'Failed to create document link' });
+  }
+});
+
+// Delete a document and its file — admin, staff
+customersRouter.delete('/:id/documents/:documentId', authenticate, requireStaffOrAdmin, async (req, res) => {
+  const { id, documentId } = req.params;
+  if (!UUID_RE.test(documentId)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  try {
+    const document = await deleteDocument(pool, id, documentId, { audit: auditFor(req) });
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json(document);
+  } catch (error) {
+    console.error('Error deleting customer document:', error);
+    res.status(500).json({ error: 'Failed to delete customer document' });
+  }
+});
+
 app.use('/customers', customersRouter);
 
 // 404: return JSON for unknown routes.
@@ -430,6 +1651,10 @@ app.use((req, res) => {
 
 // Global error handler: do not crash on unhandled errors; return clean JSON; no stack in production.
 app.use((err, req, res, next) => {
+  // Body parser rejections (too large, malformed JSON) are the client's
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
   const isProduction = process.env.NODE_ENV === 'production';
   console.error('Unhandled error:', isProduction ? err.message : err);
   res.status(500).json({
@@ -441,8 +1666,26 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 4000;
 const HOST = '0.0.0.0'; // Required for Railway: accept connections from proxy, not only localhost
 
-const server = app.listen(PORT, HOST, () => {
-  console.log(`Server is running on ${HOST}:${PORT}`);
+let server;
+
+async function start() {
+  // Fail at start-up, not on the first status change, if settings are invalid
+  statusTransitions();
+  businessTimeZone();
+
+  if (process.env.AUTO_MIGRATE === 'true') {
+    const { applied } = await runMigrations(pool, { log: (message) => console.log(message) });
+    console.log(`Migrations: ${applied.length > 0 ? `applied ${applied.join(', ')}` : 'up to date'}`);
+  }
+  server = app.listen(PORT, HOST, () => {
+    console.log(`Server is running on ${HOST}:${PORT}`);
+  });
+  startScheduledJobs();
+}
+
+start().catch((err) => {
+  console.error('Failed to start server:', err);
+  process.exit(1);
 });
 
 // Prevent unhandled rejections from crashing the process.
@@ -452,5 +1695,6 @@ process.on('unhandledRejection', (reason, promise) => {
 
 process.on('uncaughtException', (err) => {
   console.error('Uncaught Exception:', err);
+  if (!server) process.exit(1);
   server.close(() => process.exit(1));
 });
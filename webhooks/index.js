@@ -0,0 +1,282 @@
+/**
+ * Outgoing webhooks: CRM events pushed to admin-managed subscriptions (routes/webhookSubscriptions.js).
+ * Provider callbacks coming in are a different thing, see routes/webhooks.js.
+ *
+ * Handlers call queueWebhookEvent inside their transaction, so an event is queued exactly when the change
+ * is committed: one webhook_deliveries row per active subscription to the event. processWebhookQueue (run
+ * by the scheduler, and kicked with kickWebhookQueue after the commit) claims due deliveries with SKIP LOCKED
+ * and POSTs them. Anything but a 2xx is retried with exponential backoff up to MAX_ATTEMPTS, then the
+ * delivery is 'failed'; an admin can redeliver it. Every attempt is logged in webhook_delivery_attempts.
+ * Inactive subscriptions get no new events; deliveries already queued for them wait until they are active again.
+ * Status lifecycle: pending → delivering → delivered (or failed).
+ *
+ * Request: POST <url>, JSON body { id, event, created_at, data }, where id is the event id (the same for
+ * every subscription and every redelivery) and data always has customer_id plus the customer, task,
+ * product or message concerned. Headers:
+ *   X-Webhook-Event       the event name
+ *   X-Webhook-Delivery    the delivery id
+ *   X-Webhook-Signature   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the subscription secret>
+ *
+ * Only public addresses are posted to, see webhooks/targets.js.
+ * The HTTP call can be replaced with setWebhookSender (e.g. a recorder in tests).
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const pool = require('../db');
+const { webhookLookup, assertPublicLiteral } = require('./targets');
+
+const WEBHOOK_EVENTS = [
+  'customer.created',
+  'customer.status_changed',
+  'followup.scheduled',
+  'followup.done',
+  'product.added',
+  'message.logged',
+];
+const ALL_EVENTS = '*';
+const MAX_ATTEMPTS = 8;
+const LEASE_SECONDS = 5 * 60;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const TIMEOUT_MS = 10000;
+const MAX_RESPONSE_LENGTH = 1000;
+
+// Columns returned for a delivery row by every delivery endpoint (the payload only with a single delivery)
+const DELIVERY_COLUMNS = `id, subscription_id, event_id, event, customer_id, status, attempts, next_attempt_at,
+  last_status_code, last_error, delivered_at, failed_at, created_at, updated_at`;
+
+/**
+ * Default sender: POST with a timeout, connecting only to public addresses (webhookLookup). Redirects are
+ * not followed (a 3xx is a failed attempt).
+ * @param {{ url: string, headers: object, body: string }} request
+ * @returns {Promise<{ status: number, body: string }>}
+ */
+function httpSend({ url, headers, body }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    assertPublicLiteral(target);
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: webhookLookup,
+        timeout: TIMEOUT_MS,
+      },
+      (response) => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          if (text.length < MAX_RESPONSE_LENGTH) text += chunk;
+        });
+        response.on('end', () => resolve({ status: response.statusCode, body: text }));
+        response.on('error', reject);
+      }
+    );
+    request.on('timeout', () => request.destroy(new Error('Timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+let send = httpSend;
+
+/**
+ * Replace how deliveries are posted.
+ * @param {(request: { url: string, headers: object, body: string }) => Promise<{ status: number, body?: string }>} sender
+ */
+function setWebhookSender(sender) {
+  send = sender || httpSend;
+}
+
+/**
+ * New random subscription secret.
+ */
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Signature header value for a body, as receivers should recompute it.
+ * @param {string} secret
+ * @param {number} timestamp - unix seconds
+ * @param {string} body - the raw request body
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Queue an event for every active subscription to it. Call inside the transaction making the change,
+ * then kickWebhookQueue after the commit.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} event - one of WEBHOOK_EVENTS
+ * @param {{ customer_id: string } & object} data
+ * @returns {Promise<number>} deliveries queued
+ */
+async function queueWebhookEvent(db, event, data) {
+  if (!WEBHOOK_EVENTS.includes(event)) {
+    throw new Error(`Unknown webhook event "${event}"`);
+  }
+  const eventId = crypto.randomUUID();
+  // Round-trip through JSON so the payload matches what the API returns for the same records
+  const payload = JSON.parse(JSON.stringify({ id: eventId, event, created_at: new Date().toISOString(), data }));
+  // clock_timestamp(), not now(): events queued in one transaction are delivered in the order they happened
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (subscription_id, event_id, event, customer_id, payload, created_at, next_attempt_at)
+     SELECT s.id, $1, $2, $3, $4, clock_timestamp(), clock_timestamp()
+     FROM webhook_subscriptions s
+     WHERE s.active AND ($2 = ANY(s.events) OR '${ALL_EVENTS}' = ANY(s.events))`,
+    [eventId, event, data.customer_id || null, JSON.stringify(payload)]
+  );
+  return result.rowCount;
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(60 * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+async function attempt(row) {
+  const body = JSON.stringify(row.payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'MoneyCure-Webhooks/1.0',
+    'X-Webhook-Event': row.event,
+    'X-Webhook-Delivery': row.id,
+    'X-Webhook-Signature': signWebhookPayload(row.secret, Math.floor(Date.now() / 1000), body),
+  };
+  const started = Date.now();
+  try {
+    const response = await send({ url: row.url, headers, body });
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      statusCode: response.status,
+      error: ok ? null : `HTTP ${response.status}`,
+      responseBody: String(response.body || '').slice(0, MAX_RESPONSE_LENGTH) || null,
+      durationMs: Date.now() - started,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      statusCode: null,
+      error: `Request failed: ${String(err.message || err).slice(0, 500)}`,
+      responseBody: null,
+      durationMs: Date.now() - started,
+    };
+  }
+}
+
+/**
+ * Post due deliveries.
+ * @param {import('pg').Pool} db
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<{ delivered: number, retrying: number, failed: number }>}
+ */
+async function processWebhookQueue(db = pool, { limit = 20 } = {}) {
+  const claimed = await db.query(
+    `UPDATE webhook_deliveries d
+     SET status = 'delivering', attempts = d.attempts + 1,
+         next_attempt_at = now() + make_interval(secs => $2), updated_at = now()
+     FROM webhook_subscriptions s
+     WHERE s.id = d.subscription_id AND d.id IN (
+       SELECT q.id FROM webhook_deliveries q
+       JOIN webhook_subscriptions qs ON qs.id = q.subscription_id AND qs.active
+       WHERE q.status IN ('pending', 'delivering') AND q.next_attempt_at <= now()
+       ORDER BY q.next_attempt_at, q.created_at
+       LIMIT $1
+       FOR UPDATE OF q SKIP LOCKED
+     )
+     RETURNING d.id, d.event, d.payload, d.attempts, d.created_at, s.url, s.secret`,
+    [limit, LEASE_SECONDS]
+  );
+
+  const summary = { delivered: 0, retrying: 0, failed: 0 };
+  // RETURNING has no order of its own
+  const rows = claimed.rows.sort((a, b) => a.created_at - b.created_at);
+  for (const row of rows) {
+    const result = await attempt(row);
+    await db.query(
+      `INSERT INTO webhook_delivery_attempts (delivery_id, status_code, error, response_body, duration_ms)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [row.id, result.statusCode, result.error, result.responseBody, result.durationMs]
+    );
+    const status = result.ok ? 'delivered' : row.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = $2, last_status_code = $3, last_error = $4, updated_at = now(),
+           delivered_at = CASE WHEN $2 = 'delivered' THEN now() END,
+           failed_at = CASE WHEN $2 = 'failed' THEN now() END,
+           next_attempt_at = CASE WHEN $2 = 'pending' THEN now() + make_interval(secs => $5) END
+       WHERE id = $1`,
+      [row.id, status, result.statusCode, result.error, retryDelaySeconds(row.attempts)]
+    );
+    summary[status === 'pending' ? 'retrying' : status] += 1;
+  }
+  return summary;
+}
+
+let kicked = null;
+let kickAgain = false;
+
+/**
+ * Post due deliveries now, in the background (after a handler commits events). A kick during a run
+ * starts another run when it finishes, so nothing queued meanwhile waits for the scheduler.
+ */
+function kickWebhookQueue() {
+  if (kicked) {
+    kickAgain = true;
+    return;
+  }
+  kicked = processWebhookQueue(pool)
+    .catch((err) => console.error('Error delivering webhooks:', err.message || err))
+    .finally(() => {
+      kicked = null;
+      if (kickAgain) {
+        kickAgain = false;
+        kickWebhookQueue();
+      }
+    });
+}
+
+/**
+ * Queue a finished (delivered or failed) delivery again, with a fresh set of attempts.
+ * @returns {Promise<{ delivery?: object, error?: string, status?: number }>}
+ */
+async function redeliverWebhook(db, subscriptionId, deliveryId) {
+  const result = await db.query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = now(), delivered_at = NULL, failed_at = NULL,
+         updated_at = now()
+     WHERE id = $1 AND subscription_id = $2 AND status IN ('delivered', 'failed')
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [deliveryId, subscriptionId]
+  );
+  if (result.rows.length > 0) {
+    return { delivery: result.rows[0] };
+  }
+  const found = await db.query('SELECT status FROM webhook_deliveries WHERE id = $1 AND subscription_id = $2', [
+    deliveryId,
+    subscriptionId,
+  ]);
+  if (found.rows.length === 0) {
+    return { status: 404, error: 'Delivery not found' };
+  }
+  return { status: 409, error: `Delivery is already ${found.rows[0].status}` };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  ALL_EVENTS,
+  DELIVERY_COLUMNS,
+  setWebhookSender,
+  generateWebhookSecret,
+  signWebhookPayload,
+  queueWebhookEvent,
+  processWebhookQueue,
+  kickWebhookQueue,
+  redeliverWebhook,
+};
@@ -0,0 +1,121 @@
+/**
+ * Where outgoing webhooks may be posted: public addresses only. Subscriptions must not turn the server into a
+ * proxy for loopback, private networks or cloud metadata (169.254.169.254), since the delivery log shows
+ * the response.
+ *
+ * The URL is checked when a subscription is saved (checkWebhookTarget) and every connection is checked again
+ * (webhookLookup, the DNS lookup used for deliveries), so a host that later resolves to a private address
+ * (DNS rebinding) is still refused.
+ *
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true turns the checks off for local development (receivers on localhost); it
+ * is ignored in production.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, broadcast
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+// IPv4-mapped IPv6 (would reach any IPv4 address). Kept apart: BlockList matches plain IPv4 addresses
+// against this range too.
+const MAPPED = new net.BlockList();
+MAPPED.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+function allowPrivateTargets() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not a public address.
+ * @param {string} address
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  if (family === 6) {
+    return MAPPED.check(address, 'ipv6') || BLOCKED.check(address, 'ipv6');
+  }
+  return BLOCKED.check(address, 'ipv4');
+}
+
+function blockedError(host) {
+  return new Error(`${host} is not a public address`);
+}
+
+/**
+ * dns.lookup replacement for delivery requests (http.request `lookup` option): fails when the host resolves
+ * to any blocked address.
+ */
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!allowPrivateTargets() && addresses.some((a) => isBlockedAddress(a.address))) {
+      return callback(blockedError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check a webhook URL's host before a subscription is saved.
+ * @param {string} url - already validated as http(s)
+ * @returns {Promise<string|null>} error message
+ */
+async function checkWebhookTarget(url) {
+  if (allowPrivateTargets()) return null;
+  // new URL keeps IPv6 literals in brackets
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+    } catch (err) {
+      return `url host ${host} could not be resolved`;
+    }
+  }
+  return addresses.some(isBlockedAddress) ? 'url must point to a public address' : null;
+}
+
+/**
+ * Throw if a delivery URL's host is a blocked IP literal (http.request skips the lookup for literals).
+ * @param {URL} url
+ */
+function assertPublicLiteral(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivateTargets() && net.isIP(host) && isBlockedAddress(host)) {
+    throw blockedError(host);
+  }
+}
+
+module.exports = {
+  isBlockedAddress,
+  webhookLookup,
+  checkWebhookTarget,
+  assertPublicLiteral,
+};